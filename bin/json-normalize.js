@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+require('../dist/cli').run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,112 @@
+/**
+ * The isomorphic build, for browsers, edge runtimes and workers: the normalization functions and
+ * hashes, without node's crypto, stream, fs or os modules (or Bluebird's promisifyAll). Hashes
+ * use the Web Crypto API and a plain JavaScript MD5 (see webcrypto.js), so they're asynchronous,
+ * except md5Sync. The normalized JSON, and so every digest, is identical to the node build's
+ * (index.js) for the same value and options.
+ */
+
+import { encodeHex, toBytes } from './bytes';
+import { createUndefinedError, toHashOptions } from './digest';
+import { md5 as md5Digest } from './md5';
+import { parseJSON } from './parse';
+import { normalize, normalizeSync, normalizeText, stringify, stringifySync } from './normalize';
+import { hashObject } from './webcrypto';
+import { applyPatch, createPatch, diff } from './diff';
+import { compare, isEqual } from './compare';
+
+/**
+ * Returns a function that calls the given callback-taking function, and returns a promise of its
+ * result (like Bluebird's promisify).
+ * @param {function} fn A function that takes a callback as its last argument.
+ * @returns {function} The promise-returning function.
+ */
+function promisify(fn) {
+  return (...args) => new Promise((resolve, reject) => {
+    fn(...args, (e, result) => (e ? reject(e) : resolve(result)));
+  });
+}
+
+/**
+ * Normalizes the given input and hashes the results (see index.hashNormalized).
+ * @param {string} algorithm The algorithm to use to perform the hash.
+ * @param {any} input The input to get the hash for.
+ * @param {function|object=} options A replacer function or an options object.
+ * @param {function} complete A callback for completion.
+ * @returns {undefined}
+ */
+function hashNormalized(algorithm, input, options, complete) {
+  let settings = options;
+  let done = complete;
+
+  if (typeof done === 'undefined' && typeof settings === 'function') {
+    settings = undefined;
+    done = options;
+  }
+
+  if (typeof done !== 'function') return;
+  hashObject(input, toHashOptions(algorithm, settings), done);
+}
+
+/**
+ * Returns the md5 hash for the JSON normalized object passed in.
+ * @param {any} input The input to get the md5 hash for.
+ * @param {object=} options The normalization options (see normalize).
+ * @param {function} done A callback for completion.
+ * @returns {undefined}
+ */
+export function md5(input, options, done) {
+  return hashNormalized('md5', input, options, done);
+}
+
+/**
+ * Returns the sha256 hash for the JSON normalized object passed in.
+ * @param {any} input The input to get the sha256 hash for.
+ * @param {object=} options The normalization options (see normalize).
+ * @param {function} done A callback for completion.
+ * @returns {undefined}
+ */
+export function sha256(input, options, done) {
+  return hashNormalized('sha256', input, options, done);
+}
+
+/**
+ * Returns the sha512 hash for the JSON normalized object passed in.
+ * @param {any} input The input to get the sha512 hash for.
+ * @param {object=} options The normalization options (see normalize).
+ * @param {function} done A callback for completion.
+ * @returns {undefined}
+ */
+export function sha512(input, options, done) {
+  return hashNormalized('sha512', input, options, done);
+}
+
+/**
+ * Returns the md5 hash for the JSON normalized object passed in. Since MD5 is computed in plain
+ * JavaScript, this is the only synchronous hash of this build.
+ * @param {any} input The input to get the md5 hash for.
+ * @param {object=} options The normalization options (see normalizeSync).
+ * @returns {string} An md5 hash representing the given object.
+ */
+export function md5Sync(input, options) {
+  const json = normalizeSync(input, options);
+  if (typeof json === 'undefined') throw createUndefinedError();
+  return encodeHex(md5Digest(toBytes(json)));
+}
+
+export const normalizeAsync = promisify(normalize);
+export const stringifyAsync = promisify(stringify);
+export const md5Async = promisify(md5);
+export const sha256Async = promisify(sha256);
+export const sha512Async = promisify(sha512);
+export const hashObjectAsync = promisify(hashObject);
+
+export { normalize, normalizeSync, normalizeText, stringify, stringifySync };
+export { registerType } from './types';
+export { LimitError, NormalizeError, ParseError } from './errors';
+export { parseJSON };
+export { hashObject };
+export { applyPatch, createPatch, diff };
+export { compare, isEqual };
+
+export default exports;
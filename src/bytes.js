@@ -0,0 +1,66 @@
+/**
+ * Encodings of bytes (UTF-8, hex and base64) that don't depend on node's Buffer, so they work in
+ * any runtime.
+ */
+
+/* global TextEncoder */
+
+// base64 digits are 6-bit fields.
+/* eslint-disable no-bitwise */
+
+/**
+ * The base64 alphabet (RFC 4648, section 4).
+ * @type {string}
+ */
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Returns the bytes of a string (encoded as UTF-8, where lone surrogates become U+FFFD, as they
+ * do with node's Buffer) or of a Buffer, TypedArray or DataView.
+ * @param {string|ArrayBufferView} data The data.
+ * @returns {Uint8Array} The bytes.
+ */
+export function toBytes(data) {
+  if (typeof data === 'string') return new TextEncoder().encode(data);
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+
+  throw new TypeError('The data must be a string, Buffer or TypedArray');
+}
+
+/**
+ * Encodes bytes as lowercase hex.
+ * @param {Uint8Array} bytes The bytes to encode.
+ * @returns {string} The hex string.
+ */
+export function encodeHex(bytes) {
+  let hex = '';
+  for (let i = 0; i < bytes.length; i++) hex += (bytes[i] + 0x100).toString(16).slice(1);
+  return hex;
+}
+
+/**
+ * Encodes bytes as padded base64, or (with "url") as unpadded base64url (RFC 4648, section 5).
+ * @param {Uint8Array} bytes The bytes to encode.
+ * @param {boolean=} url True to use the base64url alphabet, without padding.
+ * @returns {string} The base64 string.
+ */
+export function encodeBase64(bytes, url = false) {
+  const chunks = [];
+
+  for (let i = 0; i < bytes.length; i += 3) {
+    const length = Math.min(bytes.length - i, 3);
+    const triple = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+
+    chunks.push(
+      BASE64[triple >> 18],
+      BASE64[(triple >> 12) & 63],
+      length > 1 ? BASE64[(triple >> 6) & 63] : '=',
+      length > 2 ? BASE64[triple & 63] : '=',
+    );
+  }
+
+  const base64 = chunks.join('');
+  return url ? base64.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_') : base64;
+}
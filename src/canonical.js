@@ -0,0 +1,108 @@
+/**
+ * Opt-in canonicalization rules, which make values that mean the same thing normalize the same:
+ * Unicode normalization, key case-folding, numeric precision, -0 and pruning of empty values.
+ */
+
+import { createRawNumber, isRawNumber } from './parse';
+
+/**
+ * The Unicode normalization forms the "unicode" option accepts (see String#normalize).
+ * @type {Array<string>}
+ */
+const UNICODE_FORMS = ['NFC', 'NFKC', 'NFD', 'NFKD'];
+
+/**
+ * The kinds of values the "prune" option can remove.
+ * @type {Array<string>}
+ */
+const PRUNE_KINDS = ['null', 'undefined', 'emptyObjects', 'emptyArrays'];
+
+/**
+ * Resolves and validates the canonicalization options into the rules the serializer applies.
+ * @param {object} options The options:
+ * @param {string=} options.unicode Normalizes strings (and keys) to "NFC", "NFKC", "NFD" or
+ * "NFKD".
+ * @param {boolean=} options.foldKeys Case-folds keys.
+ * @param {number=} options.precision Rounds numbers to the given number of significant digits.
+ * @param {boolean=} options.normalizeZero Maps -0 to 0.
+ * @param {boolean|Array<string>=} options.prune Removes null, undefined (i.e. array elements
+ * that would be null), empty object and empty array values (true), or the given kinds of them.
+ * @returns {object} The rules, with "prune" resolved to an object of booleans, and "isKeyed",
+ * "isLiteral" and "isPruning" flags for whether keys or literals are changed, or values pruned,
+ * at all.
+ */
+export function resolveRules({ unicode, foldKeys, precision, normalizeZero, prune }) {
+  if (typeof unicode !== 'undefined' && UNICODE_FORMS.indexOf(unicode) === -1) {
+    throw new TypeError(`Unsupported unicode form "${unicode}"`);
+  }
+
+  if (typeof precision !== 'undefined'
+    && !(Number.isInteger(precision) && precision >= 1 && precision <= 100)) {
+    throw new TypeError('The "precision" option must be an integer from 1 to 100');
+  }
+
+  const kinds = prune === true ? PRUNE_KINDS : prune || [];
+
+  if (!Array.isArray(kinds) || kinds.some(kind => PRUNE_KINDS.indexOf(kind) === -1)) {
+    throw new TypeError(`The "prune" option must be true or a list of: ${PRUNE_KINDS.join(', ')}`);
+  }
+
+  const pruned = {};
+  PRUNE_KINDS.forEach((kind) => { pruned[kind] = kinds.indexOf(kind) > -1; });
+
+  return {
+    unicode,
+    foldKeys: Boolean(foldKeys),
+    precision,
+    normalizeZero: Boolean(normalizeZero),
+    prune: pruned,
+    isKeyed: Boolean(unicode || foldKeys),
+    isLiteral: Boolean(unicode || precision || normalizeZero),
+    isPruning: kinds.length > 0,
+  };
+}
+
+/**
+ * Returns the canonical form of a key. Case-folding maps keys to upper case, then to lower case,
+ * which folds more characters together than lower-casing alone (e.g. "ß" and "SS").
+ * @param {string} key The key.
+ * @param {object} rules The resolved rules (see resolveRules).
+ * @returns {string} The canonical key.
+ */
+export function canonicalizeKey(key, rules) {
+  const normalized = rules.unicode ? key.normalize(rules.unicode) : key;
+  return rules.foldKeys ? normalized.toUpperCase().toLowerCase() : normalized;
+}
+
+/**
+ * Returns the canonical form of a number.
+ * @param {number} value The number.
+ * @param {object} rules The resolved rules (see resolveRules).
+ * @returns {number} The canonical number.
+ */
+function canonicalizeNumber(value, rules) {
+  const rounded = rules.precision && isFinite(value)
+    ? Number(value.toPrecision(rules.precision))
+    : value;
+
+  return rules.normalizeZero && rounded === 0 ? 0 : rounded;
+}
+
+/**
+ * Returns the canonical form of a literal: strings are Unicode normalized, and numbers rounded
+ * and -0 mapped to 0. Raw numbers (see parse.createRawNumber) keep their text, unless they're
+ * rounded (in which case they become numbers). Other values are returned as is.
+ * @param {any} value The literal.
+ * @param {object} rules The resolved rules (see resolveRules).
+ * @returns {any} The canonical literal.
+ */
+export function canonicalizeLiteral(value, rules) {
+  if (typeof value === 'string') return rules.unicode ? value.normalize(rules.unicode) : value;
+  if (typeof value === 'number') return canonicalizeNumber(value, rules);
+  if (!isRawNumber(value)) return value;
+
+  if (rules.precision) return canonicalizeNumber(Number(value.text), rules);
+  return rules.normalizeZero && Number(value.text) === 0 && value.text[0] === '-'
+    ? createRawNumber(value.text.slice(1))
+    : value;
+}
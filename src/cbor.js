@@ -0,0 +1,576 @@
+/**
+ * Deterministic CBOR (RFC 8949) for normalized values: a compact binary form of the normalized
+ * JSON, for storage and signing, and a decoder for it.
+ */
+
+// CBOR heads and floats are bit fields.
+/* eslint-disable no-bitwise */
+
+import { createUndefinedError } from './digest';
+import { NormalizeError, ParseError } from './errors';
+import { hashString, resolveHashOptions } from './hash';
+import { createRawNumber, isRawNumber, parseJSON, setMember } from './parse';
+import { toPointer } from './path';
+import { resolveOptions, serializeSync } from './serialize';
+
+/**
+ * The CBOR major types.
+ * @type {object}
+ */
+const MAJOR = {
+  unsigned: 0,
+  negative: 1,
+  bytes: 2,
+  text: 3,
+  array: 4,
+  map: 5,
+  tag: 6,
+  simple: 7,
+};
+
+/**
+ * The sizes of a head's argument, in bytes, and the "additional information" that announces
+ * them (see RFC 8949, section 3).
+ * @type {Array<Array<number>>}
+ */
+const ARGUMENT_SIZES = [[1, 24], [2, 25], [4, 26], [8, 27]];
+
+/**
+ * The encoded false, true and null.
+ * @type {object}
+ */
+const SIMPLE_VALUES = {
+  false: Buffer.from([0xf4]),
+  true: Buffer.from([0xf5]),
+  null: Buffer.from([0xf6]),
+};
+
+/**
+ * Matches integer literals, whose value is encoded exactly (as an integer or a bignum). Other
+ * literals, including "-0", are encoded by their value.
+ * @type {RegExp}
+ */
+const INTEGER = /^(0|-?[1-9][0-9]*)$/;
+
+/**
+ * Matches lone surrogates, which UTF-8 (and so CBOR text strings) can't encode.
+ * @type {RegExp}
+ */
+const LONE_SURROGATE = /[\ud800-\udbff](?![\udc00-\udfff])|(^|[^\ud800-\udbff])[\udc00-\udfff]/;
+
+/**
+ * A scratch view for converting floats to and from their bits.
+ * @type {DataView}
+ */
+const view = new DataView(new ArrayBuffer(8));
+
+/**
+ * A value returned by "open" for arrays and maps, whose members are decoded next.
+ * @type {object}
+ */
+const OPENED = {};
+
+/**
+ * Returns the big-endian bytes of a non-negative safe integer, without leading zeros.
+ * @param {number} value The integer.
+ * @returns {Array<number>} The bytes ([] for 0).
+ */
+function numberToBytes(value) {
+  const bytes = [];
+  for (let rest = value; rest > 0; rest = Math.floor(rest / 256)) bytes.unshift(rest % 256);
+  return bytes;
+}
+
+/**
+ * Returns the big-endian bytes of a non-negative integer, given as decimal digits, without
+ * leading zeros (by long division by 256).
+ * @param {string} digits The integer's decimal digits.
+ * @returns {Array<number>} The bytes ([] for 0).
+ */
+function digitsToBytes(digits) {
+  const bytes = [];
+  let rest = digits;
+
+  while (rest !== '') {
+    let quotient = '';
+    let remainder = 0;
+
+    for (let i = 0; i < rest.length; i++) {
+      const dividend = (remainder * 10) + Number(rest[i]);
+      const digit = Math.floor(dividend / 256);
+
+      remainder = dividend % 256;
+      if (quotient !== '' || digit > 0) quotient += digit;
+    }
+
+    bytes.unshift(remainder);
+    rest = quotient;
+  }
+
+  return bytes[0] === 0 ? [] : bytes;
+}
+
+/**
+ * Returns the decimal digits of a non-negative integer, given as big-endian bytes.
+ * @param {Array<number>|Uint8Array} bytes The integer's bytes.
+ * @returns {string} The integer's decimal digits.
+ */
+function bytesToDigits(bytes) {
+  // Little-endian groups of 7 digits, which (times 256) stay well within safe integers.
+  const groups = [0];
+
+  for (let i = 0; i < bytes.length; i++) {
+    let carry = bytes[i];
+
+    for (let j = 0; j < groups.length; j++) {
+      const product = (groups[j] * 256) + carry;
+      groups[j] = product % 1e7;
+      carry = Math.floor(product / 1e7);
+    }
+
+    for (; carry > 0; carry = Math.floor(carry / 1e7)) groups.push(carry % 1e7);
+  }
+
+  return groups.reverse().map((group, i) => (i ? `000000${group}`.slice(-7) : String(group))).join('');
+}
+
+/**
+ * Adds (or subtracts) one to the integer given as big-endian bytes, as negative integers are
+ * encoded as -1 minus their argument.
+ * @param {Array<number>|Uint8Array} bytes The integer's bytes.
+ * @param {number} delta 1 or -1.
+ * @returns {Array<number>} The result's bytes, without leading zeros.
+ */
+function addOne(bytes, delta) {
+  const result = Array.from(bytes);
+  let i = result.length - 1;
+
+  for (; i >= 0 && result[i] === (delta > 0 ? 255 : 0); i--) result[i] = delta > 0 ? 0 : 255;
+
+  if (i < 0) result.unshift(1);
+  else result[i] += delta;
+
+  while (result[0] === 0) result.shift();
+  return result;
+}
+
+/**
+ * Encodes the head of a data item: its major type and its argument (a length, or the value of
+ * an integer), in the shortest form.
+ * @param {number} major The major type.
+ * @param {Array<number>} bytes The argument's big-endian bytes, without leading zeros (at most 8).
+ * @returns {Buffer} The head.
+ */
+function encodeHead(major, bytes) {
+  if (bytes.length === 0 || (bytes.length === 1 && bytes[0] < 24)) {
+    return Buffer.from([(major << 5) | (bytes[0] || 0)]);
+  }
+
+  const [size, info] = ARGUMENT_SIZES.filter(([length]) => length >= bytes.length)[0];
+  const head = Buffer.alloc(size + 1);
+
+  head[0] = (major << 5) | info;
+  head.set(bytes, (size + 1) - bytes.length);
+  return head;
+}
+
+/**
+ * Encodes an integer literal exactly: as an integer if it fits in 64 bits, and as a bignum
+ * (tag 2 or 3) if it doesn't.
+ * @param {string} literal The integer literal.
+ * @returns {Buffer} The encoded integer.
+ */
+function encodeInteger(literal) {
+  const isNegative = literal[0] === '-';
+  const number = Number(literal);
+  let bytes;
+
+  if (Number.isSafeInteger(number)) {
+    bytes = numberToBytes(isNegative ? -1 - number : number);
+  } else {
+    bytes = digitsToBytes(isNegative ? literal.slice(1) : literal);
+    if (isNegative) bytes = addOne(bytes, -1);
+  }
+
+  if (bytes.length <= 8) return encodeHead(isNegative ? MAJOR.negative : MAJOR.unsigned, bytes);
+
+  return Buffer.concat([
+    encodeHead(MAJOR.tag, [isNegative ? 3 : 2]),
+    encodeHead(MAJOR.bytes, numberToBytes(bytes.length)),
+    Buffer.from(bytes),
+  ]);
+}
+
+/**
+ * Returns the bits of the half-precision float that represents a number exactly, if any.
+ * @param {number} value The number.
+ * @returns {number|undefined} The half-precision bits.
+ */
+function toHalf(value) {
+  const sign = value < 0 || Object.is(value, -0) ? 0x8000 : 0;
+  const subnormal = Math.abs(value) * 0x1000000;
+
+  if (Number.isNaN(value)) return 0x7e00;
+  if (!isFinite(value)) return sign | 0x7c00;
+  if (Number.isInteger(subnormal) && subnormal < 0x400) return sign | subnormal;
+  if (Math.fround(value) !== value) return undefined;
+
+  view.setFloat32(0, value);
+  const bits = view.getUint32(0);
+  const exponent = (((bits >>> 23) & 0xff) - 127) + 15;
+
+  if (exponent < 1 || exponent > 30 || (bits & 0x1fff) !== 0) return undefined;
+  return sign | (exponent << 10) | ((bits & 0x7fffff) >> 13);
+}
+
+/**
+ * Returns the number a half-precision float's bits represent.
+ * @param {number} half The bits.
+ * @returns {number} The number.
+ */
+function decodeHalf(half) {
+  const exponent = (half >> 10) & 0x1f;
+  const fraction = half & 0x3ff;
+  let magnitude = (fraction + 0x400) * (2 ** (exponent - 25));
+
+  if (exponent === 0) magnitude = fraction * (2 ** -24);
+  if (exponent === 31) magnitude = fraction ? NaN : Infinity;
+  return half & 0x8000 ? -magnitude : magnitude;
+}
+
+/**
+ * Encodes a number as the shortest float (half, single or double precision) that represents it
+ * exactly.
+ * @param {number} value The number.
+ * @returns {Buffer} The encoded float.
+ */
+function encodeFloat(value) {
+  const half = toHalf(value);
+  if (typeof half !== 'undefined') return Buffer.from([0xf9, half >> 8, half & 0xff]);
+
+  const isSingle = Math.fround(value) === value;
+  const float = Buffer.alloc(isSingle ? 5 : 9);
+
+  float[0] = isSingle ? 0xfa : 0xfb;
+  if (isSingle) float.writeFloatBE(value, 1);
+  else float.writeDoubleBE(value, 1);
+  return float;
+}
+
+/**
+ * Encodes a number by its exact value: safe integers (and -0) become integers, and other numbers
+ * (like 2 ** 60, which JSON.stringify prints as 1152921504606847000) the shortest float that
+ * holds them. Raw numbers with integer literals become integers (see encodeInteger), however
+ * large, and other raw numbers are encoded by their value, so "1.0" becomes the integer 1.
+ * @param {number|object} value The number, or raw number (see parse.createRawNumber).
+ * @returns {Buffer} The encoded number.
+ */
+function encodeNumber(value) {
+  if (isRawNumber(value) && INTEGER.test(value.text)) return encodeInteger(value.text);
+
+  const number = isRawNumber(value) ? Number(value.text) : value;
+  return Number.isSafeInteger(number) ? encodeInteger(JSON.stringify(number)) : encodeFloat(number);
+}
+
+/**
+ * Returns the path of an item on the encoder's stack.
+ * @param {object} item The item, which links to its parent item.
+ * @returns {Array<string>} The path.
+ */
+function getItemPath(item) {
+  const path = [];
+  for (let current = item; current.parent; current = current.parent) path.unshift(current.key);
+  return path;
+}
+
+/**
+ * Encodes a string as a text string. Lone surrogates can't be encoded as UTF-8, so they throw
+ * a NormalizeError.
+ * @param {string} value The string.
+ * @param {object} item The stack item of the string (or of the member, for keys).
+ * @returns {Buffer} The encoded string.
+ */
+function encodeText(value, item) {
+  if (LONE_SURROGATE.test(value)) {
+    const path = getItemPath(item);
+    const message = `CBOR text strings can't contain lone surrogates, at "${toPointer(path)}"`;
+    throw new NormalizeError(message, 'ERR_UNSERIALIZABLE', path);
+  }
+
+  const bytes = Buffer.from(value, 'utf8');
+  return Buffer.concat([encodeHead(MAJOR.text, numberToBytes(bytes.length)), bytes]);
+}
+
+/**
+ * Encodes a parsed, normalized JSON value. Objects and arrays are encoded on an explicit stack,
+ * so deeply nested values don't overflow the call stack. The members of objects are sorted by
+ * their encoded keys' bytes, as RFC 8949's core deterministic encoding requires (section 4.2.1).
+ * @param {any} data The parsed JSON value.
+ * @returns {Buffer} The encoded value.
+ */
+function encodeData(data) {
+  const chunks = [];
+  const stack = [{ value: data }];
+
+  while (stack.length > 0) {
+    const item = stack.pop();
+    const { value } = item;
+
+    if (Buffer.isBuffer(value)) {
+      chunks.push(value);
+    } else if (value === null || typeof value === 'boolean') {
+      chunks.push(SIMPLE_VALUES[value]);
+    } else if (typeof value === 'string') {
+      chunks.push(encodeText(value, item));
+    } else if (typeof value === 'number' || isRawNumber(value)) {
+      chunks.push(encodeNumber(value));
+    } else if (Array.isArray(value)) {
+      chunks.push(encodeHead(MAJOR.array, numberToBytes(value.length)));
+      for (let i = value.length - 1; i >= 0; i--) {
+        stack.push({ value: value[i], key: String(i), parent: item });
+      }
+    } else {
+      const members = Object.keys(value)
+        .map(key => ({ key, encoded: encodeText(key, { key, parent: item }) }))
+        .sort((a, b) => Buffer.compare(a.encoded, b.encoded));
+
+      chunks.push(encodeHead(MAJOR.map, numberToBytes(members.length)));
+      for (let i = members.length - 1; i >= 0; i--) {
+        const { key, encoded } = members[i];
+        stack.push({ value: value[key], key, parent: item }, { value: encoded });
+      }
+    }
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Normalizes a value and encodes its normalized JSON (see encodeCanonicalCbor).
+ * @param {any} value The value to encode.
+ * @param {object} settings The resolved settings (see serialize.resolveOptions).
+ * @returns {Buffer|undefined} The CBOR, or undefined if the value normalizes to undefined.
+ */
+function encodeNormalized(value, settings) {
+  const json = serializeSync(value, settings);
+  return typeof json === 'undefined' ? undefined : encodeData(parseJSON(json));
+}
+
+/**
+ * Encodes a value as deterministic CBOR (RFC 8949, section 4.2.1): the value is normalized
+ * exactly as normalizeSync does (with the same replacer, types and other options), and its
+ * normalized JSON is encoded with definite lengths, the shortest heads, map keys sorted by
+ * their encoded bytes and every number in its shortest form. Safe integers and integer literals
+ * are encoded as integers (or bignums, beyond 64 bits), and other numbers as the shortest float
+ * that holds them exactly. So equal values produce the same bytes, just as they produce the
+ * same JSON.
+ * @param {any} value The value to encode.
+ * @param {function|object=} options A replacer function or an options object (see
+ * normalize). The "space" option is ignored.
+ * @returns {Buffer|undefined} The CBOR, or undefined if the value normalizes to undefined.
+ */
+export function encodeCanonicalCbor(value, options) {
+  return encodeNormalized(value, resolveOptions(options));
+}
+
+/**
+ * Decodes CBOR into a JSON-like value: maps become objects (whose keys must be text strings),
+ * integers become numbers if they're printed as themselves (like parse.parseJSON decides) and
+ * raw numbers (see parse.createRawNumber) if they aren't, byte strings become Buffers and
+ * undefined stays undefined. Other tags and simple values, indefinite lengths, heads and floats
+ * that aren't in their shortest form, floats that hold safe integers (which are encoded as
+ * integers), map keys that aren't sorted by their encoded bytes, duplicate keys and trailing
+ * bytes throw a ParseError (see errors.ParseError) that reports their path and offset.
+ * @param {Buffer|Uint8Array} bytes The CBOR.
+ * @returns {any} The decoded value.
+ */
+export function decodeCbor(bytes) {
+  if (!(bytes instanceof Uint8Array)) throw new TypeError('decodeCbor requires a Buffer or Uint8Array');
+
+  const input = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length);
+  const stack = [];
+  let offset = 0;
+
+  // Returns the path of the value being decoded, as far as it's known.
+  const getPath = () => stack.reduce((path, frame) => {
+    const key = frame.isArray ? frame.value.length : frame.key;
+    return typeof key === 'undefined' ? path : path.concat(String(key));
+  }, []);
+
+  // Throws a ParseError that reports the path and the given offset.
+  const fail = (message, at = offset, path = getPath(), code = 'ERR_SYNTAX') => {
+    const location = `"${toPointer(path)}", offset ${at}`;
+    throw new ParseError(`${message} in CBOR at ${location}`, code, path, { offset: at });
+  };
+
+  const read = (length) => {
+    if (offset + length > input.length) fail('Unexpected end of input');
+    offset += length;
+    return input.subarray(offset - length, offset);
+  };
+
+  // Reads a head's argument, as bytes (for integers that may not be safe) or as a number.
+  const readArgument = (info, start) => {
+    if (info < 24) return [info];
+
+    const size = ARGUMENT_SIZES.filter(([, code]) => code === info)[0];
+    if (!size) fail(info === 31 ? 'Unsupported indefinite length' : 'Malformed head', start);
+    return read(size[0]);
+  };
+
+  // Deterministic CBOR has a single encoding for every argument, e.g. 0x1800 isn't 0.
+  const checkShortest = (info, argument, start) => {
+    const isShortest = info < 24 || (info === 24
+      ? argument[0] >= 24
+      : argument.subarray(0, argument.length / 2).some(byte => byte > 0));
+
+    if (!isShortest) fail('Non-shortest head', start);
+  };
+
+  const toLength = argument => Number(bytesToDigits(argument));
+
+  const toInteger = (argument, isNegative) => {
+    const magnitude = isNegative ? addOne(argument, 1) : argument;
+    const literal = `${isNegative ? '-' : ''}${bytesToDigits(magnitude)}`;
+    const number = Number(literal);
+
+    return JSON.stringify(number) === literal ? number : createRawNumber(literal);
+  };
+
+  // Floats must be encoded exactly as encodeFloat encodes them, and only hold what integers can't.
+  const toFloat = (value, start) => {
+    if (Number.isSafeInteger(value)) fail('Integer encoded as a float', start);
+    if (!encodeFloat(value).equals(input.subarray(start, offset))) fail('Non-shortest float', start);
+    return value;
+  };
+
+  const readSimple = (info, argument, start) => {
+    switch (info) {
+      case 20: return false;
+      case 21: return true;
+      case 22: return null;
+      case 23: return undefined;
+      case 25: return toFloat(decodeHalf((argument[0] << 8) | argument[1]), start);
+      case 26: return toFloat(argument.readFloatBE(0), start);
+      case 27: return toFloat(argument.readDoubleBE(0), start);
+      default: return fail(`Unsupported simple value ${info < 24 ? info : argument[0]}`, start);
+    }
+  };
+
+  // Decodes a data item, or opens an array or map (pushing it onto the stack).
+  const open = () => {
+    const start = offset;
+    const initial = read(1)[0];
+    const major = initial >> 5;
+    const argument = readArgument(initial & 0x1f, start);
+
+    if (major !== MAJOR.simple) checkShortest(initial & 0x1f, argument, start);
+
+    switch (major) {
+      case MAJOR.unsigned: return toInteger(argument, false);
+      case MAJOR.negative: return toInteger(argument, true);
+      case MAJOR.bytes: return Buffer.from(read(toLength(argument)));
+      case MAJOR.text: return read(toLength(argument)).toString('utf8');
+      case MAJOR.array:
+      case MAJOR.map: {
+        const isArray = major === MAJOR.array;
+        const length = toLength(argument);
+
+        stack.push({ isArray, value: isArray ? [] : {}, remaining: length * (isArray ? 1 : 2) });
+        return OPENED;
+      }
+
+      case MAJOR.tag: {
+        const tag = toLength(argument);
+        const contentStart = offset;
+        const content = tag === 2 || tag === 3 ? read(1)[0] : undefined;
+
+        if (typeof content === 'undefined') return fail(`Unsupported tag ${tag}`, start);
+        if (content >> 5 !== MAJOR.bytes) fail('Bignums must be byte strings', contentStart);
+
+        const length = readArgument(content & 0x1f, contentStart);
+        checkShortest(content & 0x1f, length, contentStart);
+
+        const magnitude = read(toLength(length));
+        return toInteger(magnitude, tag === 3);
+      }
+
+      default: return readSimple(initial & 0x1f, argument, start);
+    }
+  };
+
+  // Adds a decoded value to the array or map on top of the stack. Map keys must be sorted by
+  // their encoded bytes (RFC 8949, section 4.2.1), so each is compared with the previous one.
+  const add = (frame, value, start) => {
+    const { isArray, remaining } = frame;
+    Object.assign(frame, { remaining: remaining - 1 });
+
+    if (isArray) return frame.value.push(value);
+    if (remaining % 2 === 0) {
+      const encoded = input.subarray(start, offset);
+
+      if (typeof value !== 'string') fail('Map keys must be text strings', start);
+      if (Object.prototype.hasOwnProperty.call(frame.value, value)) {
+        fail(`Duplicate key ${JSON.stringify(value)}`, start, getPath().concat(value), 'ERR_DUPLICATE_KEY');
+      }
+
+      if (frame.encodedKey && Buffer.compare(frame.encodedKey, encoded) > 0) {
+        fail('Map keys must be sorted', start, getPath().concat(value));
+      }
+
+      return Object.assign(frame, { key: value, encodedKey: encoded });
+    }
+
+    setMember(frame.value, frame.key, value);
+    return Object.assign(frame, { key: undefined });
+  };
+
+  let value = open();
+
+  for (;;) {
+    const frame = stack[stack.length - 1];
+    if (!frame) break;
+
+    if (frame.remaining === 0) {
+      stack.pop();
+      value = frame.value;
+      if (stack.length > 0) add(stack[stack.length - 1], value, offset);
+    } else {
+      const start = offset;
+      value = open();
+      if (value !== OPENED) add(frame, value, start);
+    }
+  }
+
+  if (offset < input.length) fail('Unexpected trailing bytes');
+  return value;
+}
+
+/**
+ * Hashes a value's deterministic CBOR (see encodeCanonicalCbor).
+ * @param {any} value The value to hash.
+ * @param {function|object=} options A replacer function or an options object: the normalization
+ * options (see normalize), and the "algorithm" (defaults to "sha256"), "key" and "encoding"
+ * (defaults to "hex") options hashObject takes.
+ * @returns {string|Buffer} The digest. Like hashObject, values that normalize to undefined throw
+ * a NormalizeError (see digest.createUndefinedError).
+ */
+export function hashCbor(value, options) {
+  const settings = typeof options === 'function' ? { replacer: options } : options;
+  const resolved = resolveHashOptions({ algorithm: 'sha256', ...settings });
+  const encoded = encodeNormalized(value, resolved);
+
+  if (typeof encoded === 'undefined') throw createUndefinedError();
+  return hashString(encoded, resolved);
+}
+
+/**
+ * Returns the sha256 hash (in hex) of a value's deterministic CBOR (see encodeCanonicalCbor).
+ * @param {any} value The value to hash.
+ * @param {function|object=} options The normalization options (see normalize).
+ * @returns {string} The sha256 hash.
+ */
+export function sha256Cbor(value, options) {
+  const settings = typeof options === 'function' ? { replacer: options } : options;
+  return hashCbor(value, { ...settings, algorithm: 'sha256', key: undefined, encoding: 'hex' });
+}
@@ -0,0 +1,203 @@
+/**
+ * The json-normalize command line tool (see bin/json-normalize.js).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { createPatch, hash, isEqual, normalizeSync, parseJSON } from './index';
+
+const readFile = Promise.promisify(fs.readFile);
+const writeFile = Promise.promisify(fs.writeFile);
+
+/**
+ * Exit codes: the command succeeded, a check failed (or the files aren't equal), or the command
+ * couldn't run (invalid arguments, unreadable files or invalid JSON).
+ * @type {object<number>}
+ */
+export const EXIT_CODES = { ok: 0, failed: 1, error: 2 };
+
+/**
+ * The text printed by --help.
+ * @type {string}
+ */
+const USAGE = `Usage: json-normalize [options] [file ...]
+       json-normalize --equal a.json b.json
+
+Normalizes JSON files (or stdin, if no files or "-" are given) and writes them to stdout.
+
+Options:
+  -w, --write          Write the normalized JSON back to the files
+  -c, --check          Exit with 1 if a file isn't normalized (with the same --indent)
+  -e, --equal          Exit with 1 if the two files don't contain equal JSON
+  -i, --indent [n]     Indent with n spaces (defaults to 2), or "tab"
+  -H, --hash <algo>    Print the hash of the normalized JSON (e.g. md5, sha256)
+  -h, --help           Print this message
+`;
+
+/**
+ * Creates an error for invalid arguments or input, which is printed without a stack trace.
+ * @param {string} message The error message.
+ * @returns {Error} The error.
+ */
+function usageError(message) {
+  return Object.assign(new Error(message), { isUsageError: true });
+}
+
+/**
+ * Parses the command's arguments.
+ * @param {Array<string>} args The arguments (without the node executable and script).
+ * @returns {object} The parsed options and list of "files".
+ */
+export function parseArgs(args) {
+  const options = { files: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const [arg, inline] = args[i].indexOf('--') === 0 ? args[i].split(/=(.*)/) : [args[i]];
+    const next = () => {
+      if (typeof inline !== 'undefined') return inline;
+      if (i + 1 >= args.length) throw usageError(`${arg} requires a value`);
+      return args[++i];
+    };
+
+    switch (arg) {
+      case '-w': case '--write': options.write = true; break;
+      case '-c': case '--check': options.check = true; break;
+      case '-e': case '--equal': options.equal = true; break;
+      case '-h': case '--help': options.help = true; break;
+      case '-H': case '--hash': options.hash = next(); break;
+
+      case '-i': case '--indent': {
+        const value = typeof inline !== 'undefined' || /^(\d+|tab)$/.test(args[i + 1]) ? next() : '2';
+        if (!/^(\d+|tab)$/.test(value)) throw usageError(`Invalid indent "${value}"`);
+        options.indent = value === 'tab' ? '\t' : Number(value);
+        break;
+      }
+
+      default:
+        if (arg !== '-' && arg[0] === '-') throw usageError(`Unknown option "${arg}"`);
+        options.files.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Validates the combination of parsed options.
+ * @param {object} options The parsed options (see parseArgs).
+ * @returns {undefined}
+ */
+function validateArgs(options) {
+  const modes = ['write', 'check', 'equal', 'hash'].filter(mode => options[mode]);
+  const stdin = options.files.length === 0 || options.files.indexOf('-') > -1;
+
+  if (modes.length > 1) throw usageError(`--${modes[0]} and --${modes[1]} can't be combined`);
+  if (options.equal && options.files.length !== 2) throw usageError('--equal requires two files');
+  if (options.write && stdin) throw usageError('--write requires files');
+  if (options.hash && crypto.getHashes().indexOf(options.hash) === -1) {
+    throw usageError(`Unsupported hash algorithm "${options.hash}"`);
+  }
+}
+
+/**
+ * Reads a stream to its end.
+ * @param {Readable} stream The stream to read.
+ * @returns {Promise<string>} Resolves with the stream's contents.
+ */
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(chunks.join('')));
+  });
+}
+
+/**
+ * Reads and parses the JSON in a file (or stdin, for "-"), like normalizeText does: numbers
+ * JSON.parse would change are kept exact, and duplicate keys are errors rather than dropped.
+ * @param {string} file The file to read.
+ * @param {object} io The command's stdin, stdout and stderr streams.
+ * @returns {Promise<object>} Resolves with the file's "text" and parsed "value".
+ */
+async function readJSON(file, io) {
+  let text;
+
+  try {
+    text = file === '-' ? await readStream(io.stdin) : await readFile(file, 'utf8');
+  } catch (e) {
+    throw usageError(`${file}: ${e.message}`);
+  }
+
+  try {
+    return { text, value: parseJSON(text, { duplicates: 'error' }) };
+  } catch (e) {
+    throw usageError(`${file === '-' ? 'stdin' : file}: ${e.message}`);
+  }
+}
+
+/**
+ * Runs the --equal mode, printing the differences between the files if there are any.
+ * @param {object} options The parsed options.
+ * @param {object} io The command's stdin, stdout and stderr streams.
+ * @returns {Promise<number>} Resolves with the exit code.
+ */
+async function runEqual(options, io) {
+  const [a, b] = await Promise.all(options.files.map(file => readJSON(file, io)));
+  if (isEqual(a.value, b.value)) return EXIT_CODES.ok;
+
+  io.stderr.write(`${options.files[0]} and ${options.files[1]} differ:\n`);
+  createPatch(a.value, b.value).forEach(({ op, path }) => io.stderr.write(`  ${op} ${path || '/'}\n`));
+  return EXIT_CODES.failed;
+}
+
+/**
+ * Runs the command.
+ * @param {Array<string>} args The arguments (without the node executable and script).
+ * @param {object} io The command's stdin, stdout and stderr streams (defaults to the process').
+ * @returns {Promise<number>} Resolves with the exit code.
+ */
+export async function run(args, io = process) {
+  let code = EXIT_CODES.ok;
+
+  try {
+    const options = parseArgs(args);
+    validateArgs(options);
+
+    if (options.help) {
+      io.stdout.write(USAGE);
+      return code;
+    }
+
+    if (options.equal) return await runEqual(options, io);
+
+    const files = options.files.length ? options.files : ['-'];
+    const showNames = files.length > 1;
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      const { text, value } = await readJSON(file, io);
+      const json = `${normalizeSync(value, { space: options.indent })}\n`;
+
+      if (options.hash) {
+        const digest = hash(json.slice(0, -1), options.hash);
+        io.stdout.write(showNames ? `${digest}  ${file}\n` : `${digest}\n`);
+      } else if (options.check) {
+        if (text !== json && text !== json.slice(0, -1)) {
+          io.stderr.write(`${file} is not normalized\n`);
+          code = EXIT_CODES.failed;
+        }
+      } else if (options.write) {
+        if (text !== json) await writeFile(file, json);
+      } else {
+        io.stdout.write(json);
+      }
+    }
+  } catch (e) {
+    io.stderr.write(e.isUsageError ? `json-normalize: ${e.message}\n` : `${e.stack}\n`);
+    return EXIT_CODES.error;
+  }
+
+  return code;
+}
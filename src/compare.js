@@ -0,0 +1,76 @@
+/**
+ * Equality and ordering of values by their normalized forms.
+ */
+
+import { createSerializer, resolveOptions } from './serialize';
+
+/**
+ * The number of characters each value is serialized ahead before the outputs are compared.
+ * @type {number}
+ */
+const CHUNK_SIZE = 1024;
+
+/**
+ * Serializes two values side by side, comparing their outputs a chunk at a time, and stops at
+ * the first difference. Values that normalize to undefined compare as the empty string.
+ * @param {any} a The first value.
+ * @param {any} b The second value.
+ * @param {function|object=} options A replacer function or an options object (see normalize).
+ * @returns {number} A negative number if a's normalized JSON sorts before b's (comparing UTF-16
+ * code units), a positive number if it sorts after it, otherwise 0.
+ */
+function compareSerialized(a, b, options) {
+  const serializers = [a, b].map(value => createSerializer(value, resolveOptions(options)));
+  const buffers = ['', ''];
+  const complete = [false, false];
+
+  // Serializes the next chunk of the i-th value, unless its buffer still has output to compare.
+  const fill = (i) => {
+    const serializer = serializers[i];
+    if (buffers[i] || complete[i]) return;
+
+    complete[i] = serializer.run(() => serializer.length() >= CHUNK_SIZE);
+    buffers[i] += serializer.read();
+  };
+
+  for (;;) {
+    fill(0);
+    fill(1);
+
+    const [x, y] = buffers;
+    if (!x || !y) return (x ? 1 : 0) - (y ? 1 : 0);
+
+    const length = Math.min(x.length, y.length);
+    const chunks = [x.slice(0, length), y.slice(0, length)];
+    if (chunks[0] !== chunks[1]) return chunks[0] < chunks[1] ? -1 : 1;
+
+    buffers[0] = x.slice(length);
+    buffers[1] = y.slice(length);
+  }
+}
+
+/**
+ * Determines if two values are equal by their normalized forms, i.e. if they normalize to the
+ * same JSON (and so have the same hash) with the given options. Serialization stops at the
+ * first difference, so unequal values usually aren't serialized completely.
+ * @param {any} a The first value.
+ * @param {any} b The second value.
+ * @param {function|object=} options A replacer function or an options object (see normalize).
+ * @returns {boolean} True if the values are equal.
+ */
+export function isEqual(a, b, options) {
+  return compareSerialized(a, b, options) === 0;
+}
+
+/**
+ * Compares two values by their normalized forms. This is a deterministic total order that
+ * matches the order of their (compact) normalized JSON strings, which is also the order the
+ * elements of unordered arrays are sorted in. Values that normalize to undefined sort first.
+ * @param {any} a The first value.
+ * @param {any} b The second value.
+ * @param {function|object=} options A replacer function or an options object (see normalize).
+ * @returns {number} -1 if a sorts before b, 1 if it sorts after it, or 0 if they're equal.
+ */
+export function compare(a, b, options) {
+  return compareSerialized(a, b, options);
+}
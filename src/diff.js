@@ -0,0 +1,306 @@
+/**
+ * Structural diffs between normalized values, and RFC 6902 JSON Patches.
+ */
+
+import { setMember } from './parse';
+import { formatPointer, parsePointer, resolveStepPath } from './path';
+import { resolveOptions, serializeSync, sortKeys } from './serialize';
+
+/**
+ * The operations applyPatch supports.
+ * @type {Array<string>}
+ */
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Returns the normalized form of a value as plain JSON data, so that it can be compared
+ * structurally: keys are in normalized order and the replacer, type handlers, etc. are applied.
+ * @param {any} value The value to normalize.
+ * @param {function|object=} options A replacer function or an options object.
+ * @returns {any} The parsed normalized JSON, or undefined if the value normalizes to undefined.
+ */
+function toData(value, options) {
+  const json = serializeSync(value, resolveOptions(options));
+  return typeof json === 'undefined' ? undefined : JSON.parse(json);
+}
+
+/**
+ * Returns "array", "object" or "literal" for the given JSON value.
+ * @param {any} value The value to inspect.
+ * @returns {string} The kind of value.
+ */
+function kindOf(value) {
+  if (Array.isArray(value)) return 'array';
+  return value && typeof value === 'object' ? 'object' : 'literal';
+}
+
+/**
+ * Determines if the given object has an own property named "key".
+ * @param {object} object The object to inspect.
+ * @param {string} key The key to look for.
+ * @returns {boolean} True if the object has the property.
+ */
+function has(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Returns what comparing two objects' or two arrays' children involves, in order: the pairs of
+ * children to compare ({ key, a, b }) and the changes ({ key, change }, without their paths) of
+ * the children that were added or removed. Members are compared by key and elements by index:
+ * elements past the end of the shorter array are added (in ascending order) or removed (in
+ * descending order, so that each removal's index is still valid).
+ * @param {object|Array} a The old object or array.
+ * @param {object|Array} b The new object or array (of the same kind).
+ * @param {object} settings The resolved options (used to order keys).
+ * @returns {Array<object>} The comparisons and changes.
+ */
+function compareChildren(a, b, settings) {
+  const steps = [];
+
+  if (Array.isArray(a)) {
+    const common = Math.min(a.length, b.length);
+    for (let i = 0; i < common; i++) steps.push({ key: i, a: a[i], b: b[i] });
+    for (let i = common; i < b.length; i++) steps.push({ key: i, change: { op: 'add', value: b[i] } });
+    for (let i = a.length - 1; i >= common; i--) steps.push({ key: i, change: { op: 'remove', oldValue: a[i] } });
+    return steps;
+  }
+
+  const added = Object.keys(b).filter(key => !has(a, key));
+  const keys = sortKeys(Object.keys(a).concat(added), settings);
+
+  keys.forEach((key) => {
+    if (!has(b, key)) steps.push({ key, change: { op: 'remove', oldValue: a[key] } });
+    else if (!has(a, key)) steps.push({ key, change: { op: 'add', value: b[key] } });
+    else steps.push({ key, a: a[key], b: b[key] });
+  });
+
+  return steps;
+}
+
+/**
+ * Returns the changes between two JSON values. Like the serializer, nested values are compared
+ * on an explicit stack rather than by recursion, so deeply nested values don't overflow the call
+ * stack, and paths are only built for the changes (see path.resolveStepPath).
+ * @param {any} before The old value.
+ * @param {any} after The new value.
+ * @param {object} settings The resolved options (used to order keys).
+ * @returns {Array<object>} The changes.
+ */
+function compareData(before, after, settings) {
+  const changes = [];
+  const stack = [{ a: before, b: after, path: [] }];
+
+  while (stack.length > 0) {
+    const step = stack.pop();
+    const { a, b, change } = step;
+    const kind = kindOf(a);
+
+    if (change) {
+      changes.push(Object.assign({ op: change.op, path: resolveStepPath(step) }, change));
+    } else if (kind !== kindOf(b) || (kind === 'literal' && a !== b)) {
+      changes.push({ op: 'replace', path: resolveStepPath(step), oldValue: a, value: b });
+    } else if (kind !== 'literal') {
+      const steps = compareChildren(a, b, settings);
+      for (let i = steps.length - 1; i >= 0; i--) {
+        stack.push(Object.assign(steps[i], { parent: step }));
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Returns the changes between the normalized forms of two values, using the same rules as
+ * normalize: key order is ignored, functions are stripped and the options (the replacer,
+ * "unordered", "typed", etc.) are applied to both values.
+ * @param {any} a The old value.
+ * @param {any} b The new value.
+ * @param {function|object=} options A replacer function or an options object (see normalize).
+ * @returns {Array<object>} The changes, in order. Each change has an "op" ("add", "remove" or
+ * "replace"), the "path" of the value (an array of keys) and the (normalized) "oldValue"
+ * and/or "value". Applying them in order to a turns it into b.
+ */
+export function diff(a, b, options) {
+  const settings = resolveOptions(options);
+  const before = toData(a, options);
+  const after = toData(b, options);
+
+  if (typeof before === 'undefined' && typeof after === 'undefined') return [];
+  if (typeof before === 'undefined') return [{ op: 'add', path: [], value: after }];
+  if (typeof after === 'undefined') return [{ op: 'remove', path: [], oldValue: before }];
+  return compareData(before, after, settings);
+}
+
+/**
+ * Returns an RFC 6902 JSON Patch that turns the normalized form of a into b's (see diff).
+ * @param {any} a The old value.
+ * @param {any} b The new value.
+ * @param {function|object=} options A replacer function or an options object (see normalize).
+ * @returns {Array<object>} The JSON Patch operations.
+ */
+export function createPatch(a, b, options) {
+  return diff(a, b, options).map(change => (change.op === 'remove'
+    ? { op: 'remove', path: formatPointer(change.path) }
+    : { op: change.op, path: formatPointer(change.path), value: change.value }));
+}
+
+/**
+ * Returns a deep copy of a JSON value.
+ * @param {any} value The value to copy.
+ * @returns {any} The copy.
+ */
+function clone(value) {
+  return typeof value === 'undefined' ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Resolves the parent of the value a JSON pointer refers to.
+ * @param {any} document The document the pointer refers to a value in.
+ * @param {string} pointer The JSON pointer (which mustn't be the root's).
+ * @returns {object} The "parent" (an object or array) and the "key" of the value in it.
+ */
+function resolveParent(document, pointer) {
+  const path = parsePointer(pointer);
+  const key = path.pop();
+
+  const parent = path.reduce((value, token) => {
+    if (kindOf(value) === 'literal' || !has(value, token)) {
+      throw new Error(`JSON Patch path "${pointer}" does not exist`);
+    }
+
+    return value[token];
+  }, document);
+
+  if (kindOf(parent) === 'literal') throw new Error(`JSON Patch path "${pointer}" does not exist`);
+  return { parent, key };
+}
+
+/**
+ * Resolves the index of an array element a JSON pointer refers to.
+ * @param {Array} array The array.
+ * @param {string} key The pointer's last token.
+ * @param {string} pointer The JSON pointer (for error messages).
+ * @param {boolean} isAdding True for "add" operations, which may refer to the end of the array.
+ * @returns {number} The index.
+ */
+function resolveIndex(array, key, pointer, isAdding) {
+  if (isAdding && key === '-') return array.length;
+
+  const index = Number(key);
+  if (!/^(0|[1-9][0-9]*)$/.test(key) || index > array.length || (!isAdding && index === array.length)) {
+    throw new Error(`JSON Patch path "${pointer}" does not exist`);
+  }
+
+  return index;
+}
+
+/**
+ * Returns the value a JSON pointer refers to.
+ * @param {any} document The document.
+ * @param {string} pointer The JSON pointer.
+ * @returns {any} The value.
+ */
+function getValue(document, pointer) {
+  if (pointer === '') return document;
+
+  const { parent, key } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) return parent[resolveIndex(parent, key, pointer, false)];
+  if (!has(parent, key)) throw new Error(`JSON Patch path "${pointer}" does not exist`);
+  return parent[key];
+}
+
+/**
+ * Adds a value at the location a JSON pointer refers to (see RFC 6902, section 4.1).
+ * @param {any} document The document.
+ * @param {string} pointer The JSON pointer.
+ * @param {any} value The value to add.
+ * @returns {any} The document.
+ */
+function addValue(document, pointer, value) {
+  if (pointer === '') return value;
+
+  const { parent, key } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) parent.splice(resolveIndex(parent, key, pointer, true), 0, value);
+  else setMember(parent, key, value);
+  return document;
+}
+
+/**
+ * Removes the value a JSON pointer refers to (see RFC 6902, section 4.2).
+ * @param {any} document The document.
+ * @param {string} pointer The JSON pointer.
+ * @returns {any} The document.
+ */
+function removeValue(document, pointer) {
+  if (pointer === '') return undefined;
+
+  const { parent, key } = resolveParent(document, pointer);
+
+  if (Array.isArray(parent)) {
+    parent.splice(resolveIndex(parent, key, pointer, false), 1);
+  } else {
+    if (!has(parent, key)) throw new Error(`JSON Patch path "${pointer}" does not exist`);
+    delete parent[key];
+  }
+
+  return document;
+}
+
+/**
+ * Applies a single JSON Patch operation.
+ * @param {any} document The document to apply the operation to.
+ * @param {object} operation The operation.
+ * @returns {any} The patched document.
+ */
+function applyOperation(document, operation) {
+  const { op, path, from, value } = operation || {};
+
+  if (OPERATIONS.indexOf(op) === -1) throw new TypeError(`Invalid JSON Patch operation ${JSON.stringify(op)}`);
+  if (typeof path !== 'string') throw new TypeError(`JSON Patch operation "${op}" requires a "path"`);
+  if (['add', 'replace', 'test'].indexOf(op) > -1 && !has(operation, 'value')) {
+    throw new TypeError(`JSON Patch operation "${op}" requires a "value"`);
+  }
+
+  if ((op === 'move' || op === 'copy') && typeof from !== 'string') {
+    throw new TypeError(`JSON Patch operation "${op}" requires a "from"`);
+  }
+
+  switch (op) {
+    case 'add': return addValue(document, path, clone(value));
+    case 'remove': return removeValue(document, path);
+    case 'replace':
+      getValue(document, path);
+      return addValue(removeValue(document, path), path, clone(value));
+
+    case 'move': {
+      if (path.indexOf(`${from}/`) === 0) throw new Error(`JSON Patch can't move "${from}" into one of its children`);
+      const moved = getValue(document, from);
+      return addValue(removeValue(document, from), path, moved);
+    }
+
+    case 'copy': return addValue(document, path, clone(getValue(document, from)));
+
+    default:
+      if (serializeSync(getValue(document, path), resolveOptions())
+        !== serializeSync(value, resolveOptions())) {
+        throw new Error(`JSON Patch test failed at "${path}"`);
+      }
+
+      return document;
+  }
+}
+
+/**
+ * Applies an RFC 6902 JSON Patch to a JSON document. The document isn't modified: the patch is
+ * applied to a copy of it. "test" operations compare values by their normalized forms (so key
+ * order doesn't matter).
+ * @param {any} document The JSON document to patch.
+ * @param {Array<object>} patch The JSON Patch operations (see createPatch).
+ * @returns {any} The patched document.
+ */
+export function applyPatch(document, patch) {
+  if (!Array.isArray(patch)) throw new TypeError('A JSON Patch must be an array of operations');
+  return patch.reduce(applyOperation, clone(document));
+}
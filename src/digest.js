@@ -0,0 +1,83 @@
+/**
+ * The options and digest encodings of hashObject, shared by its node build (hash.js, with node's
+ * crypto module) and its isomorphic one (webcrypto.js, with the Web Crypto API).
+ */
+
+import { encodeBase64, encodeHex } from './bytes';
+import { NormalizeError } from './errors';
+import { resolveOptions } from './serialize';
+
+/**
+ * The encodings hashObject can return digests in ("buffer" returns the bytes themselves).
+ * @type {Array<string>}
+ */
+const ENCODINGS = ['hex', 'base64', 'base64url', 'buffer'];
+
+/**
+ * Resolves and validates the options accepted by hashObject: the normalization options (see
+ * serialize.resolveOptions), and "algorithm", "key" and "encoding".
+ * @param {function|object|undefined} options The replacer function or an options object.
+ * @param {function} isSupported Determines if the (lowercased) algorithm is supported.
+ * @returns {object} The resolved settings.
+ */
+export function resolveDigestOptions(options, isSupported) {
+  const settings = resolveOptions(options);
+  const { algorithm = 'md5', key, encoding = 'hex' } = settings;
+
+  if (typeof algorithm !== 'string' || !isSupported(algorithm.toLowerCase())) {
+    throw new TypeError(`Unsupported hash algorithm "${algorithm}"`);
+  }
+
+  if (typeof key !== 'undefined' && typeof key !== 'string' && !ArrayBuffer.isView(key)) {
+    throw new TypeError('The "key" option must be a string, Buffer or TypedArray');
+  }
+
+  if (ENCODINGS.indexOf(encoding) === -1) {
+    throw new TypeError(`Unsupported hash encoding "${encoding}"`);
+  }
+
+  return { ...settings, algorithm, encoding };
+}
+
+/**
+ * Resolves the options of the md5, sha256 and sha512 functions into hashObject's options: the
+ * normalization options, with the given algorithm, hex digests and no HMAC key.
+ * @param {string} algorithm The hash algorithm.
+ * @param {function|object=} options A replacer function or an options object.
+ * @returns {object} The hashObject options.
+ */
+export function toHashOptions(algorithm, options) {
+  const settings = typeof options === 'function' ? { replacer: options } : options;
+  return { ...settings, algorithm, encoding: 'hex', key: undefined };
+}
+
+/**
+ * Creates the error for a value that serialized to undefined (e.g. a function), which has no
+ * JSON to hash. Hashing it as the empty string would give it the digest of nothing at all.
+ * @returns {NormalizeError} The error.
+ */
+export function createUndefinedError() {
+  return new NormalizeError('Cannot hash a value that normalizes to undefined at "#"', 'ERR_UNSERIALIZABLE', []);
+}
+
+/**
+ * Returns the error for a value that serialized to undefined (see createUndefinedError).
+ * @param {object} serializer The value's serializer (see serialize.createSerializer), once run.
+ * @returns {NormalizeError|undefined} The error, if the value serialized to undefined.
+ */
+export function getUndefinedError(serializer) {
+  return serializer.isDefined() ? undefined : createUndefinedError();
+}
+
+/**
+ * Returns a digest in the given encoding. "base64url" is base64 with the URL and filename safe
+ * alphabet, without padding (see RFC 4648, section 5), and "buffer" returns the digest itself.
+ * @param {Uint8Array} bytes The digest (a Buffer, with node's crypto module).
+ * @param {string} encoding One of ENCODINGS.
+ * @returns {string|Uint8Array} The encoded digest.
+ */
+export function encodeDigest(bytes, encoding) {
+  if (encoding === 'buffer') return bytes;
+  if (encoding === 'hex') return encodeHex(bytes);
+  return encodeBase64(bytes, encoding === 'base64url');
+}
@@ -0,0 +1,76 @@
+/**
+ * The errors thrown when a value can't be normalized, or JSON text or CBOR can't be parsed.
+ */
+
+import { toPointer } from './path';
+
+/**
+ * Returns the prototype of an error type, which inherits from the given base type.
+ * @param {function} type The error type.
+ * @param {function} base The type it inherits from.
+ * @returns {object} The prototype, with the type's "name".
+ */
+function createPrototype(type, base) {
+  return Object.create(base.prototype, {
+    constructor: { value: type, writable: true, configurable: true },
+    name: { value: type.name, writable: true, configurable: true },
+  });
+}
+
+/**
+ * The error thrown when a value can't be normalized, e.g. because it's circular, exceeds a
+ * limit or (with the "strict" option) would be lost. Like the errors JSON.stringify throws, it's
+ * a TypeError. Its "code" says what went wrong, and its "path" where.
+ *
+ * Transpiled classes can't extend builtins, so the error is created as a TypeError (to get its
+ * stack) and given the prototype of the type that was constructed.
+ * @param {string} message The error message, which names the path as a JSON pointer.
+ * @param {string} code The error code, e.g. "ERR_CIRCULAR_REFERENCE".
+ * @param {Array<string>} path The path of the value that caused the error.
+ * @returns {NormalizeError} The error.
+ */
+export function NormalizeError(message, code, path) {
+  const error = new TypeError(message);
+
+  Object.setPrototypeOf(error, Object.getPrototypeOf(this));
+  return Object.assign(error, { code, path });
+}
+
+NormalizeError.prototype = createPrototype(NormalizeError, TypeError);
+
+/**
+ * The error thrown when a value exceeds one of the limit options (see limits.validateLimits).
+ * Its code is "ERR_LIMIT_EXCEEDED", and it also has the name of the "limit" option and its
+ * "max" value.
+ * @param {string} limit The name of the limit option, e.g. "maxDepth".
+ * @param {number} max The limit.
+ * @param {Array<string>} path The path of the value that exceeded the limit.
+ * @returns {LimitError} The error.
+ */
+export function LimitError(limit, max, path) {
+  const message = `The "${limit}" limit of ${max} was exceeded at "${toPointer(path)}"`;
+  return Object.assign(NormalizeError.call(this, message, 'ERR_LIMIT_EXCEEDED', path), { limit, max });
+}
+
+LimitError.prototype = createPrototype(LimitError, NormalizeError);
+
+/**
+ * The error thrown when JSON text (see parse.parseJSON) or CBOR (see cbor.decodeCbor) can't be
+ * parsed. Like the errors JSON.parse throws, it's a SyntaxError, but it has a "code" and "path"
+ * like NormalizeError: the code is "ERR_DUPLICATE_KEY" for duplicate keys and "ERR_SYNTAX"
+ * otherwise, and the path is that of the value being parsed. It also has the error's position in
+ * the input: the "line", "column" and "offset" in JSON text, and the "offset" in CBOR.
+ * @param {string} message The error message, which names the path and the position.
+ * @param {string} code The error code.
+ * @param {Array<string>} path The path of the value being parsed.
+ * @param {object} position The "offset" (and, in JSON text, the "line" and "column").
+ * @returns {ParseError} The error.
+ */
+export function ParseError(message, code, path, position) {
+  const error = new SyntaxError(message);
+
+  Object.setPrototypeOf(error, Object.getPrototypeOf(this));
+  return Object.assign(error, { code, path }, position);
+}
+
+ParseError.prototype = createPrototype(ParseError, SyntaxError);
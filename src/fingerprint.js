@@ -0,0 +1,118 @@
+/**
+ * Versioned fingerprints: self-describing hashes of normalized values, such as
+ * "jn1:sha256:<digest>", which name the normalization rules and algorithm they were made with.
+ */
+
+import { createUndefinedError } from './digest';
+import { hashString, resolveHashOptions } from './hash';
+import { serializeSync } from './serialize';
+
+/**
+ * The normalization rules of every fingerprint version. Each version returns the (compact)
+ * normalized JSON that's hashed. Any change to the serializer's output (e.g. to the order of
+ * members or the formatting of literals) must add a new version, and keep the previous ones
+ * producing their original output, so that persisted fingerprints stay verifiable.
+ * @type {object}
+ */
+const VERSIONS = {
+  // Members ordered by their serialized "key":value strings, and literals formatted like
+  // JSON.stringify (or like RFC 8785, with the "canonical" option).
+  1: (value, settings) => serializeSync(value, settings),
+};
+
+/**
+ * The version fingerprint uses by default: the latest one.
+ * @type {number}
+ */
+export const FINGERPRINT_VERSION = 1;
+
+/**
+ * Matches fingerprints, capturing their version, algorithm and digest.
+ * @type {RegExp}
+ */
+const FINGERPRINT = /^jn([1-9][0-9]*):([a-z0-9-]+):([0-9a-f]+)$/;
+
+/**
+ * Resolves the options accepted by fingerprint: the normalization options, "algorithm"
+ * (defaults to "sha256") and "version" (defaults to FINGERPRINT_VERSION). Digests are always
+ * hex, and never HMACs.
+ * @param {function|object|undefined} options The replacer function or an options object.
+ * @returns {object} The resolved settings.
+ */
+function resolveFingerprintOptions(options) {
+  const settings = typeof options === 'function' ? { replacer: options } : options;
+  const { version = FINGERPRINT_VERSION } = settings || {};
+
+  if (!Object.prototype.hasOwnProperty.call(VERSIONS, version)) {
+    throw new TypeError(`Unsupported fingerprint version "${version}"`);
+  }
+
+  const resolved = resolveHashOptions({ algorithm: 'sha256', ...settings, key: undefined, encoding: 'hex' });
+  return { ...resolved, algorithm: resolved.algorithm.toLowerCase(), version: Number(version) };
+}
+
+/**
+ * Returns a value's fingerprint (see fingerprint) with the resolved settings.
+ * @param {any} value The value to fingerprint.
+ * @param {object} settings The resolved settings (see resolveFingerprintOptions).
+ * @returns {string|undefined} The fingerprint, or undefined if the value normalizes to undefined.
+ */
+function createFingerprint(value, settings) {
+  const json = VERSIONS[settings.version](value, settings);
+
+  if (typeof json === 'undefined') return undefined;
+  return `jn${settings.version}:${settings.algorithm}:${hashString(json, settings)}`;
+}
+
+/**
+ * Returns a value's fingerprint: "jn<version>:<algorithm>:<digest>", where the digest is the
+ * hex hash of the value's compact normalized JSON under the version's rules. With the latest
+ * version, the digest is the one the hash functions (e.g. sha256Sync) return for the same
+ * options. A fingerprint only changes with the value (or the options), since a change to the
+ * rules comes with a new version, and the previous versions stay selectable.
+ * @param {any} value The value to fingerprint.
+ * @param {function|object=} options A replacer function or an options object: the normalization
+ * options (see normalize; "space" is ignored), and:
+ * @param {string=} options.algorithm Any algorithm in crypto.getHashes() (defaults to "sha256").
+ * @param {number=} options.version The version of the rules (defaults to FINGERPRINT_VERSION).
+ * @returns {string} The fingerprint. Like hashObject, values that normalize to undefined throw
+ * a NormalizeError (see digest.createUndefinedError).
+ */
+export function fingerprint(value, options) {
+  const result = createFingerprint(value, resolveFingerprintOptions(options));
+
+  if (typeof result === 'undefined') throw createUndefinedError();
+  return result;
+}
+
+/**
+ * Parses a fingerprint (see fingerprint) into its "version", "algorithm" and "digest".
+ * @param {string} string The fingerprint.
+ * @returns {object} The parsed fingerprint.
+ */
+export function parseFingerprint(string) {
+  const match = typeof string === 'string' && FINGERPRINT.exec(string);
+  if (!match) throw new TypeError(`Invalid fingerprint "${string}"`);
+
+  return { version: Number(match[1]), algorithm: match[2], digest: match[3] };
+}
+
+/**
+ * Determines if a fingerprint is the given value's: the value is fingerprinted again with the
+ * fingerprint's own version and algorithm, so fingerprints made with older versions (or other
+ * algorithms) are verified as they were made.
+ * @param {any} value The value.
+ * @param {string} string The fingerprint (see fingerprint).
+ * @param {function|object=} options The normalization options the fingerprint was made with.
+ * Its "version" and "algorithm" are ignored.
+ * @returns {boolean} True if the fingerprint matches the value (so false if the value normalizes
+ * to undefined, and has no fingerprint).
+ */
+export function verifyFingerprint(value, string, options) {
+  const { version, algorithm } = parseFingerprint(string);
+  const settings = typeof options === 'function' ? { replacer: options } : options;
+
+  const resolved = resolveFingerprintOptions({ ...settings, version, algorithm });
+
+  return createFingerprint(value, resolved) === string;
+}
@@ -0,0 +1,102 @@
+/**
+ * Resolves the "space" option like JSON.stringify resolves its space parameter.
+ * @param {number|string|undefined} space The number of spaces, or the string to indent with.
+ * @returns {string} The string to indent each level with (empty for compact output).
+ */
+export function resolveSpace(space) {
+  if (typeof space === 'number') return ' '.repeat(Math.min(10, Math.max(0, Math.floor(space))));
+  return typeof space === 'string' ? space.slice(0, 10) : '';
+}
+
+/**
+ * Creates a function that indents compact JSON. The JSON may be passed in as one string or in
+ * consecutive chunks, as state is kept between calls. Output matches JSON.stringify's: one
+ * member or element per line, ": " between keys and values and "{}"/"[]" for empty objects and
+ * arrays. Re-indenting the normalized output (rather than indenting while serializing) keeps
+ * the order of unordered arrays the same as the compact output.
+ * @param {string} gap The string to indent each level with (see resolveSpace).
+ * @returns {function} A function that takes a chunk of compact JSON and returns it indented.
+ */
+export function createIndenter(gap) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let opened = false;
+
+  const newline = () => `\n${gap.repeat(depth)}`;
+
+  // Formats a single character of the compact JSON.
+  const write = (char) => {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      return char;
+    }
+
+    switch (char) {
+      case '"':
+        inString = true;
+        return char;
+
+      case '{':
+      case '[':
+        opened = true;
+        return char;
+
+      case '}':
+      case ']':
+        depth--;
+        return newline() + char;
+
+      case ',': return `,${newline()}`;
+      case ':': return ': ';
+      default: return char;
+    }
+  };
+
+  return (chunk) => {
+    let results = '';
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+      const wasOpened = opened;
+      opened = false;
+
+      // Objects and arrays are only indented if they aren't empty.
+      if (wasOpened && (char === '}' || char === ']')) {
+        results += char;
+      } else {
+        if (wasOpened) {
+          depth++;
+          results += newline();
+        }
+
+        results += write(char);
+      }
+    }
+
+    return results;
+  };
+}
+
+/**
+ * Creates a function that indents chunks of compact JSON per the "space" option.
+ * @param {object} settings The resolved options.
+ * @returns {function} A function that takes a chunk and returns it indented.
+ */
+export function createFormatter(settings) {
+  const gap = resolveSpace(settings.space);
+  return gap ? createIndenter(gap) : chunk => chunk;
+}
+
+/**
+ * Indents compact JSON (see createIndenter).
+ * @param {string} json The compact JSON to indent.
+ * @param {number|string} space The number of spaces, or the string to indent with.
+ * @returns {string} The indented JSON.
+ */
+export function indent(json, space) {
+  const gap = resolveSpace(space);
+  return gap && typeof json === 'string' ? createIndenter(gap)(json) : json;
+}
@@ -0,0 +1,112 @@
+/**
+ * Hashes of normalized values, with any algorithm node's crypto module supports, HMACs and a
+ * choice of output encodings.
+ */
+
+import crypto from 'crypto';
+import { encodeDigest, getUndefinedError, resolveDigestOptions } from './digest';
+import { createFormatter } from './format';
+import { runInSlices } from './scheduler';
+import { createSerializer } from './serialize';
+
+/**
+ * Resolves and validates the options accepted by hashObject (see digest.resolveDigestOptions),
+ * whose "algorithm" may be any in crypto.getHashes().
+ * @param {function|object|undefined} options The replacer function or an options object.
+ * @returns {object} The resolved settings.
+ */
+export function resolveHashOptions(options) {
+  return resolveDigestOptions(options, algorithm => crypto.getHashes().indexOf(algorithm) > -1);
+}
+
+/**
+ * Creates the Hash (or, if there's a "key", the Hmac) for the given settings.
+ * @param {object} settings The resolved settings (see resolveHashOptions).
+ * @returns {Hash|Hmac} The hash.
+ */
+function createDigest({ algorithm, key }) {
+  return typeof key === 'undefined'
+    ? crypto.createHash(algorithm)
+    : crypto.createHmac(algorithm, key);
+}
+
+/**
+ * Hashes a string with the given settings (see resolveHashOptions).
+ * @param {string} input The string to hash.
+ * @param {object} settings The resolved settings.
+ * @returns {string|Buffer} The digest, in the given encoding.
+ */
+export function hashString(input, settings) {
+  return encodeDigest(createDigest(settings).update(input).digest(), settings.encoding);
+}
+
+/**
+ * Hashes the normalized JSON for the given value. The JSON is hashed as it's generated, in
+ * slices that yield to the event loop (see scheduler.runInSlices), so it's never held in memory
+ * as a whole. With the default options, the digest is identical to the one md5 returns. Values
+ * that normalize to undefined pass a NormalizeError (see digest.getUndefinedError).
+ * @param {any} input The value to hash.
+ * @param {function|object=} options A replacer function or an options object: the normalization
+ * options (see normalize, including "replacer"), and:
+ * @param {string=} options.algorithm Any algorithm in crypto.getHashes() (defaults to "md5").
+ * @param {string|Buffer=} options.key A secret key, which makes the digest an HMAC.
+ * @param {string=} options.encoding "hex" (the default), "base64", "base64url" or "buffer".
+ * @param {function} complete A callback for completion.
+ * @returns {undefined}
+ */
+export function hashObject(input, options, complete) {
+  let settings = options;
+  let done = complete;
+
+  if (typeof done === 'undefined' && typeof settings === 'function') {
+    settings = undefined;
+    done = options;
+  }
+
+  if (typeof done !== 'function') return;
+
+  let serializer;
+  let format;
+  let digest;
+
+  try {
+    settings = resolveHashOptions(settings);
+    serializer = createSerializer(input, settings);
+    format = createFormatter(settings);
+    digest = createDigest(settings);
+  } catch (e) {
+    process.nextTick(() => done(e));
+    return;
+  }
+
+  const work = (shouldPause) => {
+    const finished = serializer.run(shouldPause);
+    digest.update(format(serializer.read()));
+    return finished;
+  };
+
+  runInSlices(work, settings, (e) => {
+    const error = e || getUndefinedError(serializer);
+    done(error, error ? undefined : encodeDigest(digest.digest(), settings.encoding));
+  });
+}
+
+/**
+ * Hashes the normalized JSON for the given value synchronously (see hashObject).
+ * @param {any} input The value to hash.
+ * @param {function|object=} options A replacer function or an options object (see hashObject).
+ * @returns {string|Buffer} The digest, in the given encoding.
+ */
+export function hashObjectSync(input, options) {
+  const settings = resolveHashOptions(options);
+  const serializer = createSerializer(input, settings);
+  const digest = createDigest(settings);
+
+  serializer.run(() => false);
+
+  const error = getUndefinedError(serializer);
+  if (error) throw error;
+
+  digest.update(createFormatter(settings)(serializer.read()));
+  return encodeDigest(digest.digest(), settings.encoding);
+}
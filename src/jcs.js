@@ -0,0 +1,75 @@
+/**
+ * Serialization rules for RFC 8785, the JSON Canonicalization Scheme (JCS).
+ * @see https://www.rfc-editor.org/rfc/rfc8785
+ */
+
+/**
+ * The short escape sequences RFC 8785 (section 3.2.2.2) requires for control characters.
+ * @type {object<string>}
+ */
+const ESCAPES = {
+  0x08: '\\b',
+  0x09: '\\t',
+  0x0a: '\\n',
+  0x0c: '\\f',
+  0x0d: '\\r',
+  0x22: '\\"',
+  0x5c: '\\\\',
+};
+
+/**
+ * Serializes a string using the minimal escaping rules of RFC 8785.
+ * Lone surrogates are rejected, as JCS input must be I-JSON (RFC 7493).
+ * @param {string} value The string to serialize.
+ * @returns {string} The quoted, escaped string.
+ */
+export function serializeString(value) {
+  let results = '"';
+
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+
+    if (ESCAPES[code]) {
+      results += ESCAPES[code];
+    } else if (code < 0x20) {
+      results += `\\u${`000${code.toString(16)}`.slice(-4)}`;
+    } else if (code >= 0xd800 && code <= 0xdbff) {
+      const next = value.charCodeAt(i + 1);
+      if (!(next >= 0xdc00 && next <= 0xdfff)) {
+        throw new TypeError(`RFC 8785 does not permit the lone surrogate \\u${code.toString(16)}`);
+      }
+
+      results += value[i] + value[++i];
+    } else if (code >= 0xdc00 && code <= 0xdfff) {
+      throw new TypeError(`RFC 8785 does not permit the lone surrogate \\u${code.toString(16)}`);
+    } else {
+      results += value[i];
+    }
+  }
+
+  return `${results}"`;
+}
+
+/**
+ * Serializes a number using the ECMAScript Number.prototype.toString algorithm, which
+ * RFC 8785 (section 3.2.2.3) adopts verbatim. NaN and Infinity have no JSON representation.
+ * @param {number} value The number to serialize.
+ * @returns {string} The serialized number.
+ */
+export function serializeNumber(value) {
+  if (!isFinite(value)) throw new TypeError(`RFC 8785 does not permit the number ${value}`);
+  return String(value);
+}
+
+/**
+ * Serializes a literal value (anything that isn't an object or array) per RFC 8785.
+ * @param {any} value The literal to serialize.
+ * @returns {string|undefined} The serialized literal, or undefined for values JSON omits.
+ */
+export function serializeLiteral(value) {
+  switch (typeof value) {
+    case 'string': return serializeString(value);
+    case 'number': return serializeNumber(value);
+    default: return JSON.stringify(value);
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Limits on the values that are normalized, for input that can't be trusted (e.g. request
+ * bodies): how deeply they're nested, how many members they have and how large their output is.
+ */
+
+/**
+ * The limit options, which must be non-negative integers.
+ * @type {Array<string>}
+ */
+const LIMITS = ['maxDepth', 'maxKeys', 'maxArrayLength', 'maxBytes'];
+
+/**
+ * Validates the "maxDepth", "maxKeys", "maxArrayLength" and "maxBytes" options.
+ * @param {object} settings The options to validate.
+ * @returns {undefined}
+ */
+export function validateLimits(settings) {
+  LIMITS.forEach((limit) => {
+    const max = settings[limit];
+
+    if (typeof max !== 'undefined' && !(Number.isInteger(max) && max >= 0)) {
+      throw new TypeError(`The "${limit}" option must be a non-negative integer`);
+    }
+  });
+}
+
+/**
+ * Returns the number of bytes the given string takes up as UTF-8. Well-formed JSON (as the
+ * serializer writes it) has no lone surrogates, so each half of a surrogate pair counts as 2.
+ * @param {string} string The string to measure.
+ * @returns {number} The string's UTF-8 length.
+ */
+export function byteLength(string) {
+  let length = string.length;
+
+  for (let i = 0; i < string.length; i++) {
+    const code = string.charCodeAt(i);
+    if (code >= 0x80) length += code >= 0x800 && (code < 0xd800 || code > 0xdfff) ? 2 : 1;
+  }
+
+  return length;
+}
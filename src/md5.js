@@ -0,0 +1,129 @@
+/**
+ * MD5 (RFC 1321) and HMAC-MD5 (RFC 2104) in plain JavaScript, for runtimes whose Web Crypto API
+ * doesn't support MD5 (none do). Digests are identical to node's crypto module's.
+ */
+
+// MD5 works on 32-bit words.
+/* eslint-disable no-bitwise */
+
+/**
+ * The per-step constants: floor(abs(sin(i + 1)) * 2^32). They're written out rather than
+ * computed, since Math.sin's precision varies between engines.
+ * @type {Array<number>}
+ */
+const K = [
+  0xd76aa478, 0xe8c7b756, 0x242070db, 0xc1bdceee, 0xf57c0faf, 0x4787c62a, 0xa8304613, 0xfd469501,
+  0x698098d8, 0x8b44f7af, 0xffff5bb1, 0x895cd7be, 0x6b901122, 0xfd987193, 0xa679438e, 0x49b40821,
+  0xf61e2562, 0xc040b340, 0x265e5a51, 0xe9b6c7aa, 0xd62f105d, 0x02441453, 0xd8a1e681, 0xe7d3fbc8,
+  0x21e1cde6, 0xc33707d6, 0xf4d50d87, 0x455a14ed, 0xa9e3e905, 0xfcefa3f8, 0x676f02d9, 0x8d2a4c8a,
+  0xfffa3942, 0x8771f681, 0x6d9d6122, 0xfde5380c, 0xa4beea44, 0x4bdecfa9, 0xf6bb4b60, 0xbebfbc70,
+  0x289b7ec6, 0xeaa127fa, 0xd4ef3085, 0x04881d05, 0xd9d4d039, 0xe6db99e5, 0x1fa27cf8, 0xc4ac5665,
+  0xf4292244, 0x432aff97, 0xab9423a7, 0xfc93a039, 0x655b59c3, 0x8f0ccc92, 0xffeff47d, 0x85845dd1,
+  0x6fa87e4f, 0xfe2ce6e0, 0xa3014314, 0x4e0811a1, 0xf7537e82, 0xbd3af235, 0x2ad7d2bb, 0xeb86d391,
+];
+
+/**
+ * The left rotations of each round's four steps.
+ * @type {Array<Array<number>>}
+ */
+const SHIFTS = [[7, 12, 17, 22], [5, 9, 14, 20], [4, 11, 16, 23], [6, 10, 15, 21]];
+
+/**
+ * MD5's block size, in bytes (which HMAC pads keys to).
+ * @type {number}
+ */
+const BLOCK_SIZE = 64;
+
+/**
+ * Pads a message (with a 1 bit, zeros and its length in bits) and splits it into little-endian
+ * 32-bit words, 16 per block.
+ * @param {Uint8Array} bytes The message.
+ * @returns {Int32Array} The words.
+ */
+function toWords(bytes) {
+  const words = new Int32Array((((bytes.length + 8) >>> 6) + 1) * 16);
+
+  for (let i = 0; i < bytes.length; i++) words[i >> 2] |= bytes[i] << ((i % 4) * 8);
+  words[bytes.length >> 2] |= 0x80 << ((bytes.length % 4) * 8);
+
+  words[words.length - 2] = bytes.length * 8;
+  words[words.length - 1] = Math.floor(bytes.length / 0x20000000);
+  return words;
+}
+
+/**
+ * Returns the MD5 digest of the given bytes.
+ * @param {Uint8Array} bytes The message.
+ * @returns {Uint8Array} The 16 byte digest.
+ */
+export function md5(bytes) {
+  const words = toWords(bytes);
+  const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+
+  for (let offset = 0; offset < words.length; offset += 16) {
+    let a = state[0];
+    let b = state[1];
+    let c = state[2];
+    let d = state[3];
+
+    for (let i = 0; i < 64; i++) {
+      const round = i >> 4;
+      let f;
+      let g;
+
+      if (round === 0) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (round === 1) {
+        f = (d & b) | (~d & c);
+        g = ((5 * i) + 1) % 16;
+      } else if (round === 2) {
+        f = b ^ c ^ d;
+        g = ((3 * i) + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+
+      const sum = (a + f + K[i] + words[offset + g]) | 0;
+      const shift = SHIFTS[round][i % 4];
+
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+    }
+
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+  }
+
+  const digest = new Uint8Array(16);
+  for (let i = 0; i < 16; i++) digest[i] = state[i >> 2] >>> ((i % 4) * 8);
+  return digest;
+}
+
+/**
+ * Returns the HMAC-MD5 of the given bytes.
+ * @param {Uint8Array} key The secret key.
+ * @param {Uint8Array} bytes The message.
+ * @returns {Uint8Array} The 16 byte digest.
+ */
+export function hmacMd5(key, bytes) {
+  const block = new Uint8Array(BLOCK_SIZE);
+  block.set(key.length > BLOCK_SIZE ? md5(key) : key);
+
+  const inner = new Uint8Array(BLOCK_SIZE + bytes.length);
+  const outer = new Uint8Array(BLOCK_SIZE + 16);
+
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    inner[i] = block[i] ^ 0x36;
+    outer[i] = block[i] ^ 0x5c;
+  }
+
+  inner.set(bytes, BLOCK_SIZE);
+  outer.set(md5(inner), BLOCK_SIZE);
+  return md5(outer);
+}
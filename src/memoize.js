@@ -0,0 +1,194 @@
+/**
+ * Memoization keyed by the hashes of normalized arguments, with a pluggable cache store.
+ */
+
+import { hashObjectSync } from './hash';
+
+/**
+ * The memoize options that configure the cache. Every other option is passed to hashObjectSync
+ * to derive the keys.
+ * @type {Array<string>}
+ */
+const CACHE_OPTIONS = ['args', 'max', 'store', 'ttl'];
+
+/**
+ * Determines if the given value is a "thenable" (a promise, of any implementation).
+ * @param {any} value The value to inspect.
+ * @returns {boolean} True if the value has a "then" method.
+ */
+function isThenable(value) {
+  return Boolean(value) && typeof value.then === 'function';
+}
+
+/**
+ * Validates a number of milliseconds or entries: undefined, or a positive number.
+ * @param {any} value The value to validate.
+ * @param {string} name The option's name (for the error message).
+ * @returns {undefined}
+ */
+function validateLimit(value, name) {
+  if (typeof value !== 'undefined' && !(typeof value === 'number' && value > 0)) {
+    throw new TypeError(`The "${name}" option must be a positive number`);
+  }
+}
+
+/**
+ * Creates an in-memory cache store that evicts its least recently used entry once it holds "max"
+ * entries, and expires entries "ttl" milliseconds after they're set. This is memoize's default
+ * store, and implements the store interface: get(key), set(key, value[, ttl]) and delete(key).
+ * Expired entries are dropped when they're read or evicted.
+ * @param {object=} options The "max" number of entries and the default "ttl" (both unlimited by
+ * default).
+ * @returns {object} The store, which also has "clear" and "size" methods.
+ */
+export function createMemoryStore({ max, ttl } = {}) {
+  validateLimit(max, 'max');
+  validateLimit(ttl, 'ttl');
+
+  // Map iterates in insertion order, so re-inserting entries as they're used keeps the least
+  // recently used one first.
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      entries.delete(key);
+      if (entry.expires <= Date.now()) return undefined;
+
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value, expiry = ttl) {
+      const expires = typeof expiry === 'undefined' ? Infinity : Date.now() + expiry;
+
+      entries.delete(key);
+      entries.set(key, { value, expires });
+      if (entries.size > max) entries.delete(entries.keys().next().value);
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    size() {
+      return entries.size;
+    },
+  };
+}
+
+/**
+ * Resolves the "args" option into a function that selects the arguments that feed the key.
+ * @param {function|Array<number>|undefined} args A function that takes the arguments (as an
+ * array) and returns the value to key them by, or the indexes of the arguments to use.
+ * @returns {function} A function that takes the arguments and returns the value to hash.
+ */
+function resolveArgs(args) {
+  if (typeof args === 'undefined') return values => values;
+  if (typeof args === 'function') return args;
+
+  if (!Array.isArray(args) || !args.every(index => Number.isInteger(index) && index >= 0)) {
+    throw new TypeError('The "args" option must be a function or an array of argument indexes');
+  }
+
+  return values => args.map(index => values[index]);
+}
+
+/**
+ * Memoizes a function by the normalized form of its arguments, so calls with "equivalent"
+ * arguments (regardless of key order, etc.) share a cache entry. The key is the hash of the
+ * (selected) arguments, computed with hashObjectSync and the normalization options, e.g. a
+ * "replacer" or "omit" rules that skip volatile fields like request IDs.
+ *
+ * Results are cached in the "store" (a memory store by default, see createMemoryStore) as
+ * { value } entries, or { value, async: true } for the values of promises, so a cached value is
+ * returned the way it was (a promise of it, for async functions) even by the other functions
+ * that share the store. Stores may be asynchronous (their methods returning promises, like a
+ * Redis client's), in which case the memoized function returns promises. When the function
+ * returns a promise, concurrent calls with the same key share it while it's pending, its
+ * resolved value is cached, and rejections aren't cached. Undefined results aren't cached, as
+ * stores return undefined for misses.
+ * @param {function} fn The function to memoize.
+ * @param {object=} options The normalization options (see hashObject), and:
+ * @param {function|Array<number>=} options.args The arguments that feed the key: the indexes
+ * of the arguments, or a function that takes the arguments and returns the value to hash.
+ * @param {number=} options.max The maximum number of entries the default store holds (which
+ * can't be combined with a "store").
+ * @param {number=} options.ttl The number of milliseconds results are cached for.
+ * @param {object=} options.store The cache store, with get(key), set(key, value[, ttl]) and
+ * delete(key) methods that may return promises.
+ * @returns {function} The memoized function, which has "store", "keyFor(...args)" and
+ * "delete(...args)" members.
+ */
+export function memoize(fn, options = {}) {
+  if (typeof fn !== 'function') throw new TypeError('memoize requires a function');
+  if (typeof options.max !== 'undefined' && typeof options.store !== 'undefined') {
+    throw new TypeError('The "max" option only applies to the default store; pass createMemoryStore({ max }) as the "store" instead');
+  }
+
+  const { args, max, store = createMemoryStore({ max }), ttl } = options;
+  const hashOptions = { ...options };
+  CACHE_OPTIONS.forEach((name) => { delete hashOptions[name]; });
+
+  validateLimit(ttl, 'ttl');
+  if (!store || ['get', 'set', 'delete'].some(method => typeof store[method] !== 'function')) {
+    throw new TypeError('The "store" option must have get, set and delete methods');
+  }
+
+  const select = resolveArgs(args);
+  const pending = new Map();
+
+  const keyFor = (...values) => hashObjectSync(select(values), hashOptions);
+
+  // Calls the function and caches its result, sharing pending promises between callers.
+  const call = (context, values, key) => {
+    if (pending.has(key)) return pending.get(key);
+
+    const result = fn.apply(context, values);
+
+    if (!isThenable(result)) {
+      if (typeof result === 'undefined') return result;
+
+      const stored = store.set(key, { value: result }, ttl);
+      return isThenable(stored) ? Promise.resolve(stored).then(() => result) : result;
+    }
+
+    const promise = Promise.resolve(result)
+      .then(value => Promise.resolve(typeof value === 'undefined'
+        || store.set(key, { value, async: true }, ttl)).then(() => value))
+      .finally(() => pending.delete(key));
+
+    pending.set(key, promise);
+    return promise;
+  };
+
+  /**
+   * The memoized function.
+   * @param {...any} values The arguments to call the function with.
+   * @returns {any} The (cached) result.
+   */
+  function memoized(...values) {
+    const key = keyFor(...values);
+    const cached = store.get(key);
+
+    if (isThenable(cached)) {
+      return Promise.resolve(cached)
+        .then(entry => (typeof entry === 'undefined' ? call(this, values, key) : entry.value));
+    }
+
+    if (typeof cached === 'undefined') return call(this, values, key);
+    return cached.async ? Promise.resolve(cached.value) : cached.value;
+  }
+
+  return Object.assign(memoized, {
+    store,
+    keyFor,
+    delete: (...values) => store.delete(keyFor(...values)),
+  });
+}
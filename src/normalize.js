@@ -0,0 +1,93 @@
+/**
+ * The normalize and stringify functions, which (unlike hashing) don't depend on node's crypto
+ * module, so both the node build (index.js) and the isomorphic one (browser.js) export them.
+ */
+
+import { indent } from './format';
+import { parseJSON } from './parse';
+import { resolveOptions, serialize, serializeSync } from './serialize';
+
+/**
+ * Exported wrapper around the serialize function.
+ * @param {object} obj The object to serialize.
+ * @param {function|object=} options A replacer function (like the replacer function passed to
+ * JSON.stringify), or an options object (see resolveOptions).
+ * @param {function} complete A callback for completion.
+ * @returns {undefined}
+ */
+export function normalize(obj, options, complete) {
+  let settings = options;
+  let done = complete;
+
+  // Rearrange arguements for options/complete parameters based on value
+  if (typeof done === 'undefined' && typeof settings === 'function') {
+    settings = undefined;
+    done = options;
+  }
+
+  // No reason to continue, no callback was provided.
+  if (typeof done !== 'function') return;
+
+  try {
+    settings = resolveOptions(settings);
+  } catch (e) {
+    setImmediate(() => done(e));
+    return;
+  }
+
+  serialize(obj, settings, (e, results) =>
+    done(e, e ? undefined : indent(results, settings.space)));
+}
+
+/**
+ * Exported wrapper around the serializeSync function.
+ * @param {object} obj The object to serialize.
+ * @param {function|object=} options A replacer function (like the replacer function passed to
+ * JSON.stringify), or an options object (see resolveOptions).
+ * @param {number|string=} space Indents the output, like JSON.stringify's space parameter. This
+ * takes precedence over the "space" option.
+ * @returns {string} A "normalized JSON string", which always returns the same string, if passed
+ * the same object, regardless of key order.
+ */
+export function normalizeSync(obj, options, space) {
+  const settings = resolveOptions(options);
+  return indent(serializeSync(obj, settings), typeof space === 'undefined' ? settings.space : space);
+}
+
+/**
+ * Parses JSON text (see parse.parseJSON) and normalizes it (see normalizeSync). Duplicate keys
+ * are rejected (or resolved, per the "duplicates" option) rather than silently dropped, and
+ * numeric literals are kept exactly as written (so 64-bit integers aren't rounded).
+ * @param {string} text The JSON text.
+ * @param {function|object=} options A replacer function or an options object (see
+ * resolveOptions), and "duplicates": "error" (the default), "first" or "last".
+ * @param {number|string=} space Indents the output (see normalizeSync).
+ * @returns {string|undefined} The normalized JSON.
+ */
+export function normalizeText(text, options, space) {
+  const duplicates = options && typeof options === 'object' ? options.duplicates : undefined;
+  return normalizeSync(parseJSON(text, { duplicates }), options, space);
+}
+
+/**
+ * Alias for "normalize".
+ * @param {object} obj The object to serialize.
+ * @param {function|object=} options A replacer function or an options object.
+ * @param {function} complete A callback for completion.
+ * @returns {undefined}
+ */
+export function stringify(...args) {
+  return normalize(...args);
+}
+
+/**
+ * Alias for "normalizeSync".
+ * @param {object} obj The object to serialize.
+ * @param {function|object=} options A replacer function or an options object.
+ * @param {number|string=} space Indents the output, like JSON.stringify's space parameter.
+ * @returns {string} A "normalized JSON string", which always returns the same string, if passed
+ * the same object, regardless of key order.
+ */
+export function stringifySync(...args) {
+  return normalizeSync(...args);
+}
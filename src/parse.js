@@ -0,0 +1,259 @@
+/**
+ * A JSON parser for normalizing JSON text: it rejects (or resolves) duplicate keys, keeps
+ * numeric literals exactly as written and reports errors by path, line and column.
+ */
+
+import { ParseError } from './errors';
+import { toPointer } from './path';
+
+/**
+ * The ways parseJSON can handle duplicate keys.
+ * @type {Array<string>}
+ */
+const DUPLICATE_MODES = ['error', 'first', 'last'];
+
+/**
+ * Matches a JSON number (see RFC 8259, section 6).
+ * @type {RegExp}
+ */
+const NUMBER = /-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][+-]?[0-9]+)?/g;
+
+/**
+ * The characters that may follow a backslash in a JSON string (other than "u").
+ * @type {string}
+ */
+const ESCAPES = '"\\/bfnrt';
+
+/**
+ * The prototype of raw numbers (see createRawNumber).
+ * @type {object}
+ */
+const RAW_NUMBER = {
+  valueOf() {
+    return Number(this.text);
+  },
+
+  toString() {
+    return this.text;
+  },
+};
+
+/**
+ * A value returned by "open" for objects and arrays, whose members are parsed next.
+ * @type {object}
+ */
+const OPENED = {};
+
+/**
+ * Creates a "raw number", which holds a numeric literal as it was written. The serializer
+ * writes raw numbers' text as is (except with the "canonical" option set to "jcs", which
+ * requires ECMAScript number serialization). Raw numbers convert to numbers (with valueOf), so
+ * replacers can still compare them or do arithmetic with them.
+ * @param {string} text The numeric literal.
+ * @returns {object} The raw number, with the literal as its "text".
+ */
+export function createRawNumber(text) {
+  return Object.freeze(Object.assign(Object.create(RAW_NUMBER), { text }));
+}
+
+/**
+ * Determines if the given value is a raw number (see createRawNumber).
+ * @param {any} value The value to inspect.
+ * @returns {boolean} True if the value is a raw number.
+ */
+export function isRawNumber(value) {
+  return Boolean(value) && typeof value === 'object' && Object.getPrototypeOf(value) === RAW_NUMBER;
+}
+
+/**
+ * Sets an object's member. Unlike an assignment, this creates an own property named
+ * "__proto__" (like JSON.parse does) rather than setting the object's prototype.
+ * @param {object} object The object to set the member of.
+ * @param {string} key The member's key.
+ * @param {any} value The member's value.
+ * @returns {object} The object.
+ */
+export function setMember(object, key, value) {
+  const descriptor = { value, enumerable: true, writable: true, configurable: true };
+  return Object.defineProperty(object, key, descriptor);
+}
+
+/**
+ * Returns the line and column (both starting at 1) of an offset in a string.
+ * @param {string} text The string.
+ * @param {number} offset The offset.
+ * @returns {object} The "line" and "column".
+ */
+function locate(text, offset) {
+  const lines = text.slice(0, offset).split(/\r\n|\r|\n/);
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Parses JSON text. Unlike JSON.parse, duplicate keys are rejected by default, numbers that
+ * JSON.parse would change (e.g. 12345678901234567890, 1.0 or 1E3) are parsed as raw numbers
+ * (see createRawNumber) and errors are ParseErrors (see errors.ParseError) that report where
+ * they occurred. Nested objects and arrays are tracked on an explicit stack, so deeply nested
+ * text doesn't overflow the call stack.
+ * @param {string} text The JSON text.
+ * @param {object=} options The options:
+ * @param {string=} options.duplicates "error" (the default) to throw on duplicate keys, or
+ * "first" or "last" for the occurrence that wins.
+ * @returns {any} The parsed value.
+ */
+export function parseJSON(text, { duplicates = 'error' } = {}) {
+  if (typeof text !== 'string') throw new TypeError('parseJSON requires a string');
+  if (DUPLICATE_MODES.indexOf(duplicates) === -1) {
+    throw new TypeError(`Unsupported duplicates mode "${duplicates}"`);
+  }
+
+  const stack = [];
+  let index = 0;
+
+  // Returns the path of the value being parsed, as far as it's known.
+  const getPath = () => stack.reduce((path, frame) => {
+    const key = frame.isArray ? frame.value.length : frame.key;
+    return typeof key === 'undefined' ? path : path.concat(String(key));
+  }, []);
+
+  // Throws a ParseError that reports the path, line and column of the given offset.
+  const fail = (message, offset = index, path = getPath(), code = 'ERR_SYNTAX') => {
+    const { line, column } = locate(text, offset);
+    const location = `"${toPointer(path)}", line ${line}, column ${column}`;
+    throw new ParseError(`${message} at ${location}`, code, path, { line, column, offset });
+  };
+
+  const unexpected = () => (index < text.length
+    ? fail(`Unexpected token ${JSON.stringify(text[index])} in JSON`)
+    : fail('Unexpected end of JSON input'));
+
+  const skipWhitespace = () => {
+    while (index < text.length && ' \t\n\r'.indexOf(text[index]) > -1) index++;
+  };
+
+  const expect = (char) => {
+    skipWhitespace();
+    if (text[index] !== char) unexpected();
+    index++;
+    skipWhitespace();
+  };
+
+  const parseString = () => {
+    const start = index;
+    let escaped = false;
+
+    for (index++; text[index] !== '"'; index++) {
+      const code = text.charCodeAt(index);
+
+      if (index >= text.length) fail('Unterminated string in JSON', start);
+      if (code < 0x20) fail('Bad control character in string literal in JSON');
+
+      if (code === 0x5c) {
+        const next = text[++index];
+        const isUnicode = next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(index + 1, index + 5));
+
+        if (!isUnicode && !(next && next !== 'u' && ESCAPES.indexOf(next) > -1)) {
+          fail('Bad escaped character in JSON');
+        }
+
+        if (isUnicode) index += 4;
+        escaped = true;
+      }
+    }
+
+    index++;
+    return escaped ? JSON.parse(text.slice(start, index)) : text.slice(start + 1, index - 1);
+  };
+
+  const parseNumber = () => {
+    NUMBER.lastIndex = index;
+    const match = NUMBER.exec(text);
+    if (!match || match.index !== index) unexpected();
+
+    const literal = match[0];
+    const number = Number(literal);
+    index += literal.length;
+    return JSON.stringify(number) === literal ? number : createRawNumber(literal);
+  };
+
+  const parseWord = (word, value) => {
+    if (text.slice(index, index + word.length) !== word) unexpected();
+    index += word.length;
+    return value;
+  };
+
+  // Parses a literal, or opens an object or array (pushing it onto the stack).
+  const open = () => {
+    switch (text[index]) {
+      case '{':
+      case '[': {
+        const isArray = text[index++] === '[';
+        stack.push({ isArray, value: isArray ? [] : {} });
+        skipWhitespace();
+        return OPENED;
+      }
+
+      case '"': return parseString();
+      case 't': return parseWord('true', true);
+      case 'f': return parseWord('false', false);
+      case 'n': return parseWord('null', null);
+      default: return parseNumber();
+    }
+  };
+
+  // Parses the key of the next member of the object on top of the stack.
+  const parseKey = (frame) => {
+    if (text[index] !== '"') unexpected();
+    Object.assign(frame, { keyOffset: index, key: parseString() });
+    expect(':');
+  };
+
+  // Adds a parsed value to the object or array on top of the stack.
+  const add = (frame, value) => {
+    const { key } = frame;
+    if (frame.isArray) return frame.value.push(value);
+
+    Object.assign(frame, { key: undefined });
+    if (Object.prototype.hasOwnProperty.call(frame.value, key)) {
+      if (duplicates === 'error') {
+        const path = getPath().concat(key);
+        fail(`Duplicate key ${JSON.stringify(key)} in JSON`, frame.keyOffset, path, 'ERR_DUPLICATE_KEY');
+      }
+
+      if (duplicates === 'first') return undefined;
+    }
+
+    return setMember(frame.value, key, value);
+  };
+
+  skipWhitespace();
+  let value = open();
+
+  for (;;) {
+    const frame = stack[stack.length - 1];
+    const close = frame && (frame.isArray ? ']' : '}');
+
+    if (!frame) break;
+
+    // Checks what follows a value before adding it, so errors still report the value's path.
+    if (value !== OPENED) {
+      skipWhitespace();
+      if (text[index] !== ',' && text[index] !== close) unexpected();
+      add(frame, value);
+    }
+
+    if (text[index] === close) {
+      index++;
+      stack.pop();
+      value = frame.value;
+    } else {
+      if (value !== OPENED) expect(',');
+      if (!frame.isArray) parseKey(frame);
+      value = open();
+    }
+  }
+
+  skipWhitespace();
+  if (index < text.length) unexpected();
+  return value;
+}
@@ -0,0 +1,112 @@
+/**
+ * Helpers for the paths of values within the value being normalized.
+ * A path is the list of keys (as strings) that lead from the root to a value, e.g.
+ * ['foo', '0', 'bar']. The root's path is an empty array.
+ */
+
+/**
+ * Returns the path of the value at "key" in the object with the given path.
+ * @param {Array<string>|undefined} path The path of the parent object (undefined for the root).
+ * @param {string|number} key The key of the value in its parent.
+ * @returns {Array<string>} The value's path.
+ */
+export function childPath(path, key) {
+  return path ? path.concat(String(key)) : [];
+}
+
+/**
+ * Returns the path of a step in a walk over two nested values (see diff.compareData and
+ * tree.changedPaths), whose steps only refer to their "parent" step and "key" in it, and the
+ * root step has an empty "path". Building every step's path would take time in the square of
+ * the values' depth, so it's only built for the steps that need one: their parent's path is
+ * built from its ancestors once, and kept on the parent for its other children.
+ * @param {object} step The step.
+ * @returns {Array<string>} The step's path.
+ */
+export function resolveStepPath(step) {
+  const { parent } = step;
+  if (step.path) return step.path;
+
+  if (!parent.path) {
+    const keys = [];
+    let ancestor = parent;
+
+    for (; !ancestor.path; ancestor = ancestor.parent) keys.push(String(ancestor.key));
+    parent.path = ancestor.path.concat(keys.reverse());
+  }
+
+  return childPath(parent.path, step.key);
+}
+
+/**
+ * Returns the RFC 6901 JSON pointer for the given path.
+ * @param {Array<string>} path The path to get the pointer of.
+ * @returns {string} The JSON pointer, e.g. "/foo/0/bar" (or "" for the root).
+ */
+export function formatPointer(path) {
+  return path.map(key => `/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Returns the RFC 6901 JSON pointer (as a URI fragment) for the given path.
+ * @param {Array<string>} path The path to get the pointer of.
+ * @returns {string} The JSON pointer, e.g. "#/foo/0/bar".
+ */
+export function toPointer(path) {
+  return `#${formatPointer(path)}`;
+}
+
+/**
+ * Parses an RFC 6901 JSON pointer into a path.
+ * @param {string} pointer The JSON pointer, e.g. "/foo/0/bar".
+ * @returns {Array<string>} The path the pointer refers to.
+ */
+export function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && pointer[0] !== '/')) {
+    throw new TypeError(`Invalid JSON pointer ${JSON.stringify(pointer)}`);
+  }
+
+  return pointer.split('/').slice(1).map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Determines if the path (starting at index "j") matches the pattern segments (starting at
+ * index "i"). Backtracks on "**", which matches any number of keys.
+ * @param {Array<string>} segments The pattern's segments.
+ * @param {Array<string>} path The path to test.
+ * @param {number} i The index of the current segment.
+ * @param {number} j The index of the current key.
+ * @returns {boolean} True if the pattern matches.
+ */
+function matches(segments, path, i, j) {
+  if (i === segments.length) return j === path.length;
+  if (segments[i] === '**') {
+    return matches(segments, path, i + 1, j)
+      || (j < path.length && matches(segments, path, i, j + 1));
+  }
+
+  return j < path.length
+    && (segments[i] === '*' || segments[i] === path[j])
+    && matches(segments, path, i + 1, j + 1);
+}
+
+/**
+ * Compiles a list of path patterns into a function that tests paths against them.
+ * A pattern is either a string of dot separated keys or an array of keys. The key "*" matches
+ * any single key (including array indices) and "**" matches any number of keys (including none),
+ * e.g. "filters.*.ids" or "**.password".
+ * @param {Array<string|Array<string>>} patterns The patterns to match.
+ * @returns {function} A function that takes a path and returns true if any of the patterns
+ * match it.
+ */
+export function createMatcher(patterns) {
+  if (!Array.isArray(patterns)) throw new TypeError('Path patterns must be an array');
+
+  const compiled = patterns.map((pattern) => {
+    if (Array.isArray(pattern)) return pattern.map(String);
+    if (typeof pattern === 'string') return pattern.split('.');
+    throw new TypeError(`Invalid path pattern ${JSON.stringify(pattern)}`);
+  });
+
+  return path => compiled.some(segments => matches(segments, path, 0, 0));
+}
@@ -0,0 +1,71 @@
+/**
+ * Helpers for running long, synchronous work (like serializing a large object) in slices that
+ * yield to the event loop, so timers and I/O aren't starved while it runs. setImmediate is
+ * babel-runtime's, which falls back to MessageChannel (or setTimeout) in runtimes without it,
+ * like browsers.
+ */
+
+/**
+ * The default maximum duration of a slice, in milliseconds.
+ * @type {number}
+ */
+export const DEFAULT_BUDGET = 10;
+
+/**
+ * Returns the error to fail with once the given signal is aborted. Like node's own APIs, that's
+ * the signal's reason if it has one, otherwise an Error named "AbortError".
+ * @param {AbortSignal} signal The aborted signal.
+ * @returns {Error} The abort error.
+ */
+export function createAbortError(signal) {
+  if (typeof signal.reason !== 'undefined') return signal.reason;
+
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  error.code = 'ABORT_ERR';
+  return error;
+}
+
+/**
+ * Validates the "budget" and "signal" options.
+ * @param {object} settings The options to validate.
+ * @returns {undefined}
+ */
+export function validateSliceOptions({ budget, signal }) {
+  if (typeof budget !== 'undefined' && !(typeof budget === 'number' && budget >= 0)) {
+    throw new TypeError('The "budget" option must be a number of milliseconds');
+  }
+
+  if (typeof signal !== 'undefined' && !(signal && typeof signal.aborted === 'boolean')) {
+    throw new TypeError('The "signal" option must be an AbortSignal');
+  }
+}
+
+/**
+ * Runs "work" in slices, yielding to the event loop (with setImmediate) between them, until it's
+ * complete. Each slice ends once it's taken "budget" milliseconds. The signal is checked before
+ * each slice, so aborting it stops the work before the next one.
+ * @param {function} work Takes a "shouldPause" function that returns true once the slice's
+ * budget is spent. Returns true once the work is complete, or false if it paused.
+ * @param {object} options The "budget" (defaults to DEFAULT_BUDGET) and "signal" options.
+ * @param {function} done A callback for completion.
+ * @returns {undefined}
+ */
+export function runInSlices(work, { budget = DEFAULT_BUDGET, signal } = {}, done) {
+  const slice = () => {
+    if (signal && signal.aborted) return done(createAbortError(signal));
+
+    const deadline = Date.now() + budget;
+    let complete;
+
+    try {
+      complete = work(() => Date.now() >= deadline);
+    } catch (e) {
+      return done(e);
+    }
+
+    return complete ? done(null) : setImmediate(slice);
+  };
+
+  setImmediate(slice);
+}
@@ -0,0 +1,730 @@
+/**
+ * The serialization engine behind the exported normalize functions.
+ */
+
+import { canonicalizeKey, canonicalizeLiteral, resolveRules } from './canonical';
+import { LimitError, NormalizeError } from './errors';
+import * as jcs from './jcs';
+import { byteLength, validateLimits } from './limits';
+import { isRawNumber } from './parse';
+import { childPath, createMatcher, toPointer } from './path';
+import { runInSlices, validateSliceOptions } from './scheduler';
+import * as types from './types';
+
+/**
+ * The canonicalization schemes supported by the "canonical" option.
+ * @type {Array<string>}
+ */
+const CANONICAL_MODES = ['jcs'];
+
+/**
+ * The ways the "references" option can handle objects that are encountered more than once.
+ * @type {Array<string>}
+ */
+const REFERENCE_MODES = ['error', 'ref'];
+
+/**
+ * Resolves the "options" argument accepted by the exported functions into a settings object
+ * that's passed along during recursion. A function is treated as the replacer (for backwards
+ * compatibility with the replacer parameter).
+ * @param {function|object|undefined} options The replacer function or an options object.
+ * @param {function=} options.replacer Like the replacer function passed to JSON.stringify.
+ * @param {string=} options.canonical "jcs" to serialize per RFC 8785.
+ * @param {string=} options.references "error" (the default) or "ref" (see handleReference).
+ * @param {boolean=} options.typed Encode BigInts, Dates, Maps, Sets and binary data by type.
+ * @param {Array<Array<function>>=} options.types A list of [type, encode] pairs, consulted before
+ * the type handlers added with registerType.
+ * @param {boolean|Array<string>=} options.unordered Sort the elements of every array (true), or
+ * of the arrays at the given paths (see path.createMatcher), by their serialized values.
+ * @param {boolean=} options.dedupe Remove duplicate elements from unordered arrays.
+ * @param {number|string=} options.space Indents the output, like JSON.stringify's space
+ * parameter.
+ * @param {Array<string>=} options.omit Drops the values at the given paths.
+ * @param {Array<string>=} options.redact Replaces the values at the given paths with the
+ * "redactWith" option (which defaults to "[REDACTED]").
+ * @param {string=} options.unicode Normalizes strings and keys to the given Unicode form: "NFC",
+ * "NFKC", "NFD" or "NFKD".
+ * @param {boolean=} options.foldKeys Case-folds keys (keys that fold to the same key throw).
+ * @param {number=} options.precision Rounds numbers to the given number of significant digits.
+ * @param {boolean=} options.normalizeZero Serializes -0 (e.g. a raw number's "-0.0") as 0.
+ * @param {boolean|Array<string>=} options.prune Drops null, undefined, empty object and empty
+ * array members and elements (true), or the given kinds of them: "null", "undefined",
+ * "emptyObjects" and "emptyArrays" (see canonical.resolveRules).
+ * @param {boolean=} options.strict Throws on values that would otherwise be lost: functions,
+ * symbols, undefined array elements, NaN and Infinity, and objects with prototypes (other than
+ * Object.prototype and null) that aren't encoded by a type handler, toJSON or "typed".
+ * @param {number=} options.maxDepth The maximum nesting depth of objects and arrays (the root
+ * object is at depth 1).
+ * @param {number=} options.maxKeys The maximum number of members of an object (or entries of a
+ * typed Map).
+ * @param {number=} options.maxArrayLength The maximum number of elements of an array (or members
+ * of a typed Set).
+ * @param {number=} options.maxBytes The maximum size of the (compact) output, in UTF-8 bytes.
+ * @param {number=} options.budget The maximum number of milliseconds the asynchronous functions
+ * work for before yielding to the event loop (see scheduler.runInSlices).
+ * @param {AbortSignal=} options.signal Aborts the asynchronous functions.
+ * @returns {object} The resolved settings.
+ */
+export function resolveOptions(options) {
+  const settings = typeof options === 'function'
+    ? { replacer: options }
+    : { ...(options || {}) };
+
+  if (typeof settings.canonical !== 'undefined' && CANONICAL_MODES.indexOf(settings.canonical) === -1) {
+    throw new TypeError(`Unsupported canonical mode "${settings.canonical}"`);
+  }
+
+  if (typeof settings.references !== 'undefined' && REFERENCE_MODES.indexOf(settings.references) === -1) {
+    throw new TypeError(`Unsupported references mode "${settings.references}"`);
+  }
+
+  validateSliceOptions(settings);
+  validateLimits(settings);
+  settings.rules = resolveRules(settings);
+  settings.types = types.resolveTypeHandlers(settings.types);
+
+  if (settings.omit) settings.isOmitted = createMatcher(settings.omit);
+  if (settings.redact) settings.isRedacted = createMatcher(settings.redact);
+  if (typeof settings.redactWith === 'undefined') settings.redactWith = '[REDACTED]';
+
+  if (settings.unordered && settings.unordered !== true) {
+    settings.isUnordered = createMatcher(settings.unordered);
+  } else {
+    settings.isUnordered = () => Boolean(settings.unordered);
+  }
+
+  // Maps each object serialized so far to the frame of its first occurrence.
+  if (settings.references === 'ref') settings.seen = new Map();
+
+  settings.formatKey = settings.canonical === 'jcs' ? jcs.serializeString : JSON.stringify;
+  settings.formatLiteral = settings.canonical === 'jcs' ? jcs.serializeLiteral : JSON.stringify;
+  return settings;
+}
+
+/**
+ * Returns the path of the value a frame (see handleReference) is for. Paths are only computed
+ * once they're needed, e.g. by the replacer or the "omit" option, so that serializing deeply
+ * nested values doesn't copy the path at every level. A frame's path is cached as its "path".
+ * @param {object} frame The frame.
+ * @returns {Array<string>} The path.
+ */
+export function getPath(frame) {
+  if (frame.path) return frame.path;
+
+  const keys = [];
+  let ancestor = frame;
+
+  for (; !ancestor.path && ancestor.parent; ancestor = ancestor.parent) {
+    keys.push(String(ancestor.key));
+  }
+
+  return Object.assign(frame, { path: (ancestor.path || []).concat(keys.reverse()) }).path;
+}
+
+/**
+ * Tracks the objects being serialized. By default, an error is thrown if the given object is one
+ * of its own ancestors, which are kept (as a frame's "ancestors") until they're closed (see
+ * releaseReference). With the "references" option set to "ref", every object after the first
+ * occurrence of it is encoded as a {"$ref":"#/path"} pointer to that first occurrence instead,
+ * unless that first occurrence is in an unordered array (or a typed Map or Set): its index isn't
+ * known until the array is sorted, so an error is thrown.
+ * @param {object|Array} value The object being serialized.
+ * @param {string|undefined} key The key of the object in its parent.
+ * @param {object|undefined} parent The frame of the object's parent.
+ * @param {object} settings The resolved options.
+ * @returns {object} An object containing either the "frame" to serialize the object's children
+ * with, or the serialized "json" of its reference.
+ */
+export function handleReference(value, key, parent, settings) {
+  const frame = { value, key, parent };
+
+  if (settings.references === 'ref') {
+    const first = settings.seen.get(value);
+    if (typeof first === 'undefined') {
+      // Pointers can't refer into unordered arrays, whose elements move when they're sorted.
+      frame.isUnordered = Boolean(parent && (parent.elements || parent.isUnordered));
+      settings.seen.set(value, frame);
+      return { frame };
+    }
+
+    if (first.isUnordered) {
+      const path = getPath(frame);
+      throw new NormalizeError(`Cannot refer to "${toPointer(getPath(first))}" from "${toPointer(path)}", since it's in an unordered array`, 'ERR_UNORDERED_REFERENCE', path);
+    }
+
+    return { json: `{${settings.formatKey('$ref')}:${settings.formatLiteral(toPointer(getPath(first)))}}` };
+  }
+
+  frame.ancestors = parent && parent.ancestors ? parent.ancestors : new Set();
+
+  if (frame.ancestors.has(value)) {
+    let ancestor = parent;
+    while (ancestor.value !== value) ancestor = ancestor.parent;
+
+    const path = getPath(frame);
+    throw new NormalizeError(`Converting circular structure to JSON: "${toPointer(path)}" refers to its ancestor "${toPointer(getPath(ancestor))}"`, 'ERR_CIRCULAR_REFERENCE', path);
+  }
+
+  frame.ancestors.add(value);
+  return { frame };
+}
+
+/**
+ * Stops tracking an object once it's been serialized (see handleReference), so that it can be
+ * serialized again elsewhere.
+ * @param {object} frame The object's frame.
+ * @returns {undefined}
+ */
+function releaseReference(frame) {
+  if (frame.ancestors) frame.ancestors.delete(frame.value);
+}
+
+/**
+ * Compares two strings by their UTF-16 code units (like Array#sort does by default).
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @returns {number} A negative number if a < b, a positive number if a > b, otherwise 0.
+ */
+function compareStrings(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Sorts an object's keys in the order their members appear in the output. RFC 8785 sorts
+ * members by their (unescaped) keys, compared as UTF-16 code units. Otherwise members are
+ * ordered by their serialized "key":value strings which, since keys are unique, is the same
+ * as ordering them by their serialized keys. Visiting keys in this order means the first
+ * occurrence of a repeated reference is also the first one in the output.
+ * @param {Array<string>} keys The keys to sort.
+ * @param {object} settings The resolved options.
+ * @returns {Array<string>} The sorted keys.
+ */
+export function sortKeys(keys, settings) {
+  if (settings.canonical === 'jcs') return keys.sort();
+
+  return keys
+    .map(key => [settings.formatKey(key), key])
+    .sort((a, b) => compareStrings(a[0], b[0]))
+    .map(pair => pair[1]);
+}
+
+
+/**
+ * Encodes the value with the first matching type handler (see the "types" option and
+ * registerType). Otherwise, calls the value's toJSON method (if it has one) like JSON.stringify
+ * does. With the "typed" option set, values that have a typed encoding (see types.getTypeName)
+ * are left as is.
+ * @param {any} val The value to inspect.
+ * @param {string|undefined} key The key argument to pass to the encode or toJSON method.
+ * @param {object} settings The resolved options.
+ * @returns {any} The value to pass along to the replacer.
+ */
+function handleEncoding(val, key, settings) {
+  const handler = settings.types.length > 0 && types.findTypeHandler(settings.types, val);
+
+  if (handler) return handler.encode(val, key);
+  if (!val || (typeof val !== 'object' && !types.isBigInt(val))) return val;
+  if (typeof val.toJSON !== 'function' || (settings.typed && types.getTypeName(val))) return val;
+  return val.toJSON(typeof key === 'undefined' ? '' : key);
+}
+
+/**
+ * Handles calling the "replacer" option for both the "serialize" and "serializeSync" methods.
+ * Like JSON.stringify, the replacer is called with the holder object as "this". It's passed the
+ * key and value, followed by the value's path and the holder object.
+ * @param {any} val The value to pass to the replacer function.
+ * @param {string} key The key argument to pass to the replacer function.
+ * @param {Array<string>|undefined} path The value's path.
+ * @param {object|undefined} parent The frame of the value's parent (see handleReference).
+ * @param {function|undefined} replacer The replacer function to call.
+ * @returns {any} The value to serialize in place of the given one.
+ */
+function handleReplacer(val, key, path, parent, replacer) {
+  if (typeof replacer !== 'function') return val;
+
+  const holder = parent && parent.value;
+  return replacer.call(holder, key, val, path, holder);
+}
+
+/**
+ * Applies the "omit" and "redact" options, then handleEncoding and handleReplacer, to get the
+ * value that's serialized in place of the given one.
+ * @param {any} val The value to resolve.
+ * @param {string|undefined} key The key of the value in its parent.
+ * @param {object|undefined} parent The frame of the value's parent (see handleReference).
+ * @param {object} settings The resolved options.
+ * @returns {any} The value to serialize.
+ */
+export function resolveValue(val, key, parent, settings) {
+  const { isOmitted, isRedacted, replacer } = settings;
+  const path = isOmitted || isRedacted || replacer
+    ? childPath(parent && getPath(parent), key)
+    : undefined;
+
+  if (isOmitted && isOmitted(path)) return undefined;
+  if (isRedacted && isRedacted(path)) return settings.redactWith;
+  return handleReplacer(handleEncoding(val, key, settings), key, path, parent, replacer);
+}
+
+/**
+ * Returns the JSON that precedes the value of a typed encoding, {"$type":"<name>","value":
+ * @param {string} type The value's type name (see types.getTypeName).
+ * @param {object} settings The resolved options.
+ * @returns {string} The opening of the typed encoding.
+ */
+function openTyped(type, settings) {
+  return `{${settings.formatKey('$type')}:${settings.formatLiteral(type)},${settings.formatKey('value')}:`;
+}
+
+/**
+ * Creates the output of a serializer, which collects the JSON written so far. Inside unordered
+ * arrays, JSON is appended to the element that's being serialized instead, as the elements are
+ * sorted once they're all serialized.
+ * @param {function=} measure Returns the size of a string, e.g. limits.byteLength. The output's
+ * size isn't tracked without it.
+ * @returns {object} The output:
+ * - write(json): Appends JSON to the output, or to the current element of the innermost
+ * unordered array.
+ * - capture(frame): Starts appending to the current element of the given unordered array.
+ * - release(): Stops appending to the current element of the innermost unordered array.
+ * - read(): Returns (and removes) the JSON written so far.
+ * - length(): Returns the length of the JSON written (and not read) so far.
+ * - bytes(): Returns the size of the output so far (including the elements of unordered arrays
+ * that haven't been written yet), as measured by "measure".
+ */
+function createOutput(measure) {
+  const captures = [];
+  let chunks = [];
+  let length = 0;
+  let bytes = 0;
+
+  return {
+    write(json) {
+      const capture = captures[captures.length - 1];
+      const size = measure ? measure(json) : 0;
+
+      bytes += size;
+
+      if (capture) {
+        capture.current += json;
+        capture.bytes += size;
+      } else {
+        chunks.push(json);
+        length += json.length;
+      }
+    },
+
+    capture: frame => captures.push(Object.assign(frame, { bytes: 0 })),
+
+    release() {
+      bytes -= captures.pop().bytes;
+    },
+
+    read() {
+      const json = chunks.join('');
+      chunks = [];
+      length = 0;
+      return json;
+    },
+
+    length: () => length,
+    bytes: () => bytes,
+  };
+}
+
+/**
+ * Returns the keys of an object in the order their members appear in the output (see
+ * sortKeys). With the "unicode" or "foldKeys" options, members are written under their
+ * canonical keys (see canonical.canonicalizeKey), which are mapped back to the object's own
+ * keys in the frame's "sources", while paths (for the replacer, "omit", etc.) use its own keys.
+ * @param {object} frame The frame of the object (see handleReference).
+ * @param {object} settings The resolved options.
+ * @returns {Array<string>} The (canonical) keys.
+ */
+function resolveKeys(frame, settings) {
+  const keys = Object.keys(frame.value);
+  if (!settings.rules.isKeyed) return sortKeys(keys, settings);
+
+  const sources = Object.create(null);
+
+  keys.forEach((key) => {
+    const name = canonicalizeKey(key, settings.rules);
+
+    if (typeof sources[name] !== 'undefined') {
+      throw new NormalizeError(`Keys ${JSON.stringify(sources[name])} and ${JSON.stringify(key)} of "${toPointer(getPath(frame))}" both canonicalize to ${JSON.stringify(name)}`, 'ERR_KEY_COLLISION', getPath(frame));
+    }
+
+    sources[name] = key;
+  });
+
+  Object.assign(frame, { sources });
+  return sortKeys(Object.keys(sources), settings);
+}
+
+/**
+ * Writes the openings of the objects that are still pending, i.e. that may be pruned as empty
+ * (see the "prune" option), outermost first. Pending objects are always the innermost ones on
+ * the stack, since nothing has been written within them yet; they're written (and counted as
+ * members of their parents) once something is.
+ * @param {object} state The serializer's state.
+ * @returns {undefined}
+ */
+function flush(state) {
+  state.pending.splice(0).forEach((frame) => {
+    const { parent } = frame;
+
+    state.output.write(frame.opening);
+    parent.count++;
+
+    if (frame.elements) state.output.capture(frame);
+  });
+}
+
+/**
+ * Writes JSON to the output, after the openings of any pending objects (see flush).
+ * @param {object} state The serializer's state.
+ * @param {string} json The JSON to write.
+ * @returns {undefined}
+ */
+function emit(state, json) {
+  if (state.pending.length > 0) flush(state);
+  state.output.write(json);
+}
+
+/**
+ * Throws if an object that's being opened exceeds the "maxDepth", "maxKeys" or "maxArrayLength"
+ * options (see errors.LimitError).
+ * @param {object} frame The object's frame.
+ * @param {string|undefined} type The object's type name, if it has a typed encoding.
+ * @param {object} settings The resolved options.
+ * @returns {undefined}
+ */
+function checkLimits(frame, type, settings) {
+  const { maxDepth } = settings;
+  const limit = frame.isArray && type !== 'Map' ? 'maxArrayLength' : 'maxKeys';
+  const max = settings[limit];
+
+  if (typeof maxDepth !== 'undefined' && frame.depth > maxDepth) {
+    throw new LimitError('maxDepth', maxDepth, getPath(frame));
+  }
+
+  if (typeof max !== 'undefined' && frame.keys.length > max) {
+    throw new LimitError(limit, max, getPath(frame));
+  }
+}
+
+/**
+ * Throws if the output exceeds the "maxBytes" option (see errors.LimitError).
+ * @param {object} state The serializer's state.
+ * @param {string|undefined} key The key of the value that was written.
+ * @param {object|undefined} parent The frame of the value's parent (see handleReference).
+ * @returns {undefined}
+ */
+function checkBytes(state, key, parent) {
+  const { maxBytes } = state.settings;
+
+  if (typeof maxBytes !== 'undefined' && state.output.bytes() > maxBytes) {
+    throw new LimitError('maxBytes', maxBytes, childPath(parent && getPath(parent), key));
+  }
+}
+
+/**
+ * Formats a key or literal with the given function (see the resolved "formatKey" and
+ * "formatLiteral" settings), rethrowing its errors (e.g. for BigInts, or for NaN with the
+ * "canonical" option set to "jcs") as NormalizeErrors with the "ERR_UNSERIALIZABLE" code.
+ * @param {function} fn The format function.
+ * @param {any} value The key or literal to format.
+ * @param {string|undefined} key The key of the value in its parent.
+ * @param {object|undefined} parent The frame of the value's parent (see handleReference).
+ * @returns {string|undefined} The JSON.
+ */
+function format(fn, value, key, parent) {
+  try {
+    return fn(value);
+  } catch (e) {
+    const path = childPath(parent && getPath(parent), key);
+    throw new NormalizeError(`${e.message} at "${toPointer(path)}"`, 'ERR_UNSERIALIZABLE', path);
+  }
+}
+
+/**
+ * Throws if the value would be lost (see the "strict" option): functions and symbols, which
+ * JSON omits, NaN and Infinity, which it serializes as null, and objects with a prototype (other
+ * than Object.prototype or null) or with symbol keys, whose members would be lost or changed.
+ * @param {any} value The (resolved) value.
+ * @param {string|undefined} type The value's type name, if it has a typed encoding.
+ * @param {string|undefined} key The key of the value in its parent.
+ * @param {object|undefined} parent The frame of the value's parent (see handleReference).
+ * @returns {undefined}
+ */
+function checkStrict(value, type, key, parent) {
+  const fail = (message, code) => {
+    const path = childPath(parent && getPath(parent), key);
+    throw new NormalizeError(`${message} at "${toPointer(path)}"`, code, path);
+  };
+
+  if (typeof value === 'function' || typeof value === 'symbol') {
+    fail(`Cannot serialize a ${typeof value}`, 'ERR_UNSUPPORTED_TYPE');
+  }
+
+  if (typeof value === 'number' && !isFinite(value)) {
+    fail(`Cannot serialize the number ${value}`, 'ERR_NON_FINITE_NUMBER');
+  }
+
+  if (!value || typeof value !== 'object' || type || Array.isArray(value) || isRawNumber(value)) {
+    return;
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+
+  if (prototype !== Object.prototype && prototype !== null) {
+    const name = prototype.constructor && prototype.constructor.name;
+    fail(`Cannot serialize ${name ? `an instance of ${name}` : 'an object with a custom prototype'}`, 'ERR_NON_PLAIN_OBJECT');
+  }
+
+  const symbol = Object.getOwnPropertySymbols(value)
+    .filter(property => Object.prototype.propertyIsEnumerable.call(value, property))[0];
+
+  if (symbol) fail(`Cannot serialize the symbol key ${String(symbol)}`, 'ERR_UNSUPPORTED_TYPE');
+}
+
+/**
+ * Serializes the value at "key" in its parent, preceded by "prefix" (e.g. the member's key).
+ * Literals, references and values with a typed encoding (see types.getTypeName) are written
+ * right away. Objects, arrays, Maps and Sets are opened and pushed onto the stack; their
+ * members are serialized by the following steps (see step). Values with a typed encoding are
+ * serialized as {"$type":"<name>","value":<value>}, where the entries of Maps and the members
+ * of Sets are unordered arrays, so that equal Maps and Sets always produce the same output.
+ * With the "prune" option, the openings of (plain) objects and arrays that may be pruned as
+ * empty are only written once one of their members is (see flush). The root value is never
+ * pruned.
+ * @param {object} state The serializer's state.
+ * @param {any} obj The value to serialize.
+ * @param {string|undefined} key The key of the value in its parent.
+ * @param {object|undefined} parent The frame of the value's parent (see handleReference).
+ * @param {string} prefix The JSON to write before the value.
+ * @returns {boolean|null} True if the value was written, false if it serializes to undefined
+ * (in which case nothing is written), or null if it was pruned or its opening is pending.
+ */
+function open(state, obj, key, parent, prefix) {
+  const { settings } = state;
+  const { rules } = settings;
+  const resolved = resolveValue(obj, key, parent, settings);
+  const value = rules.isLiteral ? canonicalizeLiteral(resolved, rules) : resolved;
+  const type = settings.typed && types.getTypeName(value);
+  const isMember = state.stack.length > 0;
+
+  if (settings.strict) checkStrict(value, type, key, parent);
+
+  if (type && type !== 'Map' && type !== 'Set') {
+    emit(state, `${prefix}${openTyped(type, settings)}${settings.formatLiteral(types.encodeLiteral(type, value))}}`);
+    return true;
+  }
+
+  if (isRawNumber(value)) {
+    const json = settings.canonical === 'jcs' ? jcs.serializeNumber(Number(value.text)) : value.text;
+    emit(state, `${prefix}${json}`);
+    return true;
+  }
+
+  if (!type && (!value || typeof value !== 'object')) {
+    const json = format(settings.formatLiteral, value, key, parent);
+    if (typeof json === 'undefined') return false;
+    if (value === null && rules.prune.null && isMember) return null;
+
+    emit(state, `${prefix}${json}`);
+    return true;
+  }
+
+  const { frame, json } = handleReference(value, key, parent, settings);
+
+  if (!frame) {
+    emit(state, `${prefix}${json}`);
+    return true;
+  }
+
+  frame.isArray = Boolean(type) || Array.isArray(value);
+  frame.items = type ? types.toArray(type, value) : value;
+  frame.keys = frame.isArray ? Object.keys(frame.items) : resolveKeys(frame, settings);
+  frame.index = 0;
+  frame.count = 0;
+  frame.suffix = type ? ']}' : (frame.isArray && ']') || '}';
+  frame.depth = parent ? (parent.depth || getPath(parent).length + 1) + 1 : 1;
+  checkLimits(frame, type, settings);
+
+  const opening = `${prefix}${type ? openTyped(type, settings) : ''}${frame.isArray ? '[' : '{'}`;
+  const isPending = !type && isMember
+    && rules.prune[frame.isArray ? 'emptyArrays' : 'emptyObjects'];
+
+  // Unordered arrays (e.g. the members of a Set) are sorted by their elements' serialized values.
+  if (type || (frame.isArray && settings.unordered && settings.isUnordered(getPath(frame)))) {
+    frame.elements = [];
+    frame.current = null;
+  }
+
+  if (isPending) {
+    frame.opening = opening;
+    state.pending.push(frame);
+  } else {
+    emit(state, opening);
+    if (frame.elements) state.output.capture(frame);
+  }
+
+  state.stack.push(frame);
+  return isPending ? null : true;
+}
+
+/**
+ * Closes the object on top of the stack, writing its closing bracket (and the sorted elements
+ * of unordered arrays). Objects that are still pending (see flush) are empty, and pruned.
+ * Throws if the output then exceeds the "maxBytes" option.
+ * @param {object} state The serializer's state.
+ * @param {object} frame The frame of the object to close.
+ * @returns {undefined}
+ */
+function close(state, frame) {
+  state.stack.pop();
+  releaseReference(frame);
+
+  if (state.pending[state.pending.length - 1] === frame) {
+    state.pending.pop();
+    // Pruned objects aren't written, so with "references" set to "ref", later occurrences of
+    // them are serialized (and pruned, or pointed to) in their own right.
+    if (state.settings.seen) state.settings.seen.delete(frame.value);
+    return undefined;
+  }
+
+  if (frame.elements) {
+    const elements = frame.elements.sort();
+    state.output.release();
+    state.output.write(`${(state.settings.dedupe ? elements.filter((v, i) => v !== elements[i - 1]) : elements).join(',')}${frame.suffix}`);
+  } else {
+    state.output.write(frame.suffix);
+  }
+
+  return checkBytes(state, frame.key, frame.parent);
+}
+
+/**
+ * Serializes the next member of the object on top of the stack, or closes the object once all
+ * of its members have been serialized. Like JSON.stringify, undefined members of objects are
+ * skipped and undefined elements of arrays are serialized as null (unless the "prune" option
+ * drops undefined or null values). Throws if the output then exceeds the "maxBytes" option.
+ * @param {object} state The serializer's state.
+ * @returns {undefined}
+ */
+function step(state) {
+  const { settings, stack } = state;
+  const frame = stack[stack.length - 1];
+  const { prune } = settings.rules;
+
+  if (frame.elements && frame.current !== null) {
+    if (frame.current) frame.elements.push(frame.current);
+    frame.current = null;
+  }
+
+  if (frame.index === frame.keys.length) return close(state, frame);
+
+  const name = frame.keys[frame.index++];
+  const key = frame.sources ? frame.sources[name] : name;
+  const child = frame.items[key];
+
+  if (!frame.isArray && typeof child === 'undefined') return undefined;
+  if (frame.elements) frame.current = '';
+
+  const separator = frame.count > 0 && !frame.elements ? ',' : '';
+  const prefix = frame.isArray ? separator : `${separator}${format(settings.formatKey, name, key, frame)}:`;
+  const isKept = !prune.undefined && !settings.strict;
+  const element = frame.isArray && typeof child === 'undefined' && isKept ? null : child;
+  const written = open(state, element, key, frame, prefix);
+  const isNull = written === false && frame.isArray && !prune.undefined && !prune.null;
+
+  if (isNull && settings.strict) {
+    const path = childPath(getPath(frame), key);
+    throw new NormalizeError(`Cannot serialize an undefined array element at "${toPointer(path)}"`, 'ERR_UNDEFINED_ELEMENT', path);
+  }
+
+  if (isNull) emit(state, `${prefix}null`);
+  if (written || isNull) frame.count++;
+  return checkBytes(state, key, frame);
+}
+
+/**
+ * Creates a serializer for the given value, which produces "normalized json" a step at a time.
+ * Objects are tracked on an explicit stack (rather than by recursion), so serialization can be
+ * paused and resumed, e.g. to yield to the event loop or to wait for a stream to be read.
+ * @param {any} obj The value to serialize.
+ * @param {object} settings The resolved options (see resolveOptions).
+ * @param {string=} key The key of the value in its parent, when serializing a value within
+ * another one (so that paths, the replacer's holder, etc. are the same as they are there).
+ * @param {object=} parent The frame of the value's parent (see handleReference).
+ * @returns {object} The serializer:
+ * - run(shouldPause): Serializes the value until it's complete (returning true), or until
+ * shouldPause returns true (returning false). At least one step is taken per call. Throws if
+ * the value can't be serialized.
+ * - read(): Returns (and removes) the JSON written so far.
+ * - length(): Returns the length of the JSON written (and not read) so far.
+ * - isDefined(): Returns false if the value serializes to undefined.
+ */
+export function createSerializer(obj, settings, key, parent) {
+  const measure = typeof settings.maxBytes !== 'undefined' ? byteLength : undefined;
+  const state = { settings, stack: [], pending: [], output: createOutput(measure) };
+  let started = false;
+  let defined = false;
+
+  return {
+    run(shouldPause) {
+      if (!started) {
+        started = true;
+        defined = open(state, obj, key, parent, '');
+        checkBytes(state, key, parent);
+      } else if (state.stack.length > 0) {
+        step(state);
+      }
+
+      while (state.stack.length > 0) {
+        if (shouldPause()) return false;
+        step(state);
+      }
+
+      return true;
+    },
+
+    read: () => state.output.read(),
+    length: () => state.output.length(),
+    isDefined: () => defined,
+  };
+}
+
+/**
+ * Seralizes an object into "normalized json", without blocking the event loop. The object is
+ * serialized in slices of (at most) the "budget" option's milliseconds, between which the event
+ * loop is yielded to (see scheduler.runInSlices).
+ * @param {object} obj The object to serialize.
+ * @param {object} settings The resolved options (see resolveOptions).
+ * @param {function} done A callback for completion.
+ * @returns {undefined}
+ */
+export function serialize(obj, settings, done) {
+  const serializer = createSerializer(obj, settings);
+
+  runInSlices(shouldPause => serializer.run(shouldPause), settings, (e) => {
+    if (e) return done(e);
+    return done(null, serializer.isDefined() ? serializer.read() : undefined);
+  });
+}
+
+/**
+ * Syncronously seralizes an object into "normalized json", which can be used as a key, etc.
+ * @param {object} obj The object to serialize.
+ * @param {object} settings The resolved options (see resolveOptions).
+ * @returns {string} A "normalized JSON string", which always returns the same string, if passed
+ * the same object, regardless of key order.
+ */
+export function serializeSync(obj, settings) {
+  const serializer = createSerializer(obj, settings);
+
+  serializer.run(() => false);
+  return serializer.isDefined() ? serializer.read() : undefined;
+}
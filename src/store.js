@@ -0,0 +1,335 @@
+/**
+ * Content-addressed storage of normalized values: values are split into their tree's nodes
+ * (see tree.hashTree), which are stored by their hashes, so subtrees that values share are only
+ * stored once.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { hashString } from './hash';
+import { parseJSON, setMember } from './parse';
+import { createTreeRecords, resolveTreeOptions } from './tree';
+
+const access = Promise.promisify(fs.access);
+const readFile = Promise.promisify(fs.readFile);
+const writeFile = Promise.promisify(fs.writeFile);
+const rename = Promise.promisify(fs.rename);
+const unlink = Promise.promisify(fs.unlink);
+const readdir = Promise.promisify(fs.readdir);
+const mkdir = Promise.promisify(fs.mkdir);
+
+/**
+ * The methods backends must have.
+ * @type {Array<string>}
+ */
+const BACKEND_METHODS = ['get', 'set', 'has', 'delete', 'keys'];
+
+/**
+ * How many backend calls a store makes at once.
+ * @type {number}
+ */
+const CONCURRENCY = 16;
+
+/**
+ * Matches the hashes the directory backend accepts as file names (hex or base64url digests).
+ * @type {RegExp}
+ */
+const FILE_NAME = /^[A-Za-z0-9_-]{3,}$/;
+
+/**
+ * Creates a backend that keeps records in memory. This is createContentStore's default backend,
+ * and implements the backend interface: get(hash), set(hash, record), has(hash), delete(hash)
+ * and keys(), any of which may return promises.
+ * @returns {object} The backend, which also has a "size" method.
+ */
+export function createMemoryBackend() {
+  const records = new Map();
+
+  return {
+    get: hash => records.get(hash),
+    set: (hash, record) => { records.set(hash, record); },
+    has: hash => records.has(hash),
+    delete: hash => records.delete(hash),
+    keys: () => Array.from(records.keys()),
+    size: () => records.size,
+  };
+}
+
+/**
+ * Returns undefined for errors about missing files (and rethrows any other error).
+ * @param {Error} e The error.
+ * @returns {undefined}
+ */
+function ignoreMissing(e) {
+  if (e.code !== 'ENOENT') throw e;
+  return undefined;
+}
+
+/**
+ * Creates a backend that keeps each record in a file of a directory (which is created as
+ * needed). Like git's objects, files are spread over subdirectories named by the first two
+ * characters of their hashes. Records are written to a temporary file first and then renamed,
+ * so readers never see partially written records.
+ * @param {string} directory The directory.
+ * @returns {object} The backend (see createMemoryBackend).
+ */
+export function createDirectoryBackend(directory) {
+  if (typeof directory !== 'string') throw new TypeError('createDirectoryBackend requires a directory');
+
+  const toFile = (hash) => {
+    if (typeof hash !== 'string' || !FILE_NAME.test(hash)) {
+      throw new TypeError(`Invalid hash "${hash}" for a directory backend`);
+    }
+
+    return path.join(directory, hash.slice(0, 2), hash.slice(2));
+  };
+
+  let temporary = 0;
+
+  return {
+    get: hash => readFile(toFile(hash), 'utf8').catch(ignoreMissing),
+
+    async set(hash, record) {
+      const file = toFile(hash);
+      const partial = `${file}.${process.pid}.${temporary++}.tmp`;
+
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(partial, record);
+      await rename(partial, file);
+    },
+
+    has: hash => access(toFile(hash)).then(() => true, e => ignoreMissing(e) || false),
+
+    delete: hash => unlink(toFile(hash)).then(() => true, e => ignoreMissing(e) || false),
+
+    async keys() {
+      const shards = await readdir(directory).catch(ignoreMissing) || [];
+      const files = await Promise.all(shards.map(shard =>
+        readdir(path.join(directory, shard)).then(names => names
+          .filter(name => !/\.tmp$/.test(name))
+          .map(name => shard + name), ignoreMissing)));
+
+      return [].concat(...files.filter(Boolean));
+    },
+  };
+}
+
+/**
+ * Returns the hashes of the children a record refers to (none, for literals).
+ * @param {string} record The record (see tree.createTreeRecords).
+ * @returns {Array<string>} The children's hashes.
+ */
+function getChildHashes(record) {
+  if (record[0] !== '{' && record[0] !== '[') return [];
+
+  const data = parseJSON(record);
+  return Array.isArray(data) ? data : Object.keys(data).map(key => data[key]);
+}
+
+/**
+ * Creates a function that runs (promise-returning) functions, at most "concurrency" at once.
+ * @param {number} concurrency The number of functions that may run at once.
+ * @returns {function} A function that takes a function, and returns a promise of its result.
+ */
+function createLimiter(concurrency) {
+  const queue = [];
+  let head = 0;
+  let active = 0;
+
+  // Functions are dequeued by index, since shifting a long queue (e.g. one put's thousands of
+  // records) takes time in its length. The dequeued ones are dropped once they're half of it.
+  const next = () => {
+    while (active < concurrency && head < queue.length) {
+      const fn = queue[head++];
+
+      if (head * 2 >= queue.length) {
+        queue.splice(0, head);
+        head = 0;
+      }
+
+      active++;
+      fn();
+    }
+  };
+
+  return fn => new Promise((resolve, reject) => {
+    queue.push(() => Promise.resolve().then(fn).then(resolve, reject).then(() => {
+      active--;
+      next();
+    }));
+
+    next();
+  });
+}
+
+/**
+ * Creates the error for a node that's missing from a store, or whose record doesn't match its
+ * hash.
+ * @param {string} message The error message.
+ * @param {string} code "ERR_MISSING_NODE" or "ERR_CORRUPT_NODE".
+ * @param {string} hash The node's hash.
+ * @returns {Error} The error.
+ */
+function createNodeError(message, code, hash) {
+  return Object.assign(new Error(`${message} "${hash}"`), { code, hash });
+}
+
+/**
+ * Creates a content-addressed store of normalized values. "put" splits a value into the nodes
+ * of its tree (see hashTree), stores each node's record (see tree.createTreeRecords) by its hash
+ * and returns the root hash, which is the hash hashTree returns. Since records refer to their
+ * children by hash, a subtree that's shared by values (or repeated within one) is only stored
+ * once. Literals are nodes too, so each distinct literal has its own record: every record can
+ * then be verified against its hash alone, and the hashes are hashTree's. "get" reassembles the
+ * normalized value from a root hash, verifying every record against its hash, and "gc" deletes
+ * the records that no root refers to. gc rejects while values are being put (it could delete
+ * nodes that are put before their root is), and puts wait for a running gc.
+ * @param {object=} backend The backend (see createMemoryBackend and createDirectoryBackend).
+ * @param {function|object=} options The normalization options and the "algorithm" (defaults to
+ * "sha256"), "key" and "encoding" options hashTree takes. Values must be put and got with the
+ * same options.
+ * @returns {object} The store: put(value), get(hash), has(hash) and gc(roots), which return
+ * promises, and the "backend".
+ */
+export function createContentStore(backend = createMemoryBackend(), options) {
+  if (!backend || BACKEND_METHODS.some(method => typeof backend[method] !== 'function')) {
+    throw new TypeError(`The backend must have ${BACKEND_METHODS.join(', ')} methods`);
+  }
+
+  const settings = resolveTreeOptions(options);
+  const limit = createLimiter(CONCURRENCY);
+
+  // Calls a backend method, with at most CONCURRENCY calls pending at once.
+  const call = (method, ...args) => limit(() => backend[method](...args));
+
+  // Reads a record, verifying that it's the node's.
+  const read = hash => call('get', hash).then((record) => {
+    if (typeof record === 'undefined') {
+      throw createNodeError('Missing node', 'ERR_MISSING_NODE', hash);
+    }
+
+    if (hashString(record, settings) !== hash) {
+      throw createNodeError('Corrupt node', 'ERR_CORRUPT_NODE', hash);
+    }
+
+    return record;
+  });
+
+  // The number of puts in flight, and the promise of the running gc (see gc).
+  let putting = 0;
+  let collecting;
+
+  // Reassembles the value of a node, reading each (distinct) record once.
+  const assemble = (hash, cache) => {
+    if (!cache.has(hash)) cache.set(hash, read(hash));
+
+    return cache.get(hash).then((record) => {
+      const data = parseJSON(record);
+      if (record[0] !== '{' && record[0] !== '[') return data;
+
+      const keys = Object.keys(data);
+      return Promise.all(keys.map(key => assemble(data[key], cache))).then((values) => {
+        if (Array.isArray(data)) return values;
+
+        return keys.reduce((value, key, i) => setMember(value, key, values[i]), {});
+      });
+    });
+  };
+
+  // Deletes the nodes that aren't reachable from the roots, and returns how many there were.
+  const collect = async (roots) => {
+    const reachable = new Set();
+
+    // Marks the given nodes and (level by level) their descendants as reachable.
+    const mark = (hashes) => {
+      const unmarked = hashes.filter((hash) => {
+        if (reachable.has(hash)) return false;
+        reachable.add(hash);
+        return true;
+      });
+
+      return Promise.all(unmarked.map(hash => call('get', hash))).then((records) => {
+        const children = [];
+
+        records.forEach((record) => {
+          if (typeof record === 'string') getChildHashes(record).forEach(hash => children.push(hash));
+        });
+
+        return children.length > 0 && mark(children);
+      });
+    };
+
+    await mark(roots);
+
+    const unreachable = (await call('keys')).filter(hash => !reachable.has(hash));
+    await Promise.all(unreachable.map(hash => call('delete', hash)));
+    return unreachable.length;
+  };
+
+  return {
+    backend,
+
+    /**
+     * Stores a value's nodes, skipping the ones the store already has.
+     * @param {any} value The value to store.
+     * @returns {Promise<string|undefined>} The root hash, or undefined if the value normalizes
+     * to undefined (in which case nothing is stored).
+     */
+    async put(value) {
+      const { tree, records } = createTreeRecords(value, settings);
+
+      putting++;
+      try {
+        if (collecting) await collecting.catch(() => {});
+        await Promise.all(Array.from(records.keys()).map(hash => call('has', hash)
+          .then(exists => exists || call('set', hash, records.get(hash)))));
+      } finally {
+        putting--;
+      }
+
+      return tree && tree.hash;
+    },
+
+    /**
+     * Reassembles a stored value: the parsed, normalized value (so, like parseJSON's, numbers
+     * that JSON.parse would change are raw numbers).
+     * @param {string} hash The root hash (see put).
+     * @returns {Promise<any>} The value, or undefined if the store doesn't have the root.
+     */
+    async get(hash) {
+      if (!await call('has', hash)) return undefined;
+      return assemble(hash, new Map());
+    },
+
+    /**
+     * Determines if the store has a node.
+     * @param {string} hash The node's hash.
+     * @returns {Promise<boolean>} True if the store has the node.
+     */
+    async has(hash) {
+      return Boolean(await call('has', hash));
+    },
+
+    /**
+     * Deletes the nodes that aren't part of the values of the given roots. Rejects with the
+     * code "ERR_STORE_BUSY" while values are being put or another gc is running.
+     * @param {Array<string>} roots The root hashes of the values to keep.
+     * @returns {Promise<number>} The number of nodes that were deleted.
+     */
+    async gc(roots) {
+      if (!Array.isArray(roots)) throw new TypeError('gc requires an array of root hashes');
+      if (putting > 0 || collecting) {
+        const message = 'gc can\'t run while values are being put or collected';
+        throw Object.assign(new Error(message), { code: 'ERR_STORE_BUSY' });
+      }
+
+      collecting = collect(roots);
+      try {
+        return await collecting;
+      } finally {
+        collecting = undefined;
+      }
+    },
+
+  };
+}
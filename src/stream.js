@@ -0,0 +1,56 @@
+/**
+ * Normalization and hashing of values as streams, which generate the normalized JSON as it's
+ * consumed.
+ */
+
+import { Readable } from 'stream';
+import { createFormatter } from './format';
+import { hashObject } from './hash';
+import { createSerializer, resolveOptions } from './serialize';
+
+/**
+ * Returns a Readable stream of the normalized JSON for the given value, which is identical to
+ * normalizeSync's output. The JSON is generated as the stream is read, so the complete string
+ * is never held in memory (with the exception of unordered arrays, Maps and Sets, which are
+ * sorted once all of their elements are serialized). Readable streams are also async iterators.
+ * @param {any} input The value to normalize.
+ * @param {function|object=} options A replacer function or an options object.
+ * @returns {Readable} A stream of utf8 strings.
+ */
+export function normalizeStream(input, options) {
+  const settings = resolveOptions(options);
+  const serializer = createSerializer(input, settings);
+  const format = createFormatter(settings);
+
+  return new Readable({
+    encoding: 'utf8',
+    read(size) {
+      let complete;
+
+      try {
+        complete = serializer.run(() => serializer.length() >= size);
+      } catch (e) {
+        this.destroy(e);
+        return;
+      }
+
+      const chunk = format(serializer.read());
+      if (chunk) this.push(chunk);
+      if (complete) this.push(null);
+    },
+  });
+}
+
+/**
+ * Hashes the normalized JSON for the given value without materializing it (see
+ * normalizeStream). The digest is identical to the one md5Sync, sha256Sync, etc. return.
+ * This is hashObject, which also takes the "key" and "encoding" options.
+ * @param {any} input The value to hash.
+ * @param {object=} options The normalization options (see normalize), and "algorithm": any
+ * algorithm supported by crypto.createHash (defaults to "md5").
+ * @param {function} complete A callback for completion.
+ * @returns {undefined}
+ */
+export function hashStream(input, options, complete) {
+  return hashObject(input, options, complete);
+}
@@ -0,0 +1,323 @@
+/**
+ * Merkle trees of normalized values: a hash for every object and array, built from the hashes
+ * of its children, which can be updated incrementally as values change.
+ */
+
+import { hashString, resolveHashOptions } from './hash';
+import { isRawNumber, parseJSON } from './parse';
+import { childPath, parsePointer, resolveStepPath } from './path';
+import { createSerializer, getPath, handleReference, resolveValue, sortKeys } from './serialize';
+import * as types from './types';
+
+/**
+ * Resolves the options accepted by hashTree and updateTree (see hashObject). Node hashes are
+ * embedded in their parents' hashed strings, so they can't be Buffers.
+ * @param {function|object|undefined} options The replacer function or an options object.
+ * @returns {object} The resolved settings.
+ */
+export function resolveTreeOptions(options) {
+  const settings = typeof options === 'function' ? { replacer: options } : options;
+  const resolved = resolveHashOptions({ algorithm: 'sha256', ...settings });
+
+  if (resolved.encoding === 'buffer') {
+    throw new TypeError('Tree hashes can\'t use the "buffer" encoding');
+  }
+
+  return resolved;
+}
+
+/**
+ * Returns the JSON an object or array node is hashed as: the node's normalized JSON with every
+ * child replaced by its hash (as a JSON string), e.g. {"a":"<hash of a>","b":"<hash of b>"} or
+ * ["<hash of 0>","<hash of 1>"].
+ * @param {object} node The node (its hash isn't needed).
+ * @param {object} settings The resolved settings.
+ * @returns {string} The node's record.
+ */
+function createRecord(node, settings) {
+  const { children } = node;
+
+  if (node.type === 'array') return `[${children.map(child => `"${child.hash}"`).join(',')}]`;
+
+  const members = sortKeys(Object.keys(children), settings)
+    .map(key => `${settings.formatKey(key)}:"${children[key].hash}"`);
+
+  return `{${members.join(',')}}`;
+}
+
+/**
+ * Returns the hash of an object or array node from its children's hashes (see createRecord).
+ * @param {object} node The node (without its hash).
+ * @param {object} settings The resolved settings.
+ * @returns {string} The node's hash.
+ */
+function hashNode(node, settings) {
+  return hashString(createRecord(node, settings), settings);
+}
+
+/**
+ * Determines if a parsed, normalized JSON value is a leaf of its tree: a literal, or a raw number.
+ * @param {any} data The parsed JSON value.
+ * @returns {boolean} True if the value has no children.
+ */
+function isLeaf(data) {
+  return !data || typeof data !== 'object' || isRawNumber(data);
+}
+
+/**
+ * Creates the node for a literal, which is hashed as its normalized JSON (which, for raw
+ * numbers, is their text).
+ * @param {any} data The parsed JSON literal.
+ * @param {object} settings The resolved settings.
+ * @param {Map=} records Collects the JSON every node is hashed as (see createNode).
+ * @returns {object} The node.
+ */
+function createLeaf(data, settings, records) {
+  const json = isRawNumber(data) ? data.text : settings.formatLiteral(data);
+  const hash = hashString(json, settings);
+
+  if (records) records.set(hash, json);
+  return { type: 'literal', hash };
+}
+
+/**
+ * Creates the node for a parsed, normalized JSON value and its children. Like the serializer,
+ * objects and arrays are tracked on an explicit stack rather than by recursion, so deeply nested
+ * values don't overflow the call stack; each one is hashed once all of its children have been.
+ * @param {any} data The parsed JSON value.
+ * @param {object} settings The resolved settings.
+ * @param {Map=} records If given, the JSON every node is hashed as is added to it, keyed by
+ * the node's hash.
+ * @returns {object} The node.
+ */
+function createNode(data, settings, records) {
+  if (isLeaf(data)) return createLeaf(data, settings, records);
+
+  // The children of objects have no prototype, so that a "__proto__" key is an own property.
+  const open = (value) => {
+    const isArray = Array.isArray(value);
+    const children = isArray ? [] : Object.create(null);
+
+    return { value, keys: Object.keys(value), index: 0, node: { type: isArray ? 'array' : 'object', children } };
+  };
+
+  const stack = [open(data)];
+  let node;
+
+  while (stack.length > 0) {
+    const frame = stack[stack.length - 1];
+
+    if (frame.index < frame.keys.length) {
+      const key = frame.keys[frame.index++];
+      const child = frame.value[key];
+
+      if (isLeaf(child)) {
+        frame.node.children[key] = createLeaf(child, settings, records);
+      } else {
+        const opened = open(child);
+        frame.node.children[key] = opened.node;
+        stack.push(opened);
+      }
+    } else {
+      stack.pop();
+      ({ node } = frame);
+
+      const record = createRecord(node, settings);
+      node.hash = hashString(record, settings);
+      if (records) records.set(node.hash, record);
+    }
+  }
+
+  return node;
+}
+
+/**
+ * Normalizes the value at "key" in the given parent frame (or the root value, if there's no
+ * parent) and creates its node. Like the serializer, undefined array elements become null and
+ * undefined object members are dropped.
+ * @param {any} value The (raw) value.
+ * @param {string|undefined} key The key of the value in its parent.
+ * @param {object|undefined} parent The frame of the value's parent (see handleReference).
+ * @param {object} settings The resolved settings.
+ * @param {Map=} records Collects the JSON every node is hashed as (see createNode).
+ * @returns {object|undefined} The node, or undefined if the value normalizes to undefined.
+ */
+function createNodeAt(value, key, parent, settings, records) {
+  const isElement = Boolean(parent) && Array.isArray(parent.value);
+  if (!isElement && parent && typeof value === 'undefined') return undefined;
+
+  const element = isElement && typeof value === 'undefined' ? null : value;
+  const serializer = createSerializer(element, settings, key, parent);
+
+  serializer.run(() => false);
+
+  if (serializer.isDefined()) return createNode(parseJSON(serializer.read()), settings, records);
+  return isElement ? createNode(null, settings, records) : undefined;
+}
+
+/**
+ * Returns the Merkle tree of a value's normalized form. Every node has a "type" ("object",
+ * "array" or "literal") and a "hash"; objects and arrays also have "children" (an object with
+ * no prototype, or an array, of nodes). Literals are hashed as their normalized JSON, and
+ * objects and arrays as their normalized JSON with every child replaced by its hash, as a
+ * string. So the root hash changes if (and only if) the normalized JSON does, but it isn't the
+ * hash of the normalized JSON itself.
+ * @param {any} value The value to hash.
+ * @param {function|object=} options A replacer function or an options object: the normalization
+ * options (see normalize), and the "algorithm" (defaults to "sha256"), "key" and "encoding"
+ * (defaults to "hex") options hashObject takes.
+ * @returns {object|undefined} The root node, or undefined if the value normalizes to undefined.
+ */
+export function hashTree(value, options) {
+  return createNodeAt(value, undefined, undefined, resolveTreeOptions(options));
+}
+
+/**
+ * Returns a value's tree (see hashTree), and the JSON each of its nodes is hashed as: a
+ * literal's normalized JSON, or an object's or array's normalized JSON with every child
+ * replaced by its hash. Hashing a node's record gives the node's hash, so the records can be
+ * stored by their hashes (see store.createContentStore).
+ * @param {any} value The value.
+ * @param {object} settings The resolved settings (see resolveTreeOptions).
+ * @returns {object} The "tree" (undefined if the value normalizes to undefined), and its
+ * "records": a Map of the records by the nodes' hashes.
+ */
+export function createTreeRecords(value, settings) {
+  const records = new Map();
+  const tree = createNodeAt(value, undefined, undefined, settings, records);
+
+  return { tree, records };
+}
+
+/**
+ * Walks a (raw) value along a changed path, for as long as the tree has nodes of the same kind
+ * to update. The walk stops early at values whose nodes have to be recreated as a whole: typed
+ * encodings, unordered arrays, arrays whose length changed, and values whose kind changed.
+ * @param {object} tree The previous tree.
+ * @param {any} value The (raw) value.
+ * @param {Array<string>} path The changed path.
+ * @param {object} settings The resolved settings.
+ * @returns {object} The "depth" of the node to recreate along the path, and its (raw) "value",
+ * "key" and "parent" frame.
+ */
+function walk(tree, value, path, settings) {
+  let node = tree;
+  let target = { depth: 0, value, key: undefined, parent: undefined };
+
+  while (target.depth < path.length && node && node.children) {
+    const resolved = resolveValue(target.value, target.key, target.parent, settings);
+    const isArray = Array.isArray(resolved);
+
+    if (!resolved || typeof resolved !== 'object') break;
+    if (settings.typed && types.getTypeName(resolved)) break;
+    if (node.type !== (isArray ? 'array' : 'object')) break;
+
+    const key = path[target.depth];
+    const isUnordered = isArray && settings.unordered
+      && settings.isUnordered(childPath(target.parent && getPath(target.parent), target.key));
+
+    if (isArray && (Object.keys(resolved).length !== node.children.length || isUnordered
+      || !/^(0|[1-9][0-9]*)$/.test(key) || Number(key) >= node.children.length)) break;
+
+    const { frame } = handleReference(resolved, target.key, target.parent, settings);
+    node = node.children[key];
+    target = { depth: target.depth + 1, value: resolved[key], key, parent: frame };
+  }
+
+  return target;
+}
+
+/**
+ * Returns a copy of a node with the node at the given path replaced (or, for undefined, removed)
+ * and the hashes along the path updated, from the replaced node up. Nodes that aren't along the
+ * path are shared.
+ * @param {object} node The node to update.
+ * @param {Array<string>} path The path of the node to replace, relative to "node".
+ * @param {object|undefined} replacement The new node.
+ * @param {object} settings The resolved settings.
+ * @returns {object} The updated node.
+ */
+function replaceNode(node, path, replacement, settings) {
+  const ancestors = [node];
+  for (let i = 0; i < path.length - 1; i++) ancestors.push(ancestors[i].children[path[i]]);
+
+  return path.reduceRight((child, key, i) => {
+    const { type, children } = ancestors[i];
+    const copy = type === 'array' ? children.slice() : Object.assign(Object.create(null), children);
+
+    if (typeof child === 'undefined') delete copy[key];
+    else copy[key] = child;
+
+    const updated = { type, children: copy };
+    updated.hash = hashNode(updated, settings);
+    return updated;
+  }, replacement);
+}
+
+/**
+ * Returns the tree of a value after some of its values changed, re-hashing only the nodes along
+ * the changed paths (and their new subtrees). The previous tree isn't modified, and nodes that
+ * didn't change are shared between the trees. The result is the tree hashTree would return for
+ * the value, as long as "paths" includes every value that changed (a path covers its whole
+ * subtree). With the "references" option set to "ref", the whole tree is re-hashed, since the
+ * $ref pointers depend on the rest of the value. So it is with the "unicode", "foldKeys" and
+ * "prune" options, since the tree's keys and indexes may no longer be the value's.
+ * @param {object|undefined} tree The value's previous tree (see hashTree).
+ * @param {any} value The changed value.
+ * @param {Array<Array<string>|string>} paths The paths (arrays of keys, or JSON pointers) of the
+ * values that were changed, added or removed.
+ * @param {function|object=} options The options the tree was created with (see hashTree).
+ * @returns {object|undefined} The updated tree.
+ */
+export function updateTree(tree, value, paths, options) {
+  const settings = resolveTreeOptions(options);
+  const { isKeyed, isPruning } = settings.rules;
+
+  if (!Array.isArray(paths)) throw new TypeError('updateTree requires an array of paths');
+  if (!tree || settings.references === 'ref' || isKeyed || isPruning) {
+    return createNodeAt(value, undefined, undefined, settings);
+  }
+
+  return paths.reduce((previous, changed) => {
+    const path = typeof changed === 'string' ? parsePointer(changed) : changed.map(String);
+    if (!previous) return createNodeAt(value, undefined, undefined, settings);
+
+    const target = walk(previous, value, path, settings);
+    const node = createNodeAt(target.value, target.key, target.parent, settings);
+    return replaceNode(previous, path.slice(0, target.depth), node, settings);
+  }, tree);
+}
+
+/**
+ * Returns the paths at which two trees differ, descending into the objects and arrays whose
+ * hashes differ to find the smallest subtrees that changed. Both trees must have been created
+ * with the same options.
+ * @param {object|undefined} a The first tree.
+ * @param {object|undefined} b The second tree.
+ * @returns {Array<Array<string>>} The paths of the values that were changed, added or removed.
+ */
+export function changedPaths(a, b) {
+  const changes = [];
+  const stack = [{ x: a, y: b, path: [] }];
+
+  while (stack.length > 0) {
+    const step = stack.pop();
+    const { x, y } = step;
+    const isContainer = x && y && x.type === y.type && x.type !== 'literal';
+
+    if (!isContainer && (x || y) && !(x && y && x.hash === y.hash)) {
+      changes.push(resolveStepPath(step));
+    }
+
+    if (isContainer && x.hash !== y.hash) {
+      const keys = Object.keys(x.children).concat(Object.keys(y.children)).sort()
+        .filter((key, i, array) => key !== array[i - 1]);
+
+      if (x.type === 'array') keys.sort((i, j) => i - j);
+      keys.reverse().forEach(key =>
+        stack.push({ x: x.children[key], y: y.children[key], key, parent: step }));
+    }
+  }
+
+  return changes;
+}
@@ -0,0 +1,181 @@
+import { encodeBase64 } from './bytes';
+
+/**
+ * True if the platform stores multi-byte numbers big-endian, in which case the elements of
+ * multi-byte typed arrays are swapped so they're always written little-endian.
+ * @type {boolean}
+ */
+const BIG_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 0;
+
+/**
+ * Types that are detected by their Object.prototype.toString tag. Note, instanceof can't be used
+ * here since babel-runtime swaps the Map and Set globals for its own implementations.
+ * @type {Array<string>}
+ */
+const TAGGED = ['Date', 'Map', 'Set'];
+
+/**
+ * The type handlers added with registerType, consulted by every normalization.
+ * @type {Array<object>}
+ */
+const registry = [];
+
+/**
+ * Determines if the given value is a BigInt primitive.
+ * @param {any} value The value to inspect.
+ * @returns {boolean} True if the value is a BigInt.
+ */
+export function isBigInt(value) {
+  return typeof value === 'bigint'; // eslint-disable-line valid-typeof
+}
+
+/**
+ * Returns the name of the type the "typed" option encodes the given value as.
+ * @param {any} value The value to inspect.
+ * @returns {string|undefined} The type name, or undefined if the value isn't a supported type.
+ */
+export function getTypeName(value) {
+  if (isBigInt(value)) return 'BigInt';
+  if (!value || typeof value !== 'object') return undefined;
+  if (typeof Buffer !== 'undefined' && Buffer.isBuffer(value)) return 'Buffer';
+
+  const tag = Object.prototype.toString.call(value).slice(8, -1);
+  return TAGGED.indexOf(tag) > -1 || ArrayBuffer.isView(value) || value instanceof ArrayBuffer
+    ? tag
+    : undefined;
+}
+
+/**
+ * Returns the [key, value] pairs of a Map, or the members of a Set.
+ * @param {string} type The value's type name (see getTypeName).
+ * @param {Map|Set} value The collection to get the contents of.
+ * @returns {Array} The Map's entries or the Set's members.
+ */
+export function toArray(type, value) {
+  const results = [];
+  value.forEach((member, key) => results.push(type === 'Set' ? member : [key, member]));
+  return results;
+}
+
+/**
+ * Encodes the bytes of a Buffer, typed array, DataView or ArrayBuffer as base64.
+ * Elements of multi-byte typed arrays are always written little-endian.
+ * @param {ArrayBuffer|ArrayBufferView} value The binary value to encode.
+ * @returns {string} The base64 encoded bytes.
+ */
+export function toBase64(value) {
+  if (value instanceof ArrayBuffer) return encodeBase64(new Uint8Array(value));
+
+  const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  const size = value.BYTES_PER_ELEMENT;
+  if (!BIG_ENDIAN || !(size > 1)) return encodeBase64(bytes);
+
+  const swapped = new Uint8Array(bytes.length);
+  for (let i = 0; i < bytes.length; i += size) {
+    for (let j = 0; j < size; j++) swapped[i + j] = bytes[(i + size) - 1 - j];
+  }
+
+  return encodeBase64(swapped);
+}
+
+/**
+ * Returns the JSON literal that represents the given BigInt, Date or binary value in its
+ * typed encoding.
+ * @param {string} type The value's type name (see getTypeName).
+ * @param {any} value The value to encode.
+ * @returns {string|null} The encoded value.
+ */
+export function encodeLiteral(type, value) {
+  if (type === 'BigInt') return String(value);
+  if (type === 'Date') return isNaN(value.getTime()) ? null : value.toISOString();
+  return toBase64(value);
+}
+
+/**
+ * Determines if the given function is a class (rather than a predicate). That's the case for
+ * native classes, classes compiled by Babel (whose constructors call its classCallCheck helper)
+ * and functions with methods on their prototype. Other compilers' classes without methods can't
+ * be told apart from predicates, so they should be passed as { instanceOf: Class }.
+ * @param {function} fn The function to inspect.
+ * @returns {boolean} True if the function is a class.
+ */
+function isClass(fn) {
+  const source = Function.prototype.toString.call(fn);
+
+  return /^class[\s{]/.test(source)
+    || /classCallCheck/.test(source)
+    || Boolean(fn.prototype && Object.getOwnPropertyNames(fn.prototype).length > 1);
+}
+
+/**
+ * Returns the function that determines if a value matches a type handler's type.
+ * @param {function|object} type A class or predicate function, or an object with either an
+ * "instanceOf" class or a "test" predicate function.
+ * @returns {function|undefined} The predicate, or undefined if the type is invalid.
+ */
+function createTest(type) {
+  if (typeof type === 'function') return isClass(type) ? value => value instanceof type : type;
+  if (!type || typeof type !== 'object') return undefined;
+
+  if (typeof type.instanceOf === 'function') return value => value instanceof type.instanceOf;
+  return typeof type.test === 'function' ? type.test : undefined;
+}
+
+/**
+ * Creates a type handler, which replaces matching values with the results of "encode" before
+ * they're normalized.
+ * @param {function|object} type A class (matched using instanceof) or a predicate function, or,
+ * to be explicit, { instanceOf: Class } or { test: predicate }.
+ * @param {function} encode Called with the value and its key, returns the value to normalize
+ * in its place.
+ * @returns {object} The type handler.
+ */
+export function createTypeHandler(type, encode) {
+  const test = createTest(type);
+
+  if (!test || typeof encode !== 'function') {
+    throw new TypeError('A type handler requires a class or predicate function, and an encode function');
+  }
+
+  return { test, encode };
+}
+
+/**
+ * Registers a type handler that's used by every normalization (see createTypeHandler).
+ * @param {function|object} type A class or predicate function, { instanceOf } or { test }.
+ * @param {function} encode The function that encodes matching values.
+ * @returns {function} A function that unregisters the type handler.
+ */
+export function registerType(type, encode) {
+  const handler = createTypeHandler(type, encode);
+  registry.push(handler);
+
+  return () => {
+    const index = registry.indexOf(handler);
+    if (index > -1) registry.splice(index, 1);
+  };
+}
+
+/**
+ * Resolves the "types" option into a list of type handlers. Handlers from the option take
+ * precedence over the registered ones.
+ * @param {Array<Array>=} handlers A list of [type, encode] pairs (see createTypeHandler).
+ * @returns {Array<object>} The type handlers to consult.
+ */
+export function resolveTypeHandlers(handlers = []) {
+  return handlers.map(([type, encode]) => createTypeHandler(type, encode)).concat(registry);
+}
+
+/**
+ * Finds the first type handler that matches the given value.
+ * @param {Array<object>} handlers The type handlers to consult (see resolveTypeHandlers).
+ * @param {any} value The value to match.
+ * @returns {object|undefined} The matching type handler, if any.
+ */
+export function findTypeHandler(handlers, value) {
+  for (let i = 0; i < handlers.length; i++) {
+    if (handlers[i].test(value)) return handlers[i];
+  }
+
+  return undefined;
+}
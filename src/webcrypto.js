@@ -0,0 +1,141 @@
+/**
+ * Hashes of normalized values with the Web Crypto API (crypto.subtle) and a plain JavaScript
+ * MD5, for runtimes without node's crypto module, like browsers and edge runtimes. Digests are
+ * identical to hash.js's, but always computed asynchronously, since crypto.subtle has neither
+ * synchronous nor incremental hashing.
+ */
+
+/* global globalThis */
+
+import { toBytes } from './bytes';
+import { encodeDigest, getUndefinedError, resolveDigestOptions } from './digest';
+import { createFormatter } from './format';
+import { hmacMd5, md5 } from './md5';
+import { runInSlices } from './scheduler';
+import { createSerializer } from './serialize';
+
+/**
+ * The algorithms these hashes support, and their names in the Web Crypto API (which doesn't
+ * support MD5, see md5.js).
+ * @type {object<string>}
+ */
+const ALGORITHMS = { md5: 'MD5', sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+
+/**
+ * Resolves and validates the options accepted by hashObject (see digest.resolveDigestOptions),
+ * whose "algorithm" may be "md5", "sha256", "sha384" or "sha512" (in any case).
+ * @param {function|object|undefined} options The replacer function or an options object.
+ * @returns {object} The resolved settings, with a lowercased "algorithm".
+ */
+export function resolveWebHashOptions(options) {
+  const settings = resolveDigestOptions(options, algorithm =>
+    Object.prototype.hasOwnProperty.call(ALGORITHMS, algorithm));
+
+  return { ...settings, algorithm: settings.algorithm.toLowerCase() };
+}
+
+/**
+ * Returns the runtime's crypto.subtle.
+ * @returns {SubtleCrypto} The Web Crypto API's hashes.
+ */
+function getSubtle() {
+  const { crypto } = typeof globalThis === 'undefined' ? {} : globalThis;
+
+  if (!crypto || !crypto.subtle) {
+    throw new Error('SHA hashes require the Web Crypto API (crypto.subtle)');
+  }
+
+  return crypto.subtle;
+}
+
+/**
+ * Hashes bytes (or, if there's a "key", computes their HMAC) with the given settings.
+ * @param {Uint8Array} bytes The bytes to hash.
+ * @param {object} settings The resolved settings (see resolveWebHashOptions).
+ * @returns {Promise<Uint8Array>} The digest.
+ */
+function digestBytes(bytes, { algorithm, key }) {
+  if (algorithm === 'md5') {
+    return Promise.resolve(typeof key === 'undefined' ? md5(bytes) : hmacMd5(toBytes(key), bytes));
+  }
+
+  const subtle = getSubtle();
+  const hash = ALGORITHMS[algorithm];
+  if (typeof key === 'undefined') return subtle.digest(hash, bytes).then(d => new Uint8Array(d));
+
+  // crypto.subtle rejects empty keys, but HMAC pads keys with zeros, so a zero byte is the same.
+  const secret = toBytes(key);
+  const raw = secret.length > 0 ? secret : new Uint8Array(1);
+
+  return subtle.importKey('raw', raw, { name: 'HMAC', hash }, false, ['sign'])
+    .then(cryptoKey => subtle.sign('HMAC', cryptoKey, bytes))
+    .then(d => new Uint8Array(d));
+}
+
+/**
+ * Hashes a string with the given settings (see resolveWebHashOptions).
+ * @param {string} input The string to hash.
+ * @param {object} settings The resolved settings.
+ * @returns {Promise<string|Uint8Array>} The digest, in the given encoding.
+ */
+export function hashString(input, settings) {
+  return Promise.resolve(input)
+    .then(data => digestBytes(toBytes(data), settings))
+    .then(bytes => encodeDigest(bytes, settings.encoding));
+}
+
+/**
+ * Hashes the normalized JSON for the given value (see hash.hashObject). The JSON is generated in
+ * slices that yield to the event loop (see scheduler.runInSlices), but since crypto.subtle can't
+ * hash incrementally, it's hashed once it's complete.
+ * @param {any} input The value to hash.
+ * @param {function|object=} options A replacer function or an options object: the normalization
+ * options (see normalize), and:
+ * @param {string=} options.algorithm "md5" (the default), "sha256", "sha384" or "sha512".
+ * @param {string|Uint8Array=} options.key A secret key, which makes the digest an HMAC.
+ * @param {string=} options.encoding "hex" (the default), "base64", "base64url" or "buffer".
+ * @param {function} complete A callback for completion.
+ * @returns {undefined}
+ */
+export function hashObject(input, options, complete) {
+  let settings = options;
+  let done = complete;
+
+  if (typeof done === 'undefined' && typeof settings === 'function') {
+    settings = undefined;
+    done = options;
+  }
+
+  if (typeof done !== 'function') return;
+
+  let serializer;
+  let format;
+
+  try {
+    settings = resolveWebHashOptions(settings);
+    serializer = createSerializer(input, settings);
+    format = createFormatter(settings);
+  } catch (e) {
+    setImmediate(() => done(e));
+    return;
+  }
+
+  const chunks = [];
+
+  const work = (shouldPause) => {
+    const finished = serializer.run(shouldPause);
+    chunks.push(format(serializer.read()));
+    return finished;
+  };
+
+  runInSlices(work, settings, (e) => {
+    const error = e || getUndefinedError(serializer);
+
+    if (error) {
+      done(error);
+      return;
+    }
+
+    hashString(chunks.join(''), settings).then(digest => done(null, digest), done);
+  });
+}
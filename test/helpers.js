@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+
+// babel-runtime replaces Map and Set with its own implementations, so tests import the native
+// ones from here.
+export const { Map, Set } = global;
+
+/**
+ * Returns the error the given function throws.
+ * @param {function} fn The function to call.
+ * @returns {Error|undefined} The error.
+ */
+export const catchError = (fn) => {
+  try {
+    fn();
+  } catch (e) {
+    return e;
+  }
+
+  return undefined;
+};
+
+/**
+ * Reads a stream to its end.
+ * @param {Readable} stream The stream to read.
+ * @returns {Promise<Array<string>>} Resolves with the chunks that were read.
+ */
+export const readStream = stream => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('error', reject);
+  stream.on('end', () => resolve(chunks));
+});
+
+/**
+ * Returns the sha256 hash of a string.
+ * @param {string} input The string.
+ * @returns {string} The hash, in hex.
+ */
+export const sha256 = input => crypto.createHash('sha256').update(input).digest('hex');
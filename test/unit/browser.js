@@ -0,0 +1,157 @@
+/* global BigInt */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import * as node from '../../src/index';
+import * as browser from '../../src/browser';
+import { Map, Set } from '../helpers';
+
+/**
+ * Values whose normalized JSON (and so hashes) must be the same with both builds.
+ * @type {Array<any>}
+ */
+const VALUES = [
+  null,
+  'caf\u00e9 \ud83d\ude00',
+  [3, 1, 2],
+  { b: [1, { d: '\u00e9', c: null }], a: 'x', f: () => {} },
+  { big: node.parseJSON('12345678901234567890'), n: 1e21, list: [{ y: 2, x: 1 }] },
+  {
+    at: new Date(0),
+    counts: new Map([['b', 1], ['a', 2]]),
+    tags: new Set(['b', 'a']),
+    bytes: new Uint16Array([1, 0x100]),
+    view: new DataView(new ArrayBuffer(3)),
+  },
+];
+
+/**
+ * Normalization options both builds must honor the same way.
+ * @type {Array<object|undefined>}
+ */
+const OPTIONS = [
+  undefined,
+  { space: 2 },
+  { canonical: 'jcs' },
+  { typed: true, unordered: true },
+  { omit: ['a'], unicode: 'NFC', foldKeys: true },
+];
+
+/**
+ * Returns the modules the given module imports (and so on, recursively), and the packages they
+ * import.
+ * @param {string} file The module's file.
+ * @param {object=} graph The modules and packages found so far.
+ * @returns {object} The module files and package names.
+ */
+const getImports = (file, graph = { modules: [file], packages: [] }) => {
+  const source = fs.readFileSync(file, 'utf8');
+  const pattern = /^(?:import|export)[^;]*?from '([^']+)';$/gm;
+
+  for (let match = pattern.exec(source); match; match = pattern.exec(source)) {
+    const name = match[1];
+
+    if (name[0] !== '.') {
+      if (graph.packages.indexOf(name) === -1) graph.packages.push(name);
+    } else {
+      const dependency = path.join(path.dirname(file), `${name}.js`);
+      if (graph.modules.indexOf(dependency) === -1) {
+        graph.modules.push(dependency);
+        getImports(dependency, graph);
+      }
+    }
+  }
+
+  return graph;
+};
+
+describe('JSONNormalize (isomorphic build)', () => {
+  // Node 18 only exposes the Web Crypto API as crypto.webcrypto.
+  before(() => {
+    if (!global.crypto) global.crypto = crypto.webcrypto;
+  });
+
+  it('Should not import node\'s modules, or use process', () => {
+    const { modules, packages } = getImports(path.join(__dirname, '../../src/browser.js'));
+
+    expect(packages).to.eql([]);
+    expect(modules.map(file => path.basename(file))).to.include.members(['serialize.js', 'types.js', 'webcrypto.js']);
+    modules.forEach(file => expect(fs.readFileSync(file, 'utf8')).to.not.match(/\bprocess\./));
+
+    expect(getImports(path.join(__dirname, '../../src/index.js')).packages).to.include('crypto');
+  });
+
+  it('Should normalize values exactly like the node build', async () => {
+    for (let i = 0; i < VALUES.length; i++) {
+      for (let j = 0; j < OPTIONS.length; j++) {
+        const expected = node.normalizeSync(VALUES[i], OPTIONS[j]);
+
+        expect(browser.normalizeSync(VALUES[i], OPTIONS[j])).to.equal(expected);
+        expect(browser.stringifySync(VALUES[i], OPTIONS[j])).to.equal(expected);
+        // eslint-disable-next-line no-await-in-loop
+        expect(await browser.normalizeAsync(VALUES[i], OPTIONS[j])).to.equal(expected);
+      }
+    }
+
+    expect(browser.normalizeText('{"b":1,"a":1.0}')).to.equal(node.normalizeText('{"b":1,"a":1.0}'));
+  });
+
+  it('Should hash values exactly like the node build', async () => {
+    for (let i = 0; i < VALUES.length; i++) {
+      for (let j = 0; j < OPTIONS.length; j++) {
+        const [value, options] = [VALUES[i], OPTIONS[j]];
+
+        expect(browser.md5Sync(value, options)).to.equal(node.md5Sync(value, options));
+        // eslint-disable-next-line no-await-in-loop
+        expect(await Promise.all([
+          browser.md5Async(value, options),
+          browser.sha256Async(value, options),
+          browser.sha512Async(value, options),
+          browser.hashObjectAsync(value, { ...options, algorithm: 'sha384', key: 'secret', encoding: 'base64url' }),
+        ])).to.eql([
+          node.md5Sync(value, options),
+          node.sha256Sync(value, options),
+          node.sha512Sync(value, options),
+          node.hashObjectSync(value, { ...options, algorithm: 'sha384', key: 'secret', encoding: 'base64url' }),
+        ]);
+      }
+    }
+
+    // Both builds hash lone surrogates (which only RFC 8785 rejects) as U+FFFD.
+    expect(await browser.sha256Async('lone \ud800')).to.equal(node.sha256Sync('lone \ud800'));
+  });
+
+  it('Should support callbacks and replacer functions', (done) => {
+    const replacer = (key, v) => (key === 'a' ? undefined : v);
+
+    browser.sha256(VALUES[4], replacer, (e, digest) => {
+      expect(digest).to.equal(node.sha256Sync(VALUES[4], replacer));
+      browser.md5(VALUES[4], (error, md5) => {
+        expect(md5).to.equal(node.md5Sync(VALUES[4]));
+        done(e || error);
+      });
+    });
+  });
+
+  it('Should pass errors to callbacks and promises', async () => {
+    const error = await browser.sha256Async({}, { omit: 1 }).catch(e => e);
+    const expected = await node.sha256Async({}, { omit: 1 }).catch(e => e);
+
+    expect(error).to.be.an.instanceof(TypeError);
+    expect(error.message).to.equal(expected.message);
+    expect((await browser.md5Async({ a: BigInt(1) }).catch(e => e)).code).to.equal('ERR_UNSERIALIZABLE');
+    expect(() => browser.md5Sync(undefined)).to.throw(TypeError);
+
+    const errors = await Promise.all([browser.md5Async(undefined), browser.sha512Async(() => {})]
+      .map(promise => promise.catch(e => e)));
+    expect(errors.map(e => e.code)).to.eql(['ERR_UNSERIALIZABLE', 'ERR_UNSERIALIZABLE']);
+    expect(errors[0].message).to.equal((await node.md5Async(undefined).catch(e => e)).message);
+  });
+
+  it('Should export the rest of the runtime-agnostic API', () => {
+    ['parseJSON', 'registerType', 'NormalizeError', 'LimitError', 'ParseError', 'diff', 'createPatch', 'applyPatch', 'isEqual', 'compare']
+      .forEach(name => expect(browser[name]).to.equal(node[name]));
+
+    expect(browser.default.sha256Async).to.equal(browser.sha256Async);
+  });
+});
@@ -0,0 +1,207 @@
+import {
+  createNormalizer,
+  hashObjectAsync,
+  hashObjectSync,
+  hashStreamAsync,
+  hashTree,
+  normalizeAsync,
+  normalizeStream,
+  normalizeSync,
+  normalizeText,
+  parseJSON,
+  sha256Async,
+  sha256Sync,
+  updateTree,
+} from '../../src/index';
+import { Set, readStream, sha256 } from '../helpers';
+
+const composed = 'caf\u00e9';
+const decomposed = 'cafe\u0301';
+
+describe('JSONNormalize (canonicalization)', () => {
+  describe('unicode', () => {
+    it('Should normalize strings and keys to the given form', () => {
+      const a = { [composed]: composed, list: [composed] };
+      const b = { [decomposed]: decomposed, list: [decomposed] };
+
+      expect(normalizeSync(a)).to.not.equal(normalizeSync(b));
+      expect(normalizeSync(a, { unicode: 'NFC' })).to.equal(normalizeSync(b, { unicode: 'NFC' }));
+      expect(normalizeSync(b, { unicode: 'NFC' })).to.equal(normalizeSync(a));
+      expect(normalizeSync(a, { unicode: 'NFD' })).to.equal(normalizeSync(b));
+    });
+
+    it('Should fold compatibility characters with NFKC', () => {
+      expect(normalizeSync(['\ufb01', '\u2460'], { unicode: 'NFC' })).to.equal('["\ufb01","\u2460"]');
+      expect(normalizeSync(['\ufb01', '\u2460'], { unicode: 'NFKC' })).to.equal('["fi","1"]');
+    });
+  });
+
+  describe('foldKeys', () => {
+    it('Should case-fold keys', () => {
+      expect(normalizeSync({ B: 1, a: { StraSSe: 2 } }, { foldKeys: true })).to.equal('{"a":{"strasse":2},"b":1}');
+      expect(normalizeSync({ Straße: 1 }, { foldKeys: true })).to.equal('{"strasse":1}');
+      expect(normalizeSync({ [composed.toUpperCase()]: 1 }, { foldKeys: true, unicode: 'NFC' }))
+        .to.equal(`{"${composed}":1}`);
+    });
+
+    it('Should pass the object\'s own keys to the replacer and path options', () => {
+      const keys = [];
+      const replacer = (key, value) => { keys.push(key); return value; };
+      const value = { Name: 'x', Secret: 'y', Nested: { Id: 1 } };
+
+      expect(normalizeSync(value, { foldKeys: true, replacer, omit: ['Secret'], redact: ['Nested.Id'] }))
+        .to.equal('{"name":"x","nested":{"id":"[REDACTED]"}}');
+      expect(keys).to.eql([undefined, 'Name', 'Nested']);
+    });
+
+    it('Should throw on keys that fold to the same key', () => {
+      expect(() => normalizeSync({ a: { Id: 1, ID: 2 } }, { foldKeys: true }))
+        .to.throw(TypeError, 'Keys "Id" and "ID" of "#/a" both canonicalize to "id"');
+      expect(() => normalizeSync({ [composed]: 1, [decomposed]: 2 }, { unicode: 'NFC' })).to.throw(TypeError);
+    });
+  });
+
+  describe('precision', () => {
+    it('Should round numbers to the given number of significant digits', () => {
+      expect(normalizeSync({ a: 0.1 + 0.2 })).to.equal('{"a":0.30000000000000004}');
+      expect(normalizeSync({ a: 0.1 + 0.2 }, { precision: 15 })).to.equal('{"a":0.3}');
+      expect(normalizeSync([123456, 0.000123456, -1.5], { precision: 2 })).to.equal('[120000,0.00012,-1.5]');
+      expect(normalizeSync([NaN, Infinity], { precision: 2 })).to.equal('[null,null]');
+    });
+
+    it('Should round raw numbers', () => {
+      expect(normalizeText('[1.0, 12345678901234567891, 3.14159]', { precision: 3 }))
+        .to.equal('[1,12300000000000000000,3.14]');
+      expect(normalizeText('[1.0]', { precision: 3, canonical: 'jcs' })).to.equal('[1]');
+    });
+
+    it('Should throw on invalid precisions', () => {
+      [0, 101, 1.5, '2'].forEach((precision) => {
+        expect(() => normalizeSync(1, { precision })).to.throw(TypeError, 'The "precision" option must be an integer from 1 to 100');
+      });
+    });
+  });
+
+  describe('normalizeZero', () => {
+    it('Should map -0 to 0', () => {
+      expect(normalizeText('[-0, -0.0, -0e5, 0.0, -1]', { normalizeZero: true })).to.equal('[0,0.0,0e5,0.0,-1]');
+      expect(normalizeText('[-0.0]', { normalizeZero: true, precision: 5 })).to.equal('[0]');
+      expect(normalizeSync([-0], { normalizeZero: true })).to.equal('[0]');
+    });
+  });
+
+  describe('prune', () => {
+    const value = {
+      a: null,
+      b: {},
+      c: [],
+      d: { e: { f: {} }, g: [null, undefined, [], {}] },
+      h: [1, null, undefined, () => {}, { i: null }],
+      j: 0,
+      k: '',
+      l: false,
+    };
+
+    it('Should drop null, undefined and empty values', () => {
+      expect(normalizeSync(value, { prune: true })).to.equal('{"h":[1],"j":0,"k":"","l":false}');
+    });
+
+    it('Should drop the given kinds of values', () => {
+      expect(normalizeSync(value, { prune: ['null'] }))
+        .to.equal('{"b":{},"c":[],"d":{"e":{"f":{}},"g":[[],{}]},"h":[1,{}],"j":0,"k":"","l":false}');
+      expect(normalizeSync(value, { prune: ['undefined'] }))
+        .to.equal('{"a":null,"b":{},"c":[],"d":{"e":{"f":{}},"g":[null,[],{}]},"h":[1,null,{"i":null}],"j":0,"k":"","l":false}');
+      expect(normalizeSync(value, { prune: ['emptyObjects'] }))
+        .to.equal('{"a":null,"c":[],"d":{"g":[null,null,[]]},"h":[1,null,null,null,{"i":null}],"j":0,"k":"","l":false}');
+      expect(normalizeSync(value, { prune: ['emptyArrays'] }))
+        .to.equal('{"a":null,"b":{},"d":{"e":{"f":{}},"g":[null,null,{}]},"h":[1,null,null,null,{"i":null}],"j":0,"k":"","l":false}');
+    });
+
+    it('Should never prune the root value', () => {
+      expect(normalizeSync({}, { prune: true })).to.equal('{}');
+      expect(normalizeSync({ a: {} }, { prune: true })).to.equal('{}');
+      expect(normalizeSync([[null]], { prune: true })).to.equal('[]');
+      expect(normalizeSync(null, { prune: true })).to.equal('null');
+    });
+
+    it('Should prune the values the replacer returns', () => {
+      const replacer = (key, v) => (key === 'x' ? null : v);
+      expect(normalizeSync({ x: 1, y: { x: 2 } }, { prune: true, replacer })).to.equal('{}');
+    });
+
+    it('Should prune within unordered arrays and keep typed values', () => {
+      const options = { prune: true, unordered: true, typed: true };
+
+      expect(normalizeSync({ a: [[3, {}], null, [], [{ b: 1 }, []]] }, options)).to.equal('{"a":[[3],[{"b":1}]]}');
+      expect(normalizeSync({ a: new Set(), b: [new Set([null, {}])] }, options))
+        .to.equal('{"a":{"$type":"Set","value":[]},"b":[{"$type":"Set","value":[]}]}');
+    });
+
+    it('Should not point to pruned objects', () => {
+      const s = {};
+      const options = { prune: ['emptyObjects'], references: 'ref' };
+
+      expect(normalizeSync({ a: s, b: { x: s } }, options)).to.equal('{}');
+      expect(normalizeSync({ a: s, b: [s] }, options)).to.equal('{"b":[]}');
+      const nested = { a: [s], b: [[s]], c: new Set([s]) };
+      expect(normalizeSync(nested, { ...options, prune: true, typed: true }))
+        .to.equal('{"c":{"$type":"Set","value":[]}}');
+
+      const t = { e: {} };
+      expect(normalizeSync({ a: t, b: [t.e, t], c: t.e }, { ...options, prune: ['emptyArrays'] }))
+        .to.equal('{"a":{"e":{}},"b":[{"$ref":"#/a/e"},{"$ref":"#/a"}],"c":{"$ref":"#/a/e"}}');
+      expect(normalizeSync({ a: t, b: [t.e, t, 1], c: t.e }, options)).to.equal('{"b":[1]}');
+    });
+
+    it('Should throw on invalid kinds', () => {
+      expect(() => normalizeSync({}, { prune: ['zero'] })).to.throw(TypeError, 'The "prune" option must be true or a list of');
+      expect(() => normalizeSync({}, { prune: 'null' })).to.throw(TypeError);
+    });
+  });
+
+  describe('Every serializer and hash helper', () => {
+    const options = { unicode: 'NFC', foldKeys: true, precision: 12, normalizeZero: true, prune: true, space: 2 };
+    const a = { Name: decomposed, Total: 0.1 + 0.2, Empty: {}, Items: [null, { Id: 1 }, []] };
+    const b = { name: composed, total: 0.3, items: [{ id: 1 }] };
+    const expected = normalizeSync(b, options);
+
+    it('Should apply the rules the same way', () => {
+      expect(expected).to.equal('{\n  "items": [\n    {\n      "id": 1\n    }\n  ],\n  "name": "caf\u00e9",\n  "total": 0.3\n}');
+      expect(normalizeSync(a, options)).to.equal(expected);
+      expect(sha256Sync(a, options)).to.equal(sha256(expected));
+      expect(hashObjectSync(a, { ...options, algorithm: 'sha256' })).to.equal(sha256(expected));
+      expect(createNormalizer(options).normalizeSync(a)).to.equal(expected);
+    });
+
+    it('Should apply the rules the same way asynchronously', () =>
+      Promise.all([
+        normalizeAsync(a, { ...options, budget: 0 }),
+        sha256Async(a, options),
+        hashObjectAsync(a, { ...options, algorithm: 'sha256' }),
+        hashStreamAsync(a, { ...options, algorithm: 'sha256' }),
+        readStream(normalizeStream(a, options)).then(chunks => chunks.join('')),
+      ]).then(([json, ...rest]) => {
+        expect(json).to.equal(expected);
+        expect(rest).to.eql([sha256(expected), sha256(expected), sha256(expected), expected]);
+      }));
+
+    it('Should apply the rules to trees', () => {
+      const tree = hashTree(a, options);
+      const changed = { ...a, Items: [{ Id: 2 }] };
+
+      expect(tree.hash).to.equal(hashTree(parseJSON(expected)).hash);
+      expect(Object.keys(tree.children)).to.eql(['items', 'name', 'total']);
+      expect(updateTree(tree, changed, [['Items', '1', 'Id']], options).hash)
+        .to.equal(hashTree(changed, options).hash);
+    });
+
+    it('Should throw on invalid unicode forms', () => {
+      expect(() => normalizeSync('', { unicode: 'NFX' })).to.throw(TypeError, 'Unsupported unicode form "NFX"');
+      return normalizeAsync('', { unicode: 'nfc' }).then(() => {
+        throw new Error('Expected an error');
+      }, (e) => {
+        expect(e).to.be.an.instanceof(TypeError);
+      });
+    });
+  });
+});
@@ -0,0 +1,259 @@
+import crypto from 'crypto';
+import {
+  createNormalizer,
+  decodeCbor,
+  encodeCanonicalCbor,
+  hashCbor,
+  normalizeSync,
+  ParseError,
+  parseJSON,
+  sha256Cbor,
+} from '../../src/index';
+import { Map, Set, catchError } from '../helpers';
+
+const hex = value => encodeCanonicalCbor(value).toString('hex');
+const bytes = string => Buffer.from(string, 'hex');
+
+describe('JSONNormalize (CBOR)', () => {
+  describe('encodeCanonicalCbor', () => {
+    it('Should encode the examples of RFC 8949, appendix A', () => {
+      const examples = [
+        [0, '00'],
+        [23, '17'],
+        [24, '1818'],
+        [100, '1864'],
+        [1000, '1903e8'],
+        [1000000, '1a000f4240'],
+        [1000000000000, '1b000000e8d4a51000'],
+        [parseJSON('18446744073709551615'), '1bffffffffffffffff'],
+        [parseJSON('18446744073709551616'), 'c249010000000000000000'],
+        [parseJSON('-18446744073709551616'), '3bffffffffffffffff'],
+        [parseJSON('-18446744073709551617'), 'c349010000000000000000'],
+        [-1, '20'],
+        [-100, '3863'],
+        [-1000, '3903e7'],
+        [1.5, 'f93e00'],
+        [1.1, 'fb3ff199999999999a'],
+        [100000.5, 'fa47c35040'],
+        [3.4028234663852886e+38, 'fa7f7fffff'],
+        [1.0e+300, 'fb7e37e43c8800759c'],
+        [5.960464477539063e-8, 'f90001'],
+        [0.00006103515625, 'f90400'],
+        [-4.1, 'fbc010666666666666'],
+        [false, 'f4'],
+        [true, 'f5'],
+        [null, 'f6'],
+        ['', '60'],
+        ['a', '6161'],
+        ['IETF', '6449455446'],
+        ['"\\', '62225c'],
+        ['ü', '62c3bc'],
+        ['水', '63e6b0b4'],
+        ['𐅑', '64f0908591'],
+        [[], '80'],
+        [[1, [2, 3], [4, 5]], '8301820203820405'],
+        [{}, 'a0'],
+        [{ a: 1, b: [2, 3] }, 'a26161016162820203'],
+      ];
+
+      examples.forEach(([value, expected]) => expect(hex(value)).to.equal(expected));
+    });
+
+    it('Should encode integer literals and values as integers, and other numbers as floats', () => {
+      expect(hex(parseJSON('100000000000000000001'))).to.equal('c249056bc75e2d63100001');
+      expect(hex(parseJSON('1.0'))).to.equal('01');
+      expect(hex(parseJSON('-0'))).to.equal('00');
+      expect(hex(parseJSON('-1e2'))).to.equal('3863');
+      expect(hex(parseJSON('1.5'))).to.equal('f93e00');
+      expect(hex(65504)).to.equal('19ffe0');
+      expect(hex(0.5)).to.equal('f93800');
+    });
+
+    it('Should encode numbers beyond safe integers by their exact value', () => {
+      const vectors = [
+        [2 ** 53, 'fa5a000000'],
+        [(2 ** 53) + 2, 'fb4340000000000001'],
+        [2 ** 60, 'fa5d800000'],
+        [2 ** 63, 'fa5f000000'],
+        [(2 ** 64) - 2048, 'fb43efffffffffffff'],
+        [2 ** 64, 'fa5f800000'],
+        [-(2 ** 64), 'fadf800000'],
+        [1e20, 'fb4415af1d78b58c40'],
+        [1e21, 'fb444b1ae4d6e2ef50'],
+        [parseJSON('9007199254740993'), '1b0020000000000001'],
+        [parseJSON('9223372036854775808'), '1b8000000000000000'],
+      ];
+
+      vectors.forEach(([value, expected]) => {
+        expect(hex(value)).to.equal(expected);
+        expect(normalizeSync(decodeCbor(bytes(expected)))).to.equal(normalizeSync(value));
+      });
+    });
+
+    it('Should sort map keys by their encoded bytes', () => {
+      const value = { bb: 1, a: 2, b: 3, aa: 4, é: 5, z: 6 };
+      expect(hex(value)).to.equal(hex({ z: 6, é: 5, aa: 4, b: 3, a: 2, bb: 1 }));
+      expect(Object.keys(decodeCbor(encodeCanonicalCbor(value)))).to.eql(['a', 'b', 'z', 'aa', 'bb', 'é']);
+    });
+
+    it('Should have the same semantics as normalizeSync', () => {
+      const replacer = (key, value) => (key === 'secret' ? undefined : value);
+      const options = { replacer, typed: true, unordered: ['tags'], unicode: 'NFC' };
+      const value = {
+        id: 5,
+        secret: 'x',
+        tags: ['b', 'a'],
+        created: new Date(0),
+        counts: new Map([['x', 1]]),
+        seen: new Set([2, 1]),
+        skip: () => {},
+        name: 'café',
+      };
+
+      expect(decodeCbor(encodeCanonicalCbor(value, options)))
+        .to.eql(JSON.parse(normalizeSync(value, options)));
+      expect(hex(value)).to.equal(hex(JSON.parse(normalizeSync(value))));
+      expect(encodeCanonicalCbor(undefined)).to.equal(undefined);
+      expect(encodeCanonicalCbor({ a: 1 }, { space: 2 })).to.eql(bytes('a1616101'));
+    });
+
+    it('Should throw on strings that aren\'t valid UTF-8', () => {
+      const error = catchError(() => encodeCanonicalCbor({ a: ['\ud800'] }));
+
+      expect(error.name).to.equal('NormalizeError');
+      expect([error.code, error.path]).to.eql(['ERR_UNSERIALIZABLE', ['a', '0']]);
+      expect(catchError(() => encodeCanonicalCbor({ '\udc00': 1 })).path).to.eql(['\udc00']);
+    });
+
+    it('Should encode deeply nested values without overflowing the stack', () => {
+      let value = 1;
+      for (let i = 0; i < 20000; i++) value = i % 2 ? { a: value } : [value];
+
+      expect(normalizeSync(decodeCbor(encodeCanonicalCbor(value)))).to.equal(normalizeSync(value));
+    });
+  });
+
+  describe('decodeCbor', () => {
+    it('Should decode what encodeCanonicalCbor encodes', () => {
+      const value = parseJSON('{"a":[1,-2.5,"x",null,true],"b":{"c":{}},"__proto__":1}');
+      const decoded = decodeCbor(encodeCanonicalCbor(value));
+
+      expect(decoded).to.eql(JSON.parse(normalizeSync(value)));
+      expect(Object.prototype.hasOwnProperty.call(decoded, '__proto__')).to.equal(true);
+      expect(decodeCbor(encodeCanonicalCbor({ aa: 1, b: 2 }))).to.eql({ aa: 1, b: 2 });
+      expect(decodeCbor(new Uint8Array([0x82, 0x01, 0x02]))).to.eql([1, 2]);
+    });
+
+    it('Should decode large integers as raw numbers', () => {
+      ['18446744073709551615', '-18446744073709551617', '9007199254740993'].forEach((text) => {
+        const decoded = decodeCbor(encodeCanonicalCbor(parseJSON(text)));
+        expect(decoded.text).to.equal(text);
+        expect(normalizeSync(decoded)).to.equal(text);
+      });
+
+      expect(decodeCbor(bytes('1b001fffffffffffff'))).to.equal(Number.MAX_SAFE_INTEGER);
+    });
+
+    it('Should decode plain numbers as numbers', () => {
+      [2 ** 53, -(2 ** 60), 2 ** 64, 1e20, 1e21, 1.5e300].forEach((value) => {
+        expect(decodeCbor(encodeCanonicalCbor(value))).to.equal(value);
+      });
+
+      // Like parseJSON, integers that are printed as themselves are numbers.
+      expect(decodeCbor(bytes('1b0020000000000000'))).to.equal(2 ** 53);
+      expect(decodeCbor(bytes('3b001fffffffffffff'))).to.equal(-(2 ** 53));
+    });
+
+    it('Should decode floats, undefined and byte strings', () => {
+      expect(decodeCbor(bytes('f97c00'))).to.equal(Infinity);
+      expect(decodeCbor(bytes('f9fc00'))).to.equal(-Infinity);
+      expect(Number.isNaN(decodeCbor(bytes('f97e00')))).to.equal(true);
+      expect(decodeCbor(bytes('fa47c35040'))).to.equal(100000.5);
+      expect(decodeCbor(bytes('f7'))).to.equal(undefined);
+      expect(decodeCbor(bytes('4401020304'))).to.eql(Buffer.from([1, 2, 3, 4]));
+    });
+
+    it('Should throw on unsupported or malformed input', () => {
+      const cases = [
+        ['9f0102ff', 'Unsupported indefinite length in CBOR at "#", offset 0'],
+        ['c11a514b67b0', 'Unsupported tag 1 in CBOR at "#", offset 0'],
+        ['a201020304', 'Map keys must be text strings in CBOR at "#", offset 1'],
+        ['8301', 'Unexpected end of input in CBOR at "#/1", offset 2'],
+        ['0102', 'Unexpected trailing bytes in CBOR at "#", offset 1'],
+        ['f0', 'Unsupported simple value 16 in CBOR at "#", offset 0'],
+        ['a16161a1616282f0', 'Unsupported simple value 16 in CBOR at "#/a/b/0", offset 7'],
+        ['1c', 'Malformed head in CBOR at "#", offset 0'],
+        ['1800', 'Non-shortest head in CBOR at "#", offset 0'],
+        ['1900ff', 'Non-shortest head in CBOR at "#", offset 0'],
+        ['1b00000000ffffffff', 'Non-shortest head in CBOR at "#", offset 0'],
+        ['817800', 'Non-shortest head in CBOR at "#/0", offset 1'],
+        ['c25800', 'Non-shortest head in CBOR at "#", offset 1'],
+        ['fa3fc00000', 'Non-shortest float in CBOR at "#", offset 0'],
+        ['fb7ff8000000000000', 'Non-shortest float in CBOR at "#", offset 0'],
+        ['f97e01', 'Non-shortest float in CBOR at "#", offset 0'],
+        ['f93c00', 'Integer encoded as a float in CBOR at "#", offset 0'],
+        ['f98000', 'Integer encoded as a float in CBOR at "#", offset 0'],
+        ['fa47c35000', 'Integer encoded as a float in CBOR at "#", offset 0'],
+        ['a1616181fb433fffffffffffff', 'Integer encoded as a float in CBOR at "#/a/0", offset 4'],
+        ['a2616201616102', 'Map keys must be sorted in CBOR at "#/a", offset 4'],
+        ['a262616101616202', 'Map keys must be sorted in CBOR at "#/b", offset 5'],
+      ];
+
+      cases.forEach(([input, message]) => {
+        const error = catchError(() => decodeCbor(bytes(input)));
+
+        expect(error).to.be.an.instanceof(ParseError);
+        expect(error.message).to.equal(message);
+        expect([error.code, error.offset]).to.eql(['ERR_SYNTAX', Number(message.match(/\d+$/)[0])]);
+      });
+
+      const duplicate = catchError(() => decodeCbor(bytes('a2616101616102')));
+      expect(duplicate.message).to.equal('Duplicate key "a" in CBOR at "#/a", offset 4');
+      expect([duplicate.code, duplicate.path, duplicate.offset]).to.eql(['ERR_DUPLICATE_KEY', ['a'], 4]);
+
+      expect(() => decodeCbor('a0')).to.throw(TypeError, 'decodeCbor requires a Buffer or Uint8Array');
+    });
+  });
+
+  describe('hashCbor and sha256Cbor', () => {
+    const value = { b: [1, 2], a: 'x' };
+    const digest = crypto.createHash('sha256').update(encodeCanonicalCbor(value)).digest('hex');
+
+    it('Should hash the CBOR bytes', () => {
+      expect(hashCbor(value)).to.equal(digest);
+      expect(sha256Cbor(value)).to.equal(digest);
+      expect(sha256Cbor({ a: 'x', b: [1, 2] })).to.equal(digest);
+    });
+
+    it('Should throw on values that normalize to undefined, like hashObject', () => {
+      [() => sha256Cbor(undefined), () => hashCbor({ a: 1 }, () => undefined)].forEach((fn) => {
+        const error = catchError(fn);
+        expect([error.name, error.code, error.path]).to.eql(['NormalizeError', 'ERR_UNSERIALIZABLE', []]);
+      });
+    });
+
+    it('Should accept the hashObject options', () => {
+      const encoded = encodeCanonicalCbor(value);
+
+      expect(hashCbor(value, { algorithm: 'md5', encoding: 'base64' }))
+        .to.equal(crypto.createHash('md5').update(encoded).digest('base64'));
+      expect(hashCbor(value, { key: 'secret' }))
+        .to.equal(crypto.createHmac('sha256', 'secret').update(encoded).digest('hex'));
+      expect(sha256Cbor(value, { algorithm: 'md5' })).to.equal(digest);
+      expect(hashCbor(value, (key, v) => (key === 'a' ? undefined : v)))
+        .to.equal(sha256Cbor({ b: [1, 2] }));
+    });
+
+    it('Should differ from the hashes of the JSON', () => {
+      expect(sha256Cbor(value)).to.not.equal(crypto.createHash('sha256').update(normalizeSync(value)).digest('hex'));
+    });
+
+    it('Should be available from createNormalizer', () => {
+      const normalizer = createNormalizer({ replacer: (key, v) => (key === 'a' ? undefined : v) });
+
+      expect(normalizer.encodeCanonicalCbor(value)).to.eql(encodeCanonicalCbor({ b: [1, 2] }));
+      expect(normalizer.hashCbor(value, { encoding: 'base64' })).to.equal(hashCbor({ b: [1, 2] }, { encoding: 'base64' }));
+      expect(normalizer.sha256Cbor(value)).to.equal(sha256Cbor({ b: [1, 2] }));
+    });
+  });
+});
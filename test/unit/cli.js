@@ -0,0 +1,157 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { EXIT_CODES, parseArgs, run } from '../../src/cli';
+import { normalizeText, parseJSON, sha256Sync } from '../../src/index';
+
+/**
+ * Creates the stdin, stdout and stderr streams for a command, capturing its output.
+ * @param {string=} input The text to pipe to stdin.
+ * @returns {object} The streams, and the captured "out" and "err" output.
+ */
+const createIO = (input = '') => {
+  const io = { out: '', err: '', stdin: new PassThrough() };
+  io.stdout = { write: (chunk) => { io.out += chunk; } };
+  io.stderr = { write: (chunk) => { io.err += chunk; } };
+  io.stdin.end(input);
+  return io;
+};
+
+describe('JSONNormalize (cli)', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-normalize-'));
+  const file = name => path.join(dir, name);
+  const write = (name, text) => fs.writeFileSync(file(name), text);
+
+  beforeEach(() => {
+    write('a.json', '{ "b": [1, 2], "a": { "y": 1, "x": 2 } }');
+    write('b.json', '{"a":{"x":2,"y":1},"b":[1,2]}\n');
+    write('c.json', '{"a":{"x":2,"y":1},"b":[2,1]}');
+    write('invalid.json', '{ "a": ');
+  });
+
+  after(() => {
+    fs.readdirSync(dir).forEach(name => fs.unlinkSync(file(name)));
+    fs.rmdirSync(dir);
+  });
+
+  describe('parseArgs', () => {
+    it('Should parse options and files', () => {
+      expect(parseArgs(['-w', '--indent', 'a.json', '-'])).to.eql({ write: true, indent: 2, files: ['a.json', '-'] });
+      expect(parseArgs(['--indent=tab', '--hash', 'sha256'])).to.eql({ indent: '\t', hash: 'sha256', files: [] });
+      expect(parseArgs(['-i', '4', '--hash=md5', '-c'])).to.eql({ indent: 4, hash: 'md5', check: true, files: [] });
+    });
+
+    it('Should throw on invalid options', () => {
+      expect(() => parseArgs(['--foo'])).to.throw('Unknown option "--foo"');
+      expect(() => parseArgs(['--hash'])).to.throw('--hash requires a value');
+      expect(() => parseArgs(['--indent=x'])).to.throw('Invalid indent "x"');
+    });
+  });
+
+  describe('run', () => {
+    it('Should normalize files to stdout', async () => {
+      const io = createIO();
+      expect(await run([file('a.json'), file('c.json')], io)).to.equal(EXIT_CODES.ok);
+      expect(io.out).to.equal('{"a":{"x":2,"y":1},"b":[1,2]}\n{"a":{"x":2,"y":1},"b":[2,1]}\n');
+    });
+
+    it('Should normalize stdin', async () => {
+      const io = createIO('{"b":1,"a":[]}');
+      expect(await run(['--indent', '1'], io)).to.equal(EXIT_CODES.ok);
+      expect(io.out).to.equal('{\n "a": [],\n "b": 1\n}\n');
+    });
+
+    it('Should write files in place', async () => {
+      const io = createIO();
+      expect(await run(['--write', '-i', 'tab', file('a.json')], io)).to.equal(EXIT_CODES.ok);
+      expect(fs.readFileSync(file('a.json'), 'utf8')).to.equal('{\n\t"a": {\n\t\t"x": 2,\n\t\t"y": 1\n\t},\n\t"b": [\n\t\t1,\n\t\t2\n\t]\n}\n');
+    });
+
+    it('Should print hashes of the normalized JSON', async () => {
+      const expected = sha256Sync({ a: { x: 2, y: 1 }, b: [1, 2] });
+
+      let io = createIO();
+      expect(await run(['--hash', 'sha256', file('a.json')], io)).to.equal(EXIT_CODES.ok);
+      expect(io.out).to.equal(`${expected}\n`);
+
+      io = createIO();
+      await run(['--hash', 'sha256', file('a.json'), file('b.json')], io);
+      expect(io.out).to.equal(`${expected}  ${file('a.json')}\n${expected}  ${file('b.json')}\n`);
+    });
+
+    it('Should check that files are normalized', async () => {
+      let io = createIO();
+      expect(await run(['--check', file('b.json'), file('c.json')], io)).to.equal(EXIT_CODES.ok);
+      expect(io.err).to.equal('');
+
+      io = createIO();
+      expect(await run(['--check', file('a.json'), file('b.json')], io)).to.equal(EXIT_CODES.failed);
+      expect(io.err).to.equal(`${file('a.json')} is not normalized\n`);
+
+      io = createIO();
+      expect(await run(['--check', '--indent', file('b.json')], io)).to.equal(EXIT_CODES.failed);
+    });
+
+    it('Should compare files with --equal', async () => {
+      let io = createIO();
+      expect(await run(['--equal', file('a.json'), file('b.json')], io)).to.equal(EXIT_CODES.ok);
+
+      io = createIO();
+      expect(await run(['--equal', file('a.json'), file('c.json')], io)).to.equal(EXIT_CODES.failed);
+      expect(io.err).to.contain('differ:\n  replace /b/0\n  replace /b/1\n');
+    });
+
+    it('Should keep big numbers exact and reject duplicate keys, like normalizeText', async () => {
+      write('big.json', '{"price": 1.10, "id": 12345678901234567890}');
+      write('duplicate.json', '{"a": 1, "a": 2}');
+
+      let io = createIO();
+      expect(await run(['--write', file('big.json')], io)).to.equal(EXIT_CODES.ok);
+      expect(fs.readFileSync(file('big.json'), 'utf8'))
+        .to.equal(`${normalizeText('{"price": 1.10, "id": 12345678901234567890}')}\n`)
+        .and.to.equal('{"id":12345678901234567890,"price":1.10}\n');
+      expect(await run(['--check', file('big.json')], createIO())).to.equal(EXIT_CODES.ok);
+
+      io = createIO();
+      expect(await run(['--hash', 'sha256', file('big.json')], io)).to.equal(EXIT_CODES.ok);
+      expect(io.out).to.equal(`${sha256Sync(parseJSON('{"id":12345678901234567890,"price":1.10}'))}\n`);
+
+      write('rounded.json', '{"id":12345678901234567000,"price":1.10}');
+      expect(await run(['--equal', file('big.json'), file('rounded.json')], createIO()))
+        .to.equal(EXIT_CODES.failed);
+
+      const modes = ['--write', '--check', '--hash=md5', '--equal'];
+      for (let i = 0; i < modes.length; i++) {
+        io = createIO();
+        expect(await run([modes[i], file('duplicate.json'), file('b.json')], io))
+          .to.equal(EXIT_CODES.error);
+        expect(io.err).to.contain('Duplicate key "a"');
+      }
+      expect(fs.readFileSync(file('duplicate.json'), 'utf8')).to.equal('{"a": 1, "a": 2}');
+    });
+
+    it('Should print usage', async () => {
+      const io = createIO();
+      expect(await run(['--help'], io)).to.equal(EXIT_CODES.ok);
+      expect(io.out).to.contain('Usage: json-normalize');
+    });
+
+    it('Should fail on invalid arguments and input', async () => {
+      const cases = [
+        [['--equal', file('a.json')], '--equal requires two files'],
+        [['--write'], '--write requires files'],
+        [['--check', '--hash', 'md5'], '--check and --hash can\'t be combined'],
+        [['--hash', 'foo'], 'Unsupported hash algorithm "foo"'],
+        [[file('missing.json')], `${file('missing.json')}: ENOENT`],
+        [[file('invalid.json')], `${file('invalid.json')}: Unexpected end`],
+      ];
+
+      for (let i = 0; i < cases.length; i++) {
+        const io = createIO();
+        expect(await run(cases[i][0], io)).to.equal(EXIT_CODES.error);
+        expect(io.err).to.contain(`json-normalize: ${cases[i][1]}`);
+      }
+    });
+  });
+});
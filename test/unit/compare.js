@@ -0,0 +1,127 @@
+/* global BigInt */
+import {
+  compare,
+  createNormalizer,
+  isEqual,
+  md5Sync,
+  normalizeSync,
+} from '../../src/index';
+import { Map, Set } from '../helpers';
+
+const values = [
+  undefined,
+  null,
+  0,
+  -1,
+  10,
+  '',
+  'a',
+  'b',
+  true,
+  false,
+  [],
+  [1],
+  [1, 2],
+  [[1]],
+  {},
+  { a: 1 },
+  { a: 1, b: 2 },
+  { b: 2, a: 1 },
+  { a: [1, 2, { c: 3 }] },
+  { a: [1, 2, { c: 4 }] },
+  { 'a"': 1 },
+  'x'.repeat(3000),
+  `${'x'.repeat(3000)}y`,
+];
+
+/**
+ * Compares the normalized JSON of two values, with undefined as the empty string.
+ * @param {any} a The first value.
+ * @param {any} b The second value.
+ * @returns {number} -1, 0 or 1.
+ */
+const compareJSON = (a, b) => {
+  const [x, y] = [a, b].map(value => normalizeSync(value) || '');
+  if (x === y) return 0;
+  return x < y ? -1 : 1;
+};
+
+describe('JSONNormalize (isEqual and compare)', () => {
+  describe('isEqual', () => {
+    it('Should return true if the values normalize to the same JSON', () => {
+      values.forEach((a) => {
+        values.forEach((b) => {
+          expect(isEqual(a, b)).to.equal(normalizeSync(a) === normalizeSync(b));
+        });
+      });
+    });
+
+    it('Should ignore key order and functions', () => {
+      const a = { a: 1, b: [{ c: 2, d: 3 }], e: () => {} };
+      expect(isEqual(a, { b: [{ d: 3, c: 2 }], a: 1 })).to.equal(true);
+      expect(isEqual({ a: 1 }, { a: '1' })).to.equal(false);
+    });
+
+    it('Should mean "same hash" with the same options', () => {
+      const options = { typed: true, replacer: (key, value) => (key === 'ts' ? undefined : value) };
+      const a = { ts: 1, set: new Set([2, 1]), map: new Map([['n', BigInt(1)]]) };
+      const b = { ts: 2, set: new Set([1, 2]), map: new Map([['n', BigInt(1)]]) };
+      const c = { ts: 2, set: new Set([1, 2]), map: new Map([['n', BigInt(2)]]) };
+
+      expect(isEqual(a, b, options)).to.equal(true);
+      expect(md5Sync(a, options)).to.equal(md5Sync(b, options));
+      expect(isEqual(a, c, options)).to.equal(false);
+      expect(isEqual([1, 2], [2, 1], { unordered: true })).to.equal(true);
+    });
+
+    it('Should stop serializing at the first difference', () => {
+      let calls = 0;
+      const replacer = (key, value) => { calls++; return value; };
+      const a = Array.from({ length: 10000 }, (v, i) => ({ i }));
+      const b = [{ i: -1 }].concat(a.slice(1));
+
+      expect(isEqual(a, b, replacer)).to.equal(false);
+      expect(calls).to.be.below(2000);
+    });
+
+    it('Should throw like normalizeSync does', () => {
+      const circular = {};
+      circular.self = circular;
+
+      expect(() => isEqual(circular, circular)).to.throw(TypeError);
+      expect(() => isEqual({ a: BigInt(1) }, { a: 1 })).to.throw(TypeError);
+    });
+  });
+
+  describe('compare', () => {
+    it('Should order values like their normalized JSON', () => {
+      values.forEach((a) => {
+        values.forEach((b) => {
+          expect(compare(a, b)).to.equal(compareJSON(a, b));
+        });
+      });
+    });
+
+    it('Should sort values like unordered arrays do', () => {
+      // Arrays serialize undefined elements as null.
+      const sorted = values.map(value => (typeof value === 'undefined' ? null : value)).sort(compare);
+      expect(normalizeSync(sorted)).to.equal(normalizeSync(values, { unordered: true }));
+    });
+
+    it('Should sort and deduplicate normalized values', () => {
+      const sorted = [{ b: 1, a: 2 }, [2], { a: 2, b: 1 }, 'x', [1]]
+        .sort(compare)
+        .filter((value, i, array) => i === 0 || compare(value, array[i - 1]) !== 0);
+
+      expect(sorted).to.eql(['x', [1], [2], { b: 1, a: 2 }]);
+    });
+  });
+
+  describe('createNormalizer', () => {
+    it('Should use the default options for isEqual and compare', () => {
+      const normalizer = createNormalizer({ omit: ['id'] });
+      expect(normalizer.isEqual({ id: 1, a: 1 }, { id: 2, a: 1 })).to.equal(true);
+      expect(normalizer.compare({ id: 1, a: 1 }, { id: 0, a: 2 })).to.equal(-1);
+    });
+  });
+});
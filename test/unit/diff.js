@@ -0,0 +1,175 @@
+import {
+  applyPatch,
+  createNormalizer,
+  createPatch,
+  diff,
+  normalizeSync,
+} from '../../src/index';
+import { Set } from '../helpers';
+
+/**
+ * Returns the normalized form of a value as plain JSON data.
+ * @param {any} value The value to normalize.
+ * @param {object=} options The normalization options.
+ * @returns {any} The parsed normalized JSON.
+ */
+const toData = (value, options) => {
+  const json = normalizeSync(value, options);
+  return typeof json === 'undefined' ? undefined : JSON.parse(json);
+};
+
+const before = {
+  name: 'service',
+  port: 80,
+  hosts: ['a', 'b', 'c'],
+  tls: { enabled: false, ciphers: ['x'] },
+  onStart: () => {},
+  retries: [1, 2],
+};
+
+const after = {
+  retries: [1, 2, 3, 4],
+  tls: { ciphers: ['x'], enabled: true, cert: 'pem' },
+  hosts: ['a'],
+  port: '80',
+  onStart: () => {},
+  name: 'service',
+};
+
+describe('JSONNormalize (diff)', () => {
+  describe('diff', () => {
+    it('Should return the path-level changes between two values', () => {
+      expect(diff(before, after)).to.eql([
+        { op: 'remove', path: ['hosts', '2'], oldValue: 'c' },
+        { op: 'remove', path: ['hosts', '1'], oldValue: 'b' },
+        { op: 'replace', path: ['port'], oldValue: 80, value: '80' },
+        { op: 'add', path: ['retries', '2'], value: 3 },
+        { op: 'add', path: ['retries', '3'], value: 4 },
+        { op: 'add', path: ['tls', 'cert'], value: 'pem' },
+        { op: 'replace', path: ['tls', 'enabled'], oldValue: false, value: true },
+      ]);
+    });
+
+    it('Should return no changes for values that normalize to the same JSON', () => {
+      expect(diff({ a: [1, { b: 2, c: 3 }], d: undefined }, { a: [1, { c: 3, b: 2 }] })).to.eql([]);
+      expect(diff(undefined, () => {})).to.eql([]);
+    });
+
+    it('Should replace values that change kind', () => {
+      expect(diff({ a: [1] }, { a: { 0: 1 } })).to.eql([
+        { op: 'replace', path: ['a'], oldValue: [1], value: { 0: 1 } },
+      ]);
+
+      expect(diff([1], 'x')).to.eql([{ op: 'replace', path: [], oldValue: [1], value: 'x' }]);
+    });
+
+    it('Should compare deeply nested values without overflowing the stack', () => {
+      let deep = 1;
+      for (let i = 0; i < 20000; i++) deep = [deep];
+
+      expect(diff(deep, [deep])).to.have.length(1);
+      expect(diff(deep, deep)).to.eql([]);
+    });
+
+    it('Should add or remove the root if it normalizes to undefined', () => {
+      expect(diff(undefined, { a: 1 })).to.eql([{ op: 'add', path: [], value: { a: 1 } }]);
+      expect(diff({ a: 1 }, () => {})).to.eql([{ op: 'remove', path: [], oldValue: { a: 1 } }]);
+    });
+
+    it('Should apply the replacer and options to both values', () => {
+      const replacer = (key, value) => (key === 'updatedAt' ? undefined : value);
+      expect(diff({ a: 1, updatedAt: 1 }, { a: 1, updatedAt: 2 }, replacer)).to.eql([]);
+      expect(diff({ tags: ['a', 'b'] }, { tags: ['b', 'a'] }, { unordered: true })).to.eql([]);
+      expect(diff({ s: new Set([2]) }, { s: new Set([1]) }, { typed: true })).to.eql([
+        { op: 'replace', path: ['s', 'value', '0'], oldValue: 2, value: 1 },
+      ]);
+    });
+
+    it('Should be available on normalizer instances', () => {
+      const normalizer = createNormalizer({ omit: ['**.id'] });
+      expect(normalizer.diff({ id: 1, a: 1 }, { id: 2, a: 1 })).to.eql([]);
+      expect(normalizer.createPatch({ id: 1 }, { id: 2, a: 1 })).to.eql([{ op: 'add', path: '/a', value: 1 }]);
+    });
+  });
+
+  describe('createPatch', () => {
+    it('Should return an RFC 6902 JSON Patch', () => {
+      expect(createPatch({ 'a/b': 1, c: [1, 2] }, { 'a/b': 2, c: [1], '~': null })).to.eql([
+        { op: 'replace', path: '/a~1b', value: 2 },
+        { op: 'remove', path: '/c/1' },
+        { op: 'add', path: '/~0', value: null },
+      ]);
+    });
+
+    it('Should round-trip with applyPatch', () => {
+      const pairs = [
+        [before, after],
+        [after, before],
+        [{ a: [[1, 2], [3]] }, { a: [[1], [3, 4], 5] }],
+        [{ a: 1 }, [1]],
+        [undefined, { a: 1 }],
+        [{ a: 1 }, undefined],
+        [{ __proto__: { a: 1 }, b: 2 }, JSON.parse('{"__proto__":{"x":1}}')],
+      ];
+
+      pairs.forEach(([a, b]) => {
+        expect(applyPatch(toData(a), createPatch(a, b))).to.eql(toData(b));
+      });
+    });
+  });
+
+  describe('applyPatch', () => {
+    const document = { a: { b: [1, 2] }, c: 'd' };
+
+    it('Should not modify the document', () => {
+      expect(applyPatch(document, [{ op: 'remove', path: '/a' }])).to.eql({ c: 'd' });
+      expect(document).to.eql({ a: { b: [1, 2] }, c: 'd' });
+    });
+
+    it('Should apply add, remove and replace operations', () => {
+      expect(applyPatch(document, [
+        { op: 'add', path: '/a/b/0', value: 0 },
+        { op: 'add', path: '/a/b/-', value: 3 },
+        { op: 'remove', path: '/a/b/1' },
+        { op: 'replace', path: '/c', value: { e: 'f' } },
+      ])).to.eql({ a: { b: [0, 2, 3] }, c: { e: 'f' } });
+
+      expect(applyPatch(document, [{ op: 'replace', path: '', value: 1 }])).to.equal(1);
+    });
+
+    it('Should apply move, copy and test operations', () => {
+      expect(applyPatch(document, [
+        { op: 'test', path: '/a', value: { b: [1, 2] } },
+        { op: 'copy', from: '/a/b', path: '/e' },
+        { op: 'move', from: '/c', path: '/a/b/0' },
+      ])).to.eql({ a: { b: ['d', 1, 2] }, e: [1, 2] });
+    });
+
+    it('Should not share values between the document and the patch', () => {
+      const value = { x: 1 };
+      const patched = applyPatch({}, [{ op: 'add', path: '/a', value }, { op: 'copy', from: '/a', path: '/b' }]);
+      patched.a.x = 2;
+
+      expect(value.x).to.equal(1);
+      expect(patched.b.x).to.equal(1);
+    });
+
+    it('Should throw if a test fails or a path doesn\'t exist', () => {
+      expect(() => applyPatch(document, [{ op: 'test', path: '/c', value: 'x' }])).to.throw('test failed at "/c"');
+      expect(() => applyPatch(document, [{ op: 'remove', path: '/x' }])).to.throw('"/x" does not exist');
+      expect(() => applyPatch(document, [{ op: 'replace', path: '/a/b/2', value: 1 }])).to.throw('does not exist');
+      expect(() => applyPatch(document, [{ op: 'add', path: '/a/b/3', value: 1 }])).to.throw('does not exist');
+      expect(() => applyPatch(document, [{ op: 'add', path: '/x/y', value: 1 }])).to.throw('does not exist');
+      expect(() => applyPatch(document, [{ op: 'move', from: '/a', path: '/a/x' }])).to.throw('children');
+    });
+
+    it('Should throw on invalid patches', () => {
+      expect(() => applyPatch(document, {})).to.throw(TypeError);
+      expect(() => applyPatch(document, [{ op: 'foo', path: '' }])).to.throw(TypeError);
+      expect(() => applyPatch(document, [{ op: 'add', path: '/a' }])).to.throw(TypeError);
+      expect(() => applyPatch(document, [{ op: 'copy', path: '/a' }])).to.throw(TypeError);
+      expect(() => applyPatch(document, [{ op: 'remove', path: 'a' }])).to.throw(TypeError);
+      expect(() => applyPatch(document, [null])).to.throw(TypeError);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/* global BigInt */
+import {
+  LimitError,
+  NormalizeError,
+  ParseError,
+  createNormalizer,
+  hashObjectSync,
+  md5Async,
+  normalizeAsync,
+  normalizeSync,
+  normalizeText,
+  parseJSON,
+  sha256Sync,
+} from '../../src/index';
+import { Map, catchError } from '../helpers';
+
+/**
+ * Asserts that an error is a NormalizeError with the given code and path.
+ * @param {Error} error The error.
+ * @param {string} code The error code.
+ * @param {Array<string>} path The path.
+ * @returns {undefined}
+ */
+const expectNormalizeError = (error, code, path) => {
+  expect(error).to.be.an.instanceof(NormalizeError);
+  expect(error).to.be.an.instanceof(TypeError);
+  expect(error.name).to.equal('NormalizeError');
+  expect({ code: error.code, path: error.path }).to.eql({ code, path });
+};
+
+/**
+ * A class, whose instances aren't plain objects.
+ * @returns {undefined}
+ */
+function Point() {
+  this.x = 1;
+}
+
+describe('JSONNormalize (errors)', () => {
+  describe('NormalizeError', () => {
+    it('Should be thrown for circular references', () => {
+      const value = { a: [{}] };
+      value.a[0].self = value.a;
+
+      const error = catchError(() => normalizeSync(value));
+      expectNormalizeError(error, 'ERR_CIRCULAR_REFERENCE', ['a', '0', 'self']);
+      expect(error.message).to.equal('Converting circular structure to JSON: "#/a/0/self" refers to its ancestor "#/a"');
+      expect(error.stack).to.contain('NormalizeError: Converting circular structure');
+    });
+
+    it('Should be thrown for values JSON (or RFC 8785) can\'t represent', () => {
+      const bigint = catchError(() => normalizeSync({ a: [BigInt(1)] }));
+      expectNormalizeError(bigint, 'ERR_UNSERIALIZABLE', ['a', '0']);
+      expect(bigint.message).to.match(/BigInt at "#\/a\/0"$/);
+
+      expectNormalizeError(catchError(() => normalizeSync({ n: NaN }, { canonical: 'jcs' })), 'ERR_UNSERIALIZABLE', ['n']);
+      expectNormalizeError(catchError(() => normalizeSync({ '\ud800': 1 }, { canonical: 'jcs' })), 'ERR_UNSERIALIZABLE', ['\ud800']);
+    });
+
+    it('Should be thrown for keys that canonicalize to the same key', () => {
+      expectNormalizeError(catchError(() => normalizeSync({ a: { A: 1, a: 2 } }, { foldKeys: true })), 'ERR_KEY_COLLISION', ['a']);
+    });
+
+    it('Should be thrown for pointers into unordered arrays', () => {
+      const o = {};
+      const error = catchError(() => normalizeSync({ a: [o], b: o }, { references: 'ref', unordered: true }));
+      expectNormalizeError(error, 'ERR_UNORDERED_REFERENCE', ['b']);
+    });
+
+    it('Should be the base class of LimitError', () => {
+      const error = catchError(() => normalizeSync([[1]], { maxDepth: 1 }));
+
+      expect(error).to.be.an.instanceof(LimitError);
+      expect(error).to.be.an.instanceof(NormalizeError);
+      expect([error.name, error.code, error.path]).to.eql(['LimitError', 'ERR_LIMIT_EXCEEDED', ['0']]);
+    });
+
+    it('Should not wrap option errors, or errors thrown by replacers', () => {
+      const replacer = () => { throw new RangeError('nope'); };
+
+      expect(catchError(() => normalizeSync({}, { canonical: 'foo' }))).to.not.be.an.instanceof(NormalizeError);
+      expect(catchError(() => normalizeSync({}, replacer))).to.be.an.instanceof(RangeError);
+    });
+
+    it('Should give ParseError a code and path, but make it a SyntaxError like JSON.parse', () => {
+      const error = catchError(() => normalizeText('{"a": [1, 2,]}'));
+
+      expect(error).to.be.an.instanceof(ParseError);
+      expect(error).to.be.an.instanceof(SyntaxError);
+      expect(error).to.not.be.an.instanceof(NormalizeError);
+      expect(error.stack).to.contain('ParseError: Unexpected');
+      expect([error.name, error.code, error.path]).to.eql(['ParseError', 'ERR_SYNTAX', ['a', '2']]);
+      expect([error.line, error.column, error.offset]).to.eql([1, 13, 12]);
+
+      const duplicate = catchError(() => parseJSON('[{"a": 1, "a": 2}]'));
+      expect([duplicate.code, duplicate.path]).to.eql(['ERR_DUPLICATE_KEY', ['0', 'a']]);
+    });
+  });
+
+  describe('strict', () => {
+    const cases = [
+      [{ a: () => {} }, 'ERR_UNSUPPORTED_TYPE', ['a'], 'Cannot serialize a function at "#/a"'],
+      [{ a: { b: Symbol('b') } }, 'ERR_UNSUPPORTED_TYPE', ['a', 'b'], 'Cannot serialize a symbol at "#/a/b"'],
+      [{ [Symbol('s')]: 1 }, 'ERR_UNSUPPORTED_TYPE', [], 'Cannot serialize the symbol key Symbol(s) at "#"'],
+      [[1, undefined], 'ERR_UNDEFINED_ELEMENT', ['1'], 'Cannot serialize an undefined array element at "#/1"'],
+      [[() => {}], 'ERR_UNSUPPORTED_TYPE', ['0'], 'Cannot serialize a function at "#/0"'],
+      [{ a: [NaN] }, 'ERR_NON_FINITE_NUMBER', ['a', '0'], 'Cannot serialize the number NaN at "#/a/0"'],
+      [{ a: -Infinity }, 'ERR_NON_FINITE_NUMBER', ['a'], 'Cannot serialize the number -Infinity at "#/a"'],
+      [{ p: new Point() }, 'ERR_NON_PLAIN_OBJECT', ['p'], 'Cannot serialize an instance of Point at "#/p"'],
+      [{ m: new Map([[1, 2]]) }, 'ERR_NON_PLAIN_OBJECT', ['m'], 'Cannot serialize an instance of Map at "#/m"'],
+    ];
+
+    it('Should throw on values that would be lost', () => {
+      cases.forEach(([value, code, path, message]) => {
+        expect(() => normalizeSync(value)).to.not.throw();
+
+        const error = catchError(() => normalizeSync(value, { strict: true }));
+        expectNormalizeError(error, code, path);
+        expect(error.message).to.equal(message);
+      });
+    });
+
+    it('Should allow values that are encoded', () => {
+      const value = {
+        date: new Date(0),
+        map: new Map([['a', 1]]),
+        bare: Object.create(null),
+        raw: parseJSON('1.0'),
+        buffer: Buffer.from('a'),
+        missing: undefined,
+      };
+
+      const types = [[p => p instanceof Point, p => ({ x: p.x })]];
+      const replacer = (k, v) => (typeof v === 'function' ? 'fn' : v);
+
+      expect(normalizeSync(value, { strict: true, typed: true }))
+        .to.equal(normalizeSync(value, { typed: true }));
+      expect(normalizeSync({ p: new Point() }, { strict: true, types })).to.equal('{"p":{"x":1}}');
+      expect(normalizeSync({ f: () => {} }, { strict: true, replacer })).to.equal('{"f":"fn"}');
+    });
+
+    it('Should allow undefined elements that are pruned', () => {
+      expect(normalizeSync([1, undefined], { strict: true, prune: ['undefined'] })).to.equal('[1]');
+    });
+
+    it('Should apply to every function', () => {
+      const value = { a: [NaN] };
+
+      expectNormalizeError(catchError(() => sha256Sync(value, { strict: true })), 'ERR_NON_FINITE_NUMBER', ['a', '0']);
+      expectNormalizeError(catchError(() => hashObjectSync(value, { strict: true })), 'ERR_NON_FINITE_NUMBER', ['a', '0']);
+      expectNormalizeError(catchError(() => createNormalizer({ strict: true }).normalizeSync(value)), 'ERR_NON_FINITE_NUMBER', ['a', '0']);
+
+      return Promise.all([normalizeAsync, md5Async].map(fn => fn(value, { strict: true }).then(
+        () => { throw new Error('Expected an error'); },
+        e => expectNormalizeError(e, 'ERR_NON_FINITE_NUMBER', ['a', '0']))));
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import {
+  FINGERPRINT_VERSION,
+  createNormalizer,
+  fingerprint,
+  md5Sync,
+  parseFingerprint,
+  parseJSON,
+  sha256Sync,
+  verifyFingerprint,
+} from '../../src/index';
+import { Set, catchError } from '../helpers';
+
+/**
+ * The golden vectors of every fingerprint version: [value, options, fingerprint] triples. These
+ * pin each version's output, so they must never change. A new version gets its own vectors.
+ * @type {object}
+ */
+const GOLDEN = {
+  1: [
+    [null, undefined, 'jn1:sha256:74234e98afe7498fb5daf1f36ac2d78acc339464f950703b8c019892f982b90b'],
+    [true, undefined, 'jn1:sha256:b5bea41b6c623f7c09f1bf24dcae58ebab3c0cdd90ad966bc43a45b44867e12b'],
+    [0, undefined, 'jn1:sha256:5feceb66ffc86f38d952786c6d696c79c2dbc239dd4e91b46729d73a27fb57e9'],
+    [-1.5, undefined, 'jn1:sha256:37c2b212b94e5372b33df924ea2a91182d90c237d0bf942c1768e794ebef2376'],
+    [1e21, undefined, 'jn1:sha256:241c4643fa70b1dcde1205b71be4e3bebb17e9f880c8e1a33d0ead6c27271d3c'],
+    ['', undefined, 'jn1:sha256:12ae32cb1ec02d01eda3581b127c1fee3b0dc53572ed6baf239721a03d82e126'],
+    ['caf\u00e9', undefined, 'jn1:sha256:28380feb8724d669bc8d4cf5b5a5bb1adbdc61b81ebd06f3fabc567b4f3b0fc5'],
+    [{ k: 'a\tb\u0000' }, undefined, 'jn1:sha256:d7aa51c473f6eb20987b168e11c0bf0f1105f5738c53cde55aa4470d2b14fb25'],
+    [[], undefined, 'jn1:sha256:4f53cda18c2baa0c0354bb5f9a3ecbe5ed12ab4d8e11ba873c2f11161202b945'],
+    [{}, undefined, 'jn1:sha256:44136fa355b3678a1146ad16f7e8649e94fb4fc21fe77e8310c060f61caaff8a'],
+    [[1, 'a', null, [2]], undefined, 'jn1:sha256:e13796b276749312b0feb7ea21e1ba81f6bf97680a6854268ab3e3379a4551e9'],
+    [{ b: 2, a: 1 }, undefined, 'jn1:sha256:43258cff783fe7036d8a43033f830adfc60ec037382473548ac742b888292777'],
+    [
+      { b: [{ y: 1, x: 2 }], a: 'x', c: { e: null, d: true } },
+      undefined,
+      'jn1:sha256:b59d5a618d036b6741c8f567850c99a7876714248826b613758c3572856b6198',
+    ],
+    [{ b: 2, a: 1 }, { algorithm: 'md5' }, 'jn1:md5:608de49a4600dbb5b173492759792e4a'],
+    [[1, 'a', null, [2]], { algorithm: 'md5' }, 'jn1:md5:77339828a1b3f3eb164245465d6070b4'],
+    [
+      { b: 4.5, a: 1e30, s: '€' },
+      { canonical: 'jcs' },
+      'jn1:sha256:89f49fdf0ba67ad666aa3d52c491ba829c3b113ccb79e749e368584985ba3e34',
+    ],
+    [
+      { at: new Date(0), tags: new Set(['b', 'a']), big: parseJSON('12345678901234567890') },
+      { typed: true },
+      'jn1:sha256:f3d6c54a3d3acbbbf7c007f2e57bb82f22df49a33543cf7734877a18c4e6b72c',
+    ],
+    [
+      { list: [3, 1, 2] },
+      { unordered: true },
+      'jn1:sha256:bbb2330fb3d521b2c0ab5fe632c43d9d8933c5dfb683d0818747b599fc0fcf30',
+    ],
+    [
+      { Name: 'cafe\u0301', n: 1.23456 },
+      { unicode: 'NFC', foldKeys: true, precision: 3 },
+      'jn1:sha256:ee2b7d0ae3fbb0baa51df422028737d18450b4ce1c1ab8463b02f54d4ed67dbc',
+    ],
+  ],
+};
+
+describe('JSONNormalize (fingerprint)', () => {
+  describe('Golden vectors', () => {
+    it('Should pin the output of every version', () => {
+      Object.keys(GOLDEN).forEach((version) => {
+        GOLDEN[version].forEach(([value, options, expected]) => {
+          expect(fingerprint(value, { ...options, version: Number(version) })).to.equal(expected);
+          expect(verifyFingerprint(value, expected, options)).to.equal(true);
+        });
+      });
+    });
+
+    it('Should have vectors for the latest version', () => {
+      expect(GOLDEN).to.have.property(String(FINGERPRINT_VERSION));
+    });
+  });
+
+  describe('fingerprint', () => {
+    const value = { b: [1, 2], a: 'x' };
+
+    it('Should use the latest version and sha256 by default', () => {
+      expect(fingerprint(value)).to.equal(`jn${FINGERPRINT_VERSION}:sha256:${sha256Sync(value)}`);
+      expect(fingerprint(value, { algorithm: 'MD5' })).to.equal(`jn1:md5:${md5Sync(value)}`);
+    });
+
+    it('Should throw on values that normalize to undefined, like hashObject', () => {
+      expect(() => fingerprint(undefined)).to.throw(TypeError, 'Cannot hash a value that normalizes to undefined');
+      expect(catchError(() => fingerprint(value, () => undefined)).code).to.equal('ERR_UNSERIALIZABLE');
+    });
+
+    it('Should take the normalization options', () => {
+      const replacer = (key, v) => (key === 'a' ? undefined : v);
+
+      expect(fingerprint(value, replacer)).to.equal(fingerprint({ b: [1, 2] }));
+      expect(fingerprint(value, { omit: ['a'] })).to.equal(fingerprint({ b: [1, 2] }));
+      expect(fingerprint(value, { space: 2 })).to.equal(fingerprint(value));
+    });
+
+    it('Should always return hex digests', () => {
+      expect(fingerprint(value, { encoding: 'base64', key: 'secret' })).to.equal(fingerprint(value));
+    });
+
+    it('Should throw on unsupported versions and algorithms', () => {
+      [0, 2, '1.5', null].forEach((version) => {
+        expect(() => fingerprint(value, { version })).to.throw(TypeError, 'Unsupported fingerprint version');
+      });
+
+      expect(() => fingerprint(value, { algorithm: 'foo' })).to.throw(TypeError, 'Unsupported hash algorithm "foo"');
+    });
+  });
+
+  describe('parseFingerprint', () => {
+    it('Should return the version, algorithm and digest', () => {
+      expect(parseFingerprint('jn1:sha512-256:00ff')).to.eql({ version: 1, algorithm: 'sha512-256', digest: '00ff' });
+    });
+
+    it('Should throw on invalid fingerprints', () => {
+      ['', 'jn1:sha256', 'jn0:sha256:00', 'jn1:SHA256:00', 'jn1:sha256:00FF', 'x:jn1:sha256:00', 1].forEach((string) => {
+        expect(() => parseFingerprint(string)).to.throw(TypeError, 'Invalid fingerprint');
+      });
+    });
+  });
+
+  describe('verifyFingerprint', () => {
+    const value = { b: [1, 2], a: 'x' };
+
+    it('Should verify fingerprints with their own version and algorithm', () => {
+      expect(verifyFingerprint(value, fingerprint(value))).to.equal(true);
+      expect(verifyFingerprint(value, fingerprint(value, { algorithm: 'sha512' }), { algorithm: 'md5' })).to.equal(true);
+      expect(verifyFingerprint({ a: 'x', b: [1, 2] }, fingerprint(value))).to.equal(true);
+    });
+
+    it('Should reject fingerprints of other values or options', () => {
+      expect(verifyFingerprint({ ...value, c: 1 }, fingerprint(value))).to.equal(false);
+      expect(verifyFingerprint(value, fingerprint(value), { omit: ['a'] })).to.equal(false);
+      expect(verifyFingerprint(undefined, fingerprint(value))).to.equal(false);
+      expect(() => verifyFingerprint(value, 'jn9:sha256:00')).to.throw(TypeError, 'Unsupported fingerprint version "9"');
+      expect(() => verifyFingerprint(value, 'sha256:00')).to.throw(TypeError, 'Invalid fingerprint');
+    });
+
+    it('Should be available from createNormalizer', () => {
+      const normalizer = createNormalizer({ omit: ['a'] });
+      const expected = fingerprint({ b: [1, 2] });
+
+      expect(normalizer.fingerprint(value)).to.equal(expected);
+      expect(normalizer.verifyFingerprint(value, expected)).to.equal(true);
+      expect(normalizer.verifyFingerprint(value, expected, { omit: [] })).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { normalizeAsync, normalizeSync, md5Sync, hash } from '../../src/index';
+import { createIndenter, indent, resolveSpace } from '../../src/format';
+
+// Values with sorted keys, so the output should match JSON.stringify's byte for byte.
+const values = [
+  {},
+  [],
+  'string',
+  1,
+  null,
+  { a: {}, b: [], c: [{}, []] },
+  { a: 1, b: [1, 2, { c: 'd' }], e: { f: { g: null } } },
+  { 'a"{,:}[]': 'x\\"{,:}[]\n', b: ['"', '\\', '\\"'] },
+  [[[]], [[1]], { a: [{ b: {} }] }],
+];
+
+describe('JSONNormalize (space)', () => {
+  [2, 4, '\t', '--', 20, 0, -1, 1.5, '', 'abcdefghijklmnop'].forEach((space) => {
+    describe(`space: ${JSON.stringify(space)}`, () => {
+      values.forEach((value, i) => {
+        it(`Should match JSON.stringify's output (${i + 1})`, async () => {
+          const expected = JSON.stringify(value, null, space);
+
+          expect(normalizeSync(value, null, space)).to.equal(expected);
+          expect(normalizeSync(value, { space })).to.equal(expected);
+          expect(await normalizeAsync(value, { space })).to.equal(expected);
+        });
+      });
+    });
+  });
+
+  it('Should indent the normalized output', () => {
+    expect(normalizeSync({ b: [2, 1], a: {} }, { unordered: true }, 2))
+      .to.equal('{\n  "a": {},\n  "b": [\n    1,\n    2\n  ]\n}');
+  });
+
+  it('Should prefer the space argument over the space option', () => {
+    expect(normalizeSync([1], { space: 2 }, 0)).to.equal('[1]');
+  });
+
+  it('Should hash the indented output', () => {
+    expect(md5Sync({ a: 1 }, { space: 2 })).to.equal(hash('{\n  "a": 1\n}'));
+  });
+
+  it('Should return undefined for values that serialize to undefined', () => {
+    expect(normalizeSync(undefined, { space: 2 })).to.equal(undefined);
+  });
+
+  describe('format.resolveSpace', () => {
+    it('Should resolve the space like JSON.stringify does', () => {
+      expect(resolveSpace(3)).to.equal('   ');
+      expect(resolveSpace(11)).to.equal('          ');
+      expect(resolveSpace(-3)).to.equal('');
+      expect(resolveSpace('\t')).to.equal('\t');
+      expect(resolveSpace({})).to.equal('');
+    });
+  });
+
+  describe('format.createIndenter', () => {
+    it('Should keep state between chunks', () => {
+      const json = normalizeSync(values);
+      const indenter = createIndenter('  ');
+      const chunked = json.split('').map(indenter).join('');
+
+      expect(chunked).to.equal(indent(json, 2));
+      expect(chunked).to.equal(JSON.stringify(values, null, 2));
+    });
+  });
+});
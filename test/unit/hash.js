@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import {
+  createNormalizer,
+  hashObject,
+  hashObjectAsync,
+  hashObjectSync,
+  md5,
+  md5Async,
+  md5Sync,
+  normalizeSync,
+  sha256,
+  sha256Async,
+  sha256Sync,
+  sha512Async,
+  sha512Sync,
+} from '../../src/index';
+
+const value = { b: [1, { d: 'é', c: null }], a: 'x', f: () => {} };
+const json = normalizeSync(value);
+
+describe('JSONNormalize (hashObject)', () => {
+  describe('hashObjectSync', () => {
+    it('Should default to an md5 hex digest', () => {
+      expect(hashObjectSync(value)).to.equal(md5Sync(value));
+    });
+
+    it('Should support any algorithm in crypto.getHashes()', () => {
+      ['sha1', 'sha256', 'sha3-256', 'blake2b512', 'SHA384'].forEach((algorithm) => {
+        const expected = crypto.createHash(algorithm).update(json).digest('hex');
+        expect(hashObjectSync(value, { algorithm })).to.equal(expected);
+      });
+    });
+
+    it('Should return HMACs when given a key', () => {
+      const key = 'secret';
+      const expected = crypto.createHmac('sha256', key).update(json).digest('hex');
+
+      expect(hashObjectSync(value, { algorithm: 'sha256', key })).to.equal(expected);
+      expect(hashObjectSync(value, { algorithm: 'sha256', key: Buffer.from(key) })).to.equal(expected);
+      expect(hashObjectSync(value, { algorithm: 'sha256', key: 'other' })).to.not.equal(expected);
+    });
+
+    it('Should support the hex, base64, base64url and buffer encodings', () => {
+      const digest = crypto.createHash('sha256').update(json).digest();
+      const hash = encoding => hashObjectSync(value, { algorithm: 'sha256', encoding });
+
+      expect(hash('hex')).to.equal(digest.toString('hex'));
+      expect(hash('base64')).to.equal(digest.toString('base64'));
+      expect(hash('base64url')).to.equal(digest.toString('base64url'));
+      expect(hash('base64url')).to.match(/^[\w-]+$/);
+      expect(Buffer.isBuffer(hash('buffer'))).to.equal(true);
+      expect(hash('buffer').equals(digest)).to.equal(true);
+    });
+
+    it('Should pass the normalization options through', () => {
+      const replacer = (key, v) => (key === 'a' ? undefined : v);
+      const expected = sha256Sync(value, { replacer, space: 2 });
+
+      expect(hashObjectSync(value, { algorithm: 'sha256', replacer, space: 2 })).to.equal(expected);
+      expect(hashObjectSync(value, replacer)).to.equal(md5Sync(value, replacer));
+      expect(hashObjectSync(value, { omit: ['b'] })).to.equal(md5Sync({ a: 'x' }));
+    });
+
+    it('Should throw on invalid options', () => {
+      expect(() => hashObjectSync(value, { algorithm: 'foo' })).to.throw(TypeError, 'Unsupported hash algorithm "foo"');
+      expect(() => hashObjectSync(value, { encoding: 'latin1' })).to.throw(TypeError, 'Unsupported hash encoding "latin1"');
+      expect(() => hashObjectSync(value, { key: 1 })).to.throw(TypeError, 'The "key" option must be');
+    });
+
+    it('Should throw on values that normalize to undefined, like md5Sync', () => {
+      [undefined, () => {}, Symbol('s')].forEach((input) => {
+        expect(() => md5Sync(input)).to.throw(TypeError);
+        expect(() => hashObjectSync(input)).to.throw(TypeError, 'Cannot hash a value that normalizes to undefined at "#"');
+      });
+
+      expect(() => hashObjectSync({ a: 1 }, () => undefined)).to.throw(TypeError);
+      expect(hashObjectSync(null)).to.equal(md5Sync(null));
+    });
+
+    it('Should pass ERR_UNSERIALIZABLE from the md5, sha256 and sha512 functions', async () => {
+      const errors = await Promise.all([
+        md5Async(undefined),
+        sha256Async(() => {}),
+        sha512Async({ a: 1 }, () => undefined),
+        new Promise(resolve => md5(() => {}, resolve)),
+        new Promise(resolve => sha256(undefined, {}, resolve)),
+      ].map(promise => Promise.resolve(promise).catch(e => e)));
+
+      errors.forEach(e => expect([e.name, e.code]).to.eql(['NormalizeError', 'ERR_UNSERIALIZABLE']));
+      [md5Sync, sha256Sync, sha512Sync].forEach((fn) => {
+        expect(() => fn(undefined)).to.throw(TypeError, 'Cannot hash a value that normalizes to undefined');
+      });
+    });
+  });
+
+  describe('hashObject', () => {
+    it('Should return the same digests as hashObjectSync', async () => {
+      const options = [
+        undefined,
+        { algorithm: 'sha512', encoding: 'base64' },
+        { algorithm: 'sha256', key: 'secret', encoding: 'base64url', space: '\t' },
+      ];
+
+      for (let i = 0; i < options.length; i++) {
+        const expected = hashObjectSync(value, options[i]);
+        expect(await hashObjectAsync(value, options[i])).to.equal(expected);
+      }
+
+      const digest = await hashObjectAsync(value, { encoding: 'buffer' });
+      expect(digest.equals(hashObjectSync(value, { encoding: 'buffer' }))).to.equal(true);
+    });
+
+    it('Should pass a replacer function through with the promise form', async () => {
+      const replacer = (key, v) => (key === 'a' ? undefined : v);
+      expect(await hashObjectAsync(value, replacer)).to.equal(md5Sync(value, replacer));
+    });
+
+    it('Should support callbacks', (done) => {
+      hashObject(value, { algorithm: 'sha256' }, (e, digest) => {
+        expect(digest).to.equal(sha256Sync(value));
+        hashObject(value, (error, digestMd5) => {
+          expect(digestMd5).to.equal(md5Sync(value));
+          done(e || error);
+        });
+      });
+    });
+
+    it('Should pass errors to the callback', async () => {
+      let error;
+      try { await hashObjectAsync(value, { algorithm: 'foo' }); } catch (e) { error = e; }
+      expect(error).to.be.an.instanceof(TypeError);
+
+      const undefinedError = await hashObjectAsync(undefined, { budget: 0 }).catch(e => e);
+      expect([undefinedError.name, undefinedError.code]).to.eql(['NormalizeError', 'ERR_UNSERIALIZABLE']);
+    });
+  });
+
+  describe('createNormalizer', () => {
+    it('Should use the default options for hashObject', async () => {
+      const normalizer = createNormalizer({ algorithm: 'sha256', key: 'secret', omit: ['f'] });
+      const expected = hashObjectSync(value, { algorithm: 'sha256', key: 'secret' });
+
+      expect(normalizer.hashObjectSync(value)).to.equal(expected);
+      expect(normalizer.md5Sync(value)).to.equal(md5Sync(value, { omit: ['f'] }));
+      expect(await normalizer.md5Async(value)).to.equal(md5Sync(value, { omit: ['f'] }));
+      expect(await normalizer.hashObjectAsync(value)).to.equal(expected);
+      expect(normalizer.hashObjectSync(value, { encoding: 'base64' }))
+        .to.equal(Buffer.from(expected, 'hex').toString('base64'));
+    });
+  });
+});
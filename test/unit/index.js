@@ -6,7 +6,10 @@ import JSONNormalize, {
   stringifySync,
   hash,
   normalize,
+  sha256Async,
+  sha256Sync,
 } from '../../src/index';
+import { Set } from '../helpers';
 
 const basicValues = [
   {},
@@ -219,6 +222,15 @@ describe('JSONNormalize', () => {
       });
     });
 
+    describe('Object keys', () => {
+      it('Should escape quotes, backslashes and control characters like JSON.stringify', () => {
+        const value = { 'a"b': 1, 'c\\d': 2, 'e\nf': 3, '\u0001': 4 };
+
+        expect(normalizeSync(value)).to.equal('{"\\u0001":4,"a\\"b":1,"c\\\\d":2,"e\\nf":3}');
+        expect(JSON.parse(normalizeSync(value))).to.eql(value);
+      });
+    });
+
     describe('Replacer parameter', () => {
       it('Should strip functions if no replacer is provided (object)', () => {
         const data = { foo: () => {}, bar: () => {} };
@@ -273,6 +285,197 @@ describe('JSONNormalize', () => {
     });
   });
 
+  describe('Circular references', () => {
+    const createCycle = () => {
+      const value = { a: 1, b: { c: {} } };
+      value.b.c.back = value.b;
+      return value;
+    };
+
+    it('Should throw with the path where the cycle closes (sync)', () => {
+      expect(() => normalizeSync(createCycle())).to.throw(TypeError, '"#/b/c/back" refers to its ancestor "#/b"');
+    });
+
+    it('Should reject with the path where the cycle closes (async)', async () => {
+      let error;
+      try { await normalizeAsync(createCycle()); } catch (e) { error = e; }
+      expect(error).to.be.an.instanceof(TypeError);
+      expect(error.message).to.contain('"#/b/c/back" refers to its ancestor "#/b"');
+    });
+
+    it('Should detect cycles through arrays and the root', () => {
+      const value = [1];
+      value.push(value);
+      expect(() => normalizeSync(value)).to.throw(TypeError, '"#/1" refers to its ancestor "#"');
+    });
+
+    it('Should escape the path as a JSON pointer', () => {
+      const value = { 'a/b~c': {} };
+      value['a/b~c'].self = value['a/b~c'];
+      expect(() => normalizeSync(value)).to.throw(TypeError, '"#/a~1b~0c/self"');
+    });
+
+    it('Should allow repeated references that aren\'t circular', () => {
+      const shared = { a: 1 };
+      expect(normalizeSync({ x: shared, y: [shared] })).to.equal('{"x":{"a":1},"y":[{"a":1}]}');
+    });
+
+    describe('references: "ref"', () => {
+      const options = { references: 'ref' };
+
+      it('Should encode circular references as pointers', async () => {
+        const expected = '{"a":1,"b":{"c":{"back":{"$ref":"#/b"}}}}';
+        expect(normalizeSync(createCycle(), options)).to.equal(expected);
+        expect(await normalizeAsync(createCycle(), options)).to.equal(expected);
+      });
+
+      it('Should encode self references as a pointer to the root', () => {
+        const value = { a: 1 };
+        value.self = value;
+        expect(normalizeSync(value, options)).to.equal('{"a":1,"self":{"$ref":"#"}}');
+      });
+
+      it('Should encode repeated references, regardless of key order', async () => {
+        const shared = { a: 1, b: [2] };
+        const expected = '{"x":{"a":1,"b":[2]},"y":[{"$ref":"#/x"},{"$ref":"#/x/b"}]}';
+
+        expect(normalizeSync({ y: [shared, shared.b], x: shared }, options)).to.equal(expected);
+        expect(normalizeSync({ x: shared, y: [shared, shared.b] }, options)).to.equal(expected);
+        expect(await normalizeAsync({ y: [shared, shared.b], x: shared }, options))
+          .to.equal(expected);
+      });
+
+      it('Should not refer into unordered arrays, whose elements are sorted', () => {
+        const o = { k: 1 };
+        const unordered = { ...options, unordered: true };
+        const typed = { ...options, typed: true };
+
+        expect(() => normalizeSync([o, 'a', o], unordered))
+          .to.throw(TypeError, 'Cannot refer to "#/0" from "#/2", since it\'s in an unordered array');
+        expect(() => normalizeSync(['a', o, o], unordered)).to.throw(TypeError, /unordered array/);
+        expect(() => normalizeSync({ x: [o, [o]] }, unordered))
+          .to.throw(TypeError, /unordered array/);
+        expect(() => normalizeSync(new Set(['a', o, [o]]), typed))
+          .to.throw(TypeError, /unordered array/);
+
+        // Pointers from unordered arrays to objects outside of them are stable.
+        expect(normalizeSync({ a: o, b: [o, 'x', o] }, unordered))
+          .to.equal('{"a":{"k":1},"b":["x",{"$ref":"#/a"},{"$ref":"#/a"}]}');
+        expect(normalizeSync({ a: o, b: new Set([o]) }, typed))
+          .to.equal('{"a":{"k":1},"b":{"$type":"Set","value":[{"$ref":"#/a"}]}}');
+      });
+
+      it('Should work with the hash functions', async () => {
+        const expected = hash(normalizeSync(createCycle(), options), 'sha256');
+        expect(sha256Sync(createCycle(), options)).to.equal(expected);
+        expect(await sha256Async(createCycle(), options)).to.equal(expected);
+      });
+
+      it('Should throw on unsupported references modes', () => {
+        expect(() => normalizeSync({}, { references: 'foo' })).to.throw(TypeError, /foo/);
+      });
+    });
+  });
+
+  describe('Unordered arrays', () => {
+    const a = { permissions: ['delete', 'create'], filters: [{ ids: [3, 1, 2] }], tags: ['b', 'a'] };
+    const b = { permissions: ['create', 'delete'], filters: [{ ids: [1, 2, 3] }], tags: ['b', 'a'] };
+
+    it('Should sort every array with unordered: true', async () => {
+      const expected = '[["x",{"a":1,"b":2}],[1,2],{"a":1}]';
+      const value = [{ a: 1 }, ['x', { b: 2, a: 1 }], [2, 1]];
+
+      expect(normalizeSync(value, { unordered: true })).to.equal(expected);
+      expect(await normalizeAsync(value, { unordered: true })).to.equal(expected);
+    });
+
+    it('Should only sort the arrays at the given paths', async () => {
+      const options = { unordered: ['permissions', 'filters.*.ids'] };
+      const expected = '{"filters":[{"ids":[1,2,3]}],"permissions":["create","delete"],"tags":["b","a"]}';
+
+      expect(normalizeSync(a, options)).to.equal(expected);
+      expect(normalizeSync(b, options)).to.equal(expected);
+      expect(await normalizeAsync(a, options)).to.equal(expected);
+      expect(sha256Sync(a, options)).to.equal(await sha256Async(b, options));
+      expect(sha256Sync(a)).to.not.equal(sha256Sync(b));
+    });
+
+    it('Should remove duplicates with dedupe: true', () => {
+      const value = { tags: ['b', 'a', 'b', { x: 1 }, { x: 1 }], other: [1, 1] };
+      expect(normalizeSync(value, { unordered: ['tags'], dedupe: true }))
+        .to.equal('{"other":[1,1],"tags":["a","b",{"x":1}]}');
+    });
+
+    it('Should keep arrays in order by default', () => {
+      expect(normalizeSync([2, 1])).to.equal('[2,1]');
+      expect(normalizeSync([2, 1], { dedupe: true })).to.equal('[2,1]');
+    });
+
+    it('Should throw on invalid paths', () => {
+      expect(() => normalizeSync([], { unordered: 'tags' })).to.throw(TypeError);
+    });
+  });
+
+  describe('Paths', () => {
+    const data = {
+      user: { name: 'john', password: 'secret' },
+      settings: { password: 'p@ss', theme: 'dark' },
+      headers: { authorization: 'Bearer x', accept: '*/*' },
+      accounts: [{ password: 'a' }],
+    };
+
+    it('Should pass the path and holder to the replacer', () => {
+      const calls = [];
+      const replacer = function replacer(key, value, path, holder) {
+        calls.push({ key, path, holder, self: this });
+        return value;
+      };
+
+      normalizeSync({ a: { b: [1] } }, replacer);
+      expect(calls.map(call => call.path)).to.eql([[], ['a'], ['a', 'b'], ['a', 'b', '0']]);
+      expect(calls[0].holder).to.equal(undefined);
+      expect(calls[3].holder).to.eql([1]);
+      expect(calls[3].self).to.equal(calls[3].holder);
+    });
+
+    it('Should let the replacer tell keys with the same name apart', async () => {
+      const replacer = (key, value, path) => (path.join('.') === 'user.password' ? undefined : value);
+      const expected = '{"accounts":[{"password":"a"}],"headers":{"accept":"*/*","authorization":"Bearer x"},"settings":{"password":"p@ss","theme":"dark"},"user":{"name":"john"}}';
+
+      expect(normalizeSync(data, replacer)).to.equal(expected);
+      expect(await normalizeAsync(data, replacer)).to.equal(expected);
+    });
+
+    it('Should omit the values at the given paths', async () => {
+      const options = { omit: ['**.password', 'headers.authorization'] };
+      const expected = '{"accounts":[{}],"headers":{"accept":"*/*"},"settings":{"theme":"dark"},"user":{"name":"john"}}';
+
+      expect(normalizeSync(data, options)).to.equal(expected);
+      expect(await normalizeAsync(data, options)).to.equal(expected);
+      expect(normalizeSync([1, 2], { omit: ['1'] })).to.equal('[1,null]');
+    });
+
+    it('Should redact the values at the given paths', async () => {
+      const options = { redact: ['**.password', 'headers.authorization'] };
+      const expected = '{"accounts":[{"password":"[REDACTED]"}],"headers":{"accept":"*/*","authorization":"[REDACTED]"},"settings":{"password":"[REDACTED]","theme":"dark"},"user":{"name":"john","password":"[REDACTED]"}}';
+
+      expect(normalizeSync(data, options)).to.equal(expected);
+      expect(await normalizeAsync(data, options)).to.equal(expected);
+      expect(normalizeSync({ a: { b: 1 } }, { redact: ['a'], redactWith: null })).to.equal('{"a":null}');
+    });
+
+    it('Should apply omit and redact before the replacer and hashing', async () => {
+      const replacer = (key, value) => {
+        expect(value).to.not.equal('secret');
+        return value;
+      };
+
+      const options = { redact: ['**.password'], replacer };
+      expect(await sha256Async(data, options)).to.equal(sha256Sync(data, options));
+      expect(sha256Sync(data, options)).to.not.equal(sha256Sync(data));
+    });
+  });
+
   describe('JSONNormalize.hash', () => {
     it('The algorithm should default to md5', async () => {
       expect(hash('foo')).to.equal('acbd18db4cc2f85cedef654fccc4a4d8');
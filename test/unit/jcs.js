@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import {
+  normalizeAsync,
+  normalizeSync,
+  sha256Async,
+  sha256Sync,
+} from '../../src/index';
+
+const options = { canonical: 'jcs' };
+
+// RFC 8785, Appendix B: IEEE 754 double (as hex) => expected serialization.
+const numberVectors = [
+  ['0000000000000000', '0'],
+  ['8000000000000000', '0'],
+  ['0000000000000001', '5e-324'],
+  ['8000000000000001', '-5e-324'],
+  ['7fefffffffffffff', '1.7976931348623157e+308'],
+  ['ffefffffffffffff', '-1.7976931348623157e+308'],
+  ['4340000000000000', '9007199254740992'],
+  ['c340000000000000', '-9007199254740992'],
+  ['4430000000000000', '295147905179352830000'],
+  ['44b52d02c7e14af5', '9.999999999999997e+22'],
+  ['44b52d02c7e14af6', '1e+23'],
+  ['44b52d02c7e14af7', '1.0000000000000001e+23'],
+  ['444b1ae4d6e2ef4e', '999999999999999700000'],
+  ['444b1ae4d6e2ef4f', '999999999999999900000'],
+  ['444b1ae4d6e2ef50', '1e+21'],
+  ['3eb0c6f7a0b5ed8c', '9.999999999999997e-7'],
+  ['3eb0c6f7a0b5ed8d', '0.000001'],
+  ['41b3de4355555553', '333333333.3333332'],
+  ['41b3de4355555554', '333333333.33333325'],
+  ['41b3de4355555555', '333333333.3333333'],
+  ['41b3de4355555556', '333333333.3333334'],
+  ['41b3de4355555557', '333333333.33333343'],
+  ['becbf647612f3696', '-0.0000033333333333333333'],
+  ['43143ff3c1cb0959', '1424953923781206.2'],
+];
+
+// RFC 8785, Section 3.2.2: sample input/output.
+const sample = {
+  numbers: [333333333.33333329, 1E30, 4.50, 2e-3, 0.000000000000000000000000001],
+  string: '€$\u000F\u000aA\'B"\\\\"/',
+  literals: [null, true, false],
+};
+
+const sampleExpected = '{"literals":[null,true,false],"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27],"string":"€$\\u000f\\nA\'B\\"\\\\\\\\\\"/"}';
+
+// RFC 8785, Section 3.2.3: property sorting.
+const sorting = {
+  '€': 'Euro Sign',
+  '\r': 'Carriage Return',
+  דּ: 'Hebrew Letter Dalet With Dagesh',
+  1: 'One',
+  '😀': 'Emoji: Grinning Face',
+  '\u0080': 'Control',
+  ö: 'Latin Small Letter O With Diaeresis',
+};
+
+const sortingExpected = [
+  'Carriage Return',
+  'One',
+  'Control',
+  'Latin Small Letter O With Diaeresis',
+  'Euro Sign',
+  'Emoji: Grinning Face',
+  'Hebrew Letter Dalet With Dagesh',
+];
+
+describe('JSONNormalize (canonical: "jcs")', () => {
+  describe('RFC 8785 number vectors', () => {
+    numberVectors.forEach(([bits, expected]) => {
+      it(`Should serialize ${bits} as ${expected}`, () => {
+        const value = Buffer.from(bits, 'hex').readDoubleBE(0);
+        expect(normalizeSync(value, options)).to.equal(expected);
+        expect(normalizeSync([value], options)).to.equal(`[${expected}]`);
+      });
+    });
+
+    it('Should reject NaN and Infinity', async () => {
+      [NaN, Infinity, -Infinity].forEach((value) => {
+        expect(() => normalizeSync({ value }, options)).to.throw(TypeError, /RFC 8785/);
+      });
+
+      let error;
+      try { await normalizeAsync({ value: NaN }, options); } catch (e) { error = e; }
+      expect(error).to.be.an.instanceof(TypeError);
+    });
+  });
+
+  describe('RFC 8785 strings', () => {
+    it('Should produce the sample output (sync)', () => {
+      expect(normalizeSync(sample, options)).to.equal(sampleExpected);
+    });
+
+    it('Should produce the sample output (async)', async () => {
+      expect(await normalizeAsync(sample, options)).to.equal(sampleExpected);
+    });
+
+    it('Should escape control characters in keys', () => {
+      expect(normalizeSync({ 'a"\n': 1 }, options)).to.equal('{"a\\"\\n":1}');
+    });
+
+    it('Should reject lone surrogates', () => {
+      expect(() => normalizeSync('\ud83d', options)).to.throw(TypeError, /surrogate/);
+      expect(() => normalizeSync('\ude00x', options)).to.throw(TypeError, /surrogate/);
+      expect(() => normalizeSync({ '\ud83d': 1 }, options)).to.throw(TypeError, /surrogate/);
+    });
+
+    it('Should reject lone surrogates in keys (async)', async () => {
+      let error;
+      try { await normalizeAsync({ '\ud83d': 1 }, options); } catch (e) { error = e; }
+      expect(error).to.be.an.instanceof(TypeError);
+    });
+  });
+
+  describe('RFC 8785 property sorting', () => {
+    it('Should sort keys by UTF-16 code units', () => {
+      // JSON.parse would move the integer key "1" first, so inspect the string itself.
+      const results = normalizeSync(sorting, options);
+      const positions = sortingExpected.map(value => results.indexOf(`"${value}"`));
+      expect(positions.every((position, i) => position > (positions[i - 1] || 0))).to.equal(true);
+    });
+
+    it('Should sort by key, not by the serialized member', () => {
+      expect(normalizeSync({ a: 1, 'a!': 2 }, options)).to.equal('{"a":1,"a!":2}');
+      expect(normalizeSync({ a: 1, 'a!': 2 })).to.equal('{"a!":2,"a":1}');
+    });
+  });
+
+  describe('Options', () => {
+    it('Should still honor the replacer', () => {
+      const replacer = (k, v) => (k === 'b' ? undefined : v);
+      expect(normalizeSync({ b: 1, a: 2 }, { ...options, replacer })).to.equal('{"a":2}');
+    });
+
+    it('Should throw on unsupported canonical modes', async () => {
+      expect(() => normalizeSync({}, { canonical: 'foo' })).to.throw(TypeError, /foo/);
+
+      let error;
+      try { await normalizeAsync({}, { canonical: 'foo' }); } catch (e) { error = e; }
+      expect(error).to.be.an.instanceof(TypeError);
+    });
+  });
+
+  describe('Hashing', () => {
+    const expected = crypto.createHash('sha256').update(sampleExpected).digest('hex');
+
+    it('Should hash the canonical form (sync)', () => {
+      expect(sha256Sync(sample, options)).to.equal(expected);
+    });
+
+    it('Should hash the canonical form (async)', async () => {
+      expect(await sha256Async(sample, options)).to.equal(expected);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import {
+  hashObjectAsync,
+  hashObjectSync,
+  hashTree,
+  isEqual,
+  normalize,
+  normalizeAsync,
+  normalizeStream,
+  normalizeSync,
+  sha256Async,
+  sha256Sync,
+} from '../../src/index';
+import { byteLength } from '../../src/limits';
+import { Map, Set, catchError } from '../helpers';
+
+/**
+ * Returns a value nested "depth" levels deep, e.g. {"a":[{"a":[...]}]}.
+ * @param {number} depth The number of objects and arrays.
+ * @returns {any} The value.
+ */
+const nest = (depth) => {
+  let value = 1;
+  for (let i = 0; i < depth; i++) value = i % 2 ? { a: value } : [value];
+  return value;
+};
+
+/**
+ * Asserts that an error is a LimitError.
+ * @param {Error} error The error.
+ * @param {string} limit The name of the limit option.
+ * @param {number} max The limit.
+ * @param {Array<string>} path The path of the value that exceeded the limit.
+ * @returns {undefined}
+ */
+const expectLimitError = (error, limit, max, path) => {
+  expect(error).to.be.an.instanceof(Error);
+  expect(error.name).to.equal('LimitError');
+  expect(error.code).to.equal('ERR_LIMIT_EXCEEDED');
+  expect({ limit: error.limit, max: error.max, path: error.path }).to.eql({ limit, max, path });
+};
+
+describe('JSONNormalize (limits)', () => {
+  describe('maxDepth', () => {
+    it('Should throw once objects and arrays are nested deeper than the limit', () => {
+      const value = { a: [{ b: 1 }], c: [] };
+
+      expect(normalizeSync(value, { maxDepth: 3 })).to.equal('{"a":[{"b":1}],"c":[]}');
+      expect(normalizeSync(1, { maxDepth: 0 })).to.equal('1');
+      expectLimitError(catchError(() => normalizeSync(value, { maxDepth: 2 })), 'maxDepth', 2, ['a', '0']);
+      expect(() => normalizeSync(value, { maxDepth: 2 })).to.throw('The "maxDepth" limit of 2 was exceeded at "#/a/0"');
+      expectLimitError(catchError(() => normalizeSync({}, { maxDepth: 0 })), 'maxDepth', 0, []);
+    });
+
+    it('Should count the levels of typed values', () => {
+      const value = { set: new Set([[1]]) };
+      expect(() => normalizeSync(value, { typed: true, maxDepth: 3 })).to.not.throw();
+      expectLimitError(catchError(() => normalizeSync(value, { typed: true, maxDepth: 2 })), 'maxDepth', 2, ['set', '0']);
+    });
+
+    it('Should serialize deeply nested values without overflowing the stack', () => {
+      const value = nest(50000);
+      const json = normalizeSync(value);
+
+      expect(json.length).to.equal((25000 * 8) + 1);
+      expect(hashObjectSync(value)).to.have.length(32);
+      expect(isEqual(value, nest(50000))).to.equal(true);
+      expect(catchError(() => sha256Sync(value, { maxDepth: 100 })).path).to.have.length(100);
+    });
+
+    it('Should use the depth of subtrees within trees', () => {
+      expectLimitError(catchError(() => hashTree({ a: { b: {} } }, { maxDepth: 2 })), 'maxDepth', 2, ['a', 'b']);
+    });
+  });
+
+  describe('maxKeys and maxArrayLength', () => {
+    it('Should throw on objects with too many members', () => {
+      const value = { list: [1, 2, 3], object: { a: 1, b: 2 } };
+
+      expect(normalizeSync(value, { maxKeys: 2, maxArrayLength: 3 }))
+        .to.equal('{"list":[1,2,3],"object":{"a":1,"b":2}}');
+      expectLimitError(catchError(() => normalizeSync(value, { maxKeys: 1 })), 'maxKeys', 1, []);
+      expectLimitError(catchError(() => normalizeSync(value, { maxArrayLength: 2 })), 'maxArrayLength', 2, ['list']);
+    });
+
+    it('Should count the entries of Maps as keys and the members of Sets as elements', () => {
+      const value = [new Map([['a', 1], ['b', 2]]), new Set([1, 2, 3])];
+
+      expectLimitError(catchError(() => normalizeSync(value, { typed: true, maxKeys: 1 })), 'maxKeys', 1, ['0']);
+      expectLimitError(catchError(() => normalizeSync(value, { typed: true, maxArrayLength: 2 })), 'maxArrayLength', 2, ['1']);
+    });
+  });
+
+  describe('maxBytes', () => {
+    it('Should measure strings in UTF-8 bytes', () => {
+      ['', 'abc', 'é', '€', '😀', 'aé€😀'].forEach((string) => {
+        expect(byteLength(string)).to.equal(Buffer.byteLength(string));
+      });
+    });
+
+    it('Should throw once the output is larger than the limit', () => {
+      const value = { a: 'é', b: [1, 2] };
+      const json = normalizeSync(value);
+      const size = Buffer.byteLength(json);
+
+      expect(normalizeSync(value, { maxBytes: size })).to.equal(json);
+      expectLimitError(catchError(() => normalizeSync(value, { maxBytes: 8 })), 'maxBytes', 8, ['a']);
+      expectLimitError(catchError(() => normalizeSync(value, { maxBytes: size - 1 })), 'maxBytes', size - 1, []);
+      expectLimitError(catchError(() => normalizeSync('long', { maxBytes: 3 })), 'maxBytes', 3, []);
+    });
+
+    it('Should measure unordered arrays', () => {
+      const value = { a: [[3, 2], [1]] };
+      const options = { unordered: true, dedupe: true };
+      const size = Buffer.byteLength(normalizeSync(value, options));
+
+      expect(normalizeSync(value, { ...options, maxBytes: size })).to.equal('{"a":[[1],[2,3]]}');
+      expect(() => normalizeSync(value, { ...options, maxBytes: size - 1 })).to.throw('"maxBytes"');
+    });
+
+    it('Should stop serializing once the limit is exceeded', () => {
+      let calls = 0;
+      const replacer = (key, value) => { calls++; return value; };
+      const value = Array.from({ length: 10000 }, (v, i) => i);
+
+      expect(() => normalizeSync(value, { replacer, maxBytes: 100 })).to.throw('"maxBytes"');
+      expect(calls).to.be.below(100);
+    });
+  });
+
+  describe('Errors', () => {
+    const value = { a: { b: { c: {} } } };
+    const options = { maxDepth: 2, budget: 0 };
+
+    it('Should be passed to callbacks', (done) => {
+      normalize(value, options, (e, json) => {
+        expectLimitError(e, 'maxDepth', 2, ['a', 'b']);
+        expect(json).to.equal(undefined);
+        done();
+      });
+    });
+
+    it('Should reject promises', () =>
+      Promise.all([normalizeAsync, sha256Async, hashObjectAsync].map(fn => fn(value, options)
+        .then(() => { throw new Error('Expected an error'); }, e => expectLimitError(e, 'maxDepth', 2, ['a', 'b'])))));
+
+    it('Should be emitted by streams', (done) => {
+      normalizeStream(value, options).on('data', () => {}).on('error', (e) => {
+        expectLimitError(e, 'maxDepth', 2, ['a', 'b']);
+        done();
+      });
+    });
+
+    it('Should throw on invalid limits', () => {
+      ['maxDepth', 'maxKeys', 'maxArrayLength', 'maxBytes'].forEach((limit) => {
+        [-1, 1.5, '10', null].forEach((max) => {
+          expect(() => normalizeSync({}, { [limit]: max })).to.throw(TypeError, `The "${limit}" option must be a non-negative integer`);
+        });
+      });
+    });
+  });
+});
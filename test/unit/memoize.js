@@ -0,0 +1,266 @@
+import { createMemoryStore, createNormalizer, memoize } from '../../src/index';
+
+/**
+ * Waits for the given number of milliseconds.
+ * @param {number} ms The number of milliseconds to wait.
+ * @returns {Promise} Resolves after the delay.
+ */
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a stand-in for a Redis-backed store: every method is asynchronous, and values are
+ * stored as JSON strings (with an expiry, like SET's PX argument).
+ * @returns {object} The store, and its "data" and the "commands" it received.
+ */
+const createRedisStore = () => {
+  const data = {};
+  const commands = [];
+
+  return {
+    data,
+    commands,
+    get: async (key) => {
+      commands.push(['GET', key]);
+      await delay(1);
+      const entry = data[key];
+      return entry && entry.expires > Date.now() ? JSON.parse(entry.json) : undefined;
+    },
+    set: async (key, value, ttl) => {
+      commands.push(['SET', key, ttl]);
+      await delay(1);
+      data[key] = { json: JSON.stringify(value), expires: ttl ? Date.now() + ttl : Infinity };
+    },
+    delete: async (key) => {
+      commands.push(['DEL', key]);
+      delete data[key];
+    },
+  };
+};
+
+describe('JSONNormalize (memoize)', () => {
+  describe('memoize', () => {
+    it('Should cache results by the normalized arguments', () => {
+      let calls = 0;
+      const sum = memoize(({ a, b }, scale = 1) => { calls++; return (a + b) * scale; });
+
+      expect(sum({ a: 1, b: 2 })).to.equal(3);
+      expect(sum({ b: 2, a: 1 })).to.equal(3);
+      expect(calls).to.equal(1);
+
+      expect(sum({ a: 1, b: 2 }, 2)).to.equal(6);
+      expect(sum({ a: 2, b: 1 })).to.equal(3);
+      expect(calls).to.equal(3);
+    });
+
+    it('Should pass "this" and the arguments through', () => {
+      const object = { factor: 3, times: memoize(function times(n) { return this.factor * n; }) };
+      expect(object.times(2)).to.equal(6);
+    });
+
+    it('Should not cache undefined results or errors', () => {
+      let calls = 0;
+      const fn = memoize((value) => {
+        calls++;
+        if (value === 'throw') throw new Error('failed');
+        return undefined;
+      });
+
+      fn('a');
+      fn('a');
+      expect(() => fn('throw')).to.throw('failed');
+      expect(() => fn('throw')).to.throw('failed');
+      expect(calls).to.equal(4);
+    });
+
+    it('Should key by the selected arguments', () => {
+      let calls = 0;
+      const fn = (query, requestId) => { calls++; return query.q + requestId; };
+      const byIndex = memoize(fn, { args: [0] });
+
+      expect(byIndex({ q: 'a' }, 1)).to.equal('a1');
+      expect(byIndex({ q: 'a' }, 2)).to.equal('a1');
+      expect(calls).to.equal(1);
+
+      const byFunction = memoize(user => user.name, { args: ([user]) => user.id });
+      expect(byFunction({ id: 1, name: 'a' })).to.equal('a');
+      expect(byFunction({ id: 1, name: 'b' })).to.equal('a');
+      expect(byFunction.keyFor({ id: 1, name: 'c' })).to.equal(byFunction.keyFor({ id: 1 }));
+    });
+
+    it('Should pass the normalization options (like a replacer) through to the keys', () => {
+      let calls = 0;
+      const replacer = (key, value) => (key === 'requestId' ? undefined : value);
+      const search = memoize((query) => { calls++; return query.q; }, { replacer });
+
+      search({ q: 'x', requestId: 1 });
+      search({ q: 'x', requestId: 2 });
+      expect(calls).to.equal(1);
+
+      const omitting = memoize(query => query.q, { omit: ['*.requestId'], algorithm: 'sha256' });
+      expect(omitting.keyFor({ q: 'x', requestId: 1 })).to.equal(omitting.keyFor({ q: 'x' }));
+      expect(omitting.keyFor({ q: 'x' })).to.have.length(64);
+    });
+
+    it('Should evict the least recently used entries', () => {
+      let calls = 0;
+      const double = memoize((n) => { calls++; return n * 2; }, { max: 2 });
+
+      double(1);
+      double(2);
+      double(1);
+      double(3); // Evicts 2
+      expect(double.store.size()).to.equal(2);
+      expect(calls).to.equal(3);
+
+      double(1);
+      expect(calls).to.equal(3);
+      double(2);
+      expect(calls).to.equal(4);
+    });
+
+    it('Should expire entries after the ttl', async () => {
+      let calls = 0;
+      const fn = memoize(() => ++calls, { ttl: 20 });
+
+      expect(fn()).to.equal(1);
+      expect(fn()).to.equal(1);
+      await delay(40);
+      expect(fn()).to.equal(2);
+    });
+
+    it('Should delete entries', () => {
+      let calls = 0;
+      const fn = memoize(value => ++calls + value.a);
+
+      fn({ a: 1 });
+      expect(fn.delete({ a: 1 })).to.equal(true);
+      expect(fn({ a: 1 })).to.equal(3);
+    });
+
+    it('Should throw on invalid options', () => {
+      expect(() => memoize()).to.throw(TypeError, 'memoize requires a function');
+      expect(() => memoize(() => {}, { max: 0 })).to.throw(TypeError, '"max" option');
+      expect(() => memoize(() => {}, { ttl: '1s' })).to.throw(TypeError, '"ttl" option');
+      expect(() => memoize(() => {}, { args: ['a'] })).to.throw(TypeError, '"args" option');
+      expect(() => memoize(() => {}, { store: {} })).to.throw(TypeError, '"store" option');
+      expect(() => memoize(() => {}, { max: 10, store: createMemoryStore() }))
+        .to.throw(TypeError, 'The "max" option only applies to the default store');
+    });
+  });
+
+  describe('memoize (async functions)', () => {
+    it('Should deduplicate in-flight promises and cache their values', async () => {
+      let calls = 0;
+      const fetch = memoize(async (query) => { calls++; await delay(5); return { q: query.q }; });
+
+      const results = await Promise.all([fetch({ q: 1 }), fetch({ q: 1 }), fetch({ q: 2 })]);
+      expect(results).to.eql([{ q: 1 }, { q: 1 }, { q: 2 }]);
+      expect(calls).to.equal(2);
+
+      const cached = fetch({ q: 1 });
+      expect(cached).to.be.an.instanceof(Promise);
+      expect(await cached).to.equal(results[0]);
+      expect(calls).to.equal(2);
+    });
+
+    it('Should return promises of values another function cached in a shared store', async () => {
+      const store = createMemoryStore();
+      const double = async value => value * 2;
+      const a = memoize(double, { store });
+      const b = memoize(double, { store });
+
+      expect(await a(2)).to.equal(4);
+      expect(store.get(a.keyFor(2))).to.eql({ value: 4, async: true });
+
+      const cached = b(2);
+      expect(cached).to.be.an.instanceof(Promise);
+      expect(await cached).to.equal(4);
+
+      const sync = memoize(value => value * 2, { store: createMemoryStore() });
+      expect(sync(3)).to.equal(6);
+      expect(memoize(value => value, { store: sync.store })(3)).to.equal(6);
+    });
+
+    it('Should not cache rejections', async () => {
+      let calls = 0;
+      const fn = memoize(async () => {
+        calls++;
+        await delay(1);
+        if (calls === 1) throw new Error('failed');
+        return calls;
+      });
+
+      const errors = await Promise.all([fn(), fn()].map(promise => promise.catch(e => e)));
+      expect(errors.map(e => e.message)).to.eql(['failed', 'failed']);
+      expect(await fn()).to.equal(2);
+      expect(await fn()).to.equal(2);
+    });
+  });
+
+  describe('memoize (asynchronous stores)', () => {
+    it('Should cache results in the store', async () => {
+      let calls = 0;
+      const store = createRedisStore();
+      const fn = async (id) => { calls++; return { id, at: calls }; };
+      const fetch = memoize(fn, { store, ttl: 1000 });
+
+      expect(await fetch(1)).to.eql({ id: 1, at: 1 });
+      expect(await Promise.all([fetch(1), fetch(2), fetch(2)]))
+        .to.eql([{ id: 1, at: 1 }, { id: 2, at: 2 }, { id: 2, at: 2 }]);
+
+      expect(calls).to.equal(2);
+      expect(Object.keys(store.data)).to.eql([fetch.keyFor(1), fetch.keyFor(2)]);
+      expect(store.commands.filter(([command]) => command === 'SET'))
+        .to.eql([['SET', fetch.keyFor(1), 1000], ['SET', fetch.keyFor(2), 1000]]);
+    });
+
+    it('Should return promises for synchronous functions', async () => {
+      const store = createRedisStore();
+      const fn = memoize(value => value * 2, { store });
+
+      expect(await fn(2)).to.equal(4);
+      expect(await fn(2)).to.equal(4);
+      expect(store.commands.map(([command]) => command)).to.eql(['GET', 'SET', 'GET']);
+
+      await fn.delete(2);
+      expect(store.data).to.eql({});
+    });
+
+    it('Should share the store between instances', async () => {
+      const store = createRedisStore();
+      let calls = 0;
+      const fn = () => memoize(async (value) => { calls++; return value; }, { store });
+
+      await fn()({ a: 1 });
+      await fn()({ a: 1 });
+      expect(calls).to.equal(1);
+    });
+  });
+
+  describe('createMemoryStore', () => {
+    it('Should get, set and delete entries', async () => {
+      const store = createMemoryStore({ max: 2 });
+
+      store.set('a', 1);
+      store.set('b', 2);
+      store.set('c', 3, 10);
+      expect([store.get('a'), store.get('b'), store.get('c')]).to.eql([undefined, 2, 3]);
+
+      await delay(20);
+      expect(store.get('c')).to.equal(undefined);
+      expect(store.size()).to.equal(1);
+      expect(store.delete('b')).to.equal(true);
+      store.set('d', 4);
+      store.clear();
+      expect(store.size()).to.equal(0);
+    });
+  });
+
+  describe('createNormalizer', () => {
+    it('Should use the default options for memoize', () => {
+      const normalizer = createNormalizer({ omit: ['*.requestId'] });
+      const fn = normalizer.memoize(query => query.q);
+      expect(fn.keyFor({ q: 1, requestId: 1 })).to.equal(fn.keyFor({ q: 1 }));
+    });
+  });
+});
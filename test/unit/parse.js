@@ -0,0 +1,161 @@
+import {
+  createNormalizer,
+  hashTree,
+  normalizeSync,
+  normalizeText,
+  parseJSON,
+  sha256Sync,
+} from '../../src/index';
+import { ParseError } from '../../src/errors';
+import { isRawNumber } from '../../src/parse';
+
+const valid = [
+  '{}',
+  '[]',
+  ' \t\r\n{ "a" : [ 1 , 2 , { "b" : null } ] , "c" : true , "d" : false }\n',
+  '"string"',
+  '"esc\\"aped \\\\ \\/ \\b\\f\\n\\r\\t \\u00e9 \\ud83d\\ude00"',
+  '"é 😀 \u2028\u2029"',
+  '0',
+  '-0.0015',
+  '1e+21',
+  '3.25',
+  '[[[[]]], {"": {"": ""}}]',
+  '{"__proto__": {"polluted": true}, "constructor": 1}',
+];
+
+const invalid = [
+  ['', 'Unexpected end of JSON input at "#", line 1, column 1'],
+  ['{', 'Unexpected end of JSON input at "#", line 1, column 2'],
+  ['{"a":1,}', 'Unexpected token "}" in JSON at "#", line 1, column 8'],
+  ['[1,]', 'Unexpected token "]" in JSON at "#/1", line 1, column 4'],
+  ['[1 2]', 'Unexpected token "2" in JSON at "#/0", line 1, column 4'],
+  ['{"a" 1}', 'Unexpected token "1" in JSON at "#/a", line 1, column 6'],
+  ['{a:1}', 'Unexpected token "a" in JSON at "#", line 1, column 2'],
+  ['{\n  "a": 01\n}', 'Unexpected token "1" in JSON at "#/a", line 2, column 9'],
+  ['{"a": {"b": 1} 2}', 'Unexpected token "2" in JSON at "#/a", line 1, column 16'],
+  ['[\r\n  tru]', 'Unexpected token "t" in JSON at "#/0", line 2, column 3'],
+  ['"abc', 'Unterminated string in JSON at "#", line 1, column 1'],
+  ['"a\\x"', 'Bad escaped character in JSON at "#", line 1, column 4'],
+  ['"\\u12G4"', 'Bad escaped character in JSON at "#", line 1, column 3'],
+  ['"a\nb"', 'Bad control character in string literal in JSON at "#", line 1, column 3'],
+  ['[NaN]', 'Unexpected token "N" in JSON at "#/0", line 1, column 2'],
+  ['-', 'Unexpected token "-" in JSON at "#", line 1, column 1'],
+  ['1 2', 'Unexpected token "2" in JSON at "#", line 1, column 3'],
+  ['{} x', 'Unexpected token "x" in JSON at "#", line 1, column 4'],
+];
+
+describe('JSONNormalize (normalizeText)', () => {
+  describe('parseJSON', () => {
+    it('Should parse JSON like JSON.parse does', () => {
+      valid.forEach((text) => {
+        const parsed = parseJSON(text);
+        expect(parsed).to.eql(JSON.parse(text));
+        expect(normalizeSync(parsed)).to.equal(normalizeSync(JSON.parse(text)));
+      });
+    });
+
+    it('Should create own "__proto__" properties', () => {
+      const parsed = parseJSON('{"__proto__": {"polluted": true}}');
+      expect(Object.keys(parsed)).to.eql(['__proto__']);
+      expect(parsed.polluted).to.equal(undefined);
+      expect({}.polluted).to.equal(undefined);
+    });
+
+    it('Should throw ParseErrors with the path, line and column', () => {
+      invalid.forEach(([text, message]) => {
+        expect(() => JSON.parse(text)).to.throw(SyntaxError);
+
+        let error;
+        try { parseJSON(text); } catch (e) { error = e; }
+        expect(error).to.be.an.instanceof(ParseError);
+        expect(error.code).to.equal('ERR_SYNTAX');
+        expect(error.message).to.equal(message);
+
+        const [, line, column] = message.match(/line (\d+), column (\d+)$/);
+        expect([error.line, error.column]).to.eql([Number(line), Number(column)]);
+      });
+    });
+
+    it('Should handle duplicate keys', () => {
+      const text = '{\n  "a": 1,\n  "b": { "c": 1, "c": 2 },\n  "a": 3\n}';
+
+      expect(() => parseJSON(text)).to.throw(ParseError, 'Duplicate key "c" in JSON at "#/b/c", line 3, column 18');
+      expect(() => parseJSON(text, { duplicates: 'error' })).to.throw(ParseError);
+      expect(parseJSON(text, { duplicates: 'first' })).to.eql({ a: 1, b: { c: 1 } });
+      expect(parseJSON(text, { duplicates: 'last' })).to.eql(JSON.parse(text));
+      expect(() => parseJSON(text, { duplicates: 'merge' })).to.throw(TypeError, 'Unsupported duplicates mode "merge"');
+    });
+
+    it('Should keep numbers JSON.parse would change as raw numbers', () => {
+      const parsed = parseJSON('[12345678901234567890, 1.0, 1E3, -0, 1e400, 0.1, 42, -7.5e-7]');
+
+      expect(parsed.slice(0, 5).every(isRawNumber)).to.equal(true);
+      expect(parsed.slice(0, 5).map(String)).to.eql(['12345678901234567890', '1.0', '1E3', '-0', '1e400']);
+      expect(parsed.slice(5)).to.eql([0.1, 42, -7.5e-7]);
+      expect(parsed[1] + 1).to.equal(2);
+      expect(parsed[2] > 999).to.equal(true);
+    });
+
+    it('Should parse deeply nested JSON', () => {
+      const depth = 100000;
+      const parsed = parseJSON(`${'['.repeat(depth)}${']'.repeat(depth)}`);
+      expect(Array.isArray(parsed[0][0])).to.equal(true);
+    });
+
+    it('Should throw on invalid arguments', () => {
+      expect(() => parseJSON()).to.throw(TypeError, 'parseJSON requires a string');
+      expect(() => parseJSON(Buffer.from('{}'))).to.throw(TypeError);
+    });
+  });
+
+  describe('normalizeText', () => {
+    it('Should normalize JSON text', () => {
+      expect(normalizeText('{ "b": [1, {"d": 2, "c": 3}], "a": "x" }')).to.equal('{"a":"x","b":[1,{"c":3,"d":2}]}');
+      expect(normalizeText('{"b":1,"a":2}', {}, 1)).to.equal('{\n "a": 2,\n "b": 1\n}');
+      expect(normalizeText('{"b":1,"a":2}', { space: '\t' })).to.equal('{\n\t"a": 2,\n\t"b": 1\n}');
+    });
+
+    it('Should keep numeric literals exactly as written', () => {
+      const text = '{"id":12345678901234567891,"price":10.50,"big":1E400,"zero":-0}';
+      expect(normalizeText(text)).to.equal('{"big":1E400,"id":12345678901234567891,"price":10.50,"zero":-0}');
+
+      const a = normalizeText('{"id": 12345678901234567890}');
+      const b = normalizeText('{"id": 12345678901234567891}');
+      expect(a).to.not.equal(b);
+      expect(sha256Sync(JSON.parse(a))).to.equal(sha256Sync(JSON.parse(b)));
+    });
+
+    it('Should serialize raw numbers per RFC 8785 with canonical: "jcs"', () => {
+      expect(normalizeText('[1.0, 1E3, -0, 12345678901234567890]', { canonical: 'jcs' }))
+        .to.equal('[1,1000,0,12345678901234567000]');
+    });
+
+    it('Should apply the options to the parsed value', () => {
+      const replacer = (key, value) => (key === 'n' ? value * 2 : value);
+
+      expect(normalizeText('{"n": 1.0, "m": 1.0}', replacer)).to.equal('{"m":1.0,"n":2}');
+      expect(normalizeText('{"a": 1, "a": 2}', { duplicates: 'last', omit: ['b'] })).to.equal('{"a":2}');
+      expect(normalizeText('[3, 1.0, 2]', { unordered: true })).to.equal('[1.0,2,3]');
+      expect(normalizeText('"x"')).to.equal('"x"');
+    });
+
+    it('Should throw on duplicate keys and invalid JSON', () => {
+      expect(() => normalizeText('{"a": 1, "a": 2}')).to.throw(ParseError, 'Duplicate key "a" in JSON at "#/a", line 1, column 10');
+      expect(() => normalizeText('{"a": 1,\n"b" 2}')).to.throw(ParseError, 'at "#/b", line 2, column 5');
+    });
+
+    it('Should hash raw numbers in trees by their text', () => {
+      const a = hashTree(parseJSON('{"n": 12345678901234567890}'));
+      const b = hashTree(parseJSON('{"n": 12345678901234567891}'));
+      expect(a.hash).to.not.equal(b.hash);
+    });
+  });
+
+  describe('createNormalizer', () => {
+    it('Should use the default options for normalizeText', () => {
+      const normalizer = createNormalizer({ duplicates: 'first', space: 2 });
+      expect(normalizer.normalizeText('{"a": 1, "a": 2}')).to.equal('{\n  "a": 1\n}');
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import {
+  childPath,
+  createMatcher,
+  formatPointer,
+  parsePointer,
+  resolveStepPath,
+  toPointer,
+} from '../../src/path';
+
+describe('JSONNormalize path helpers', () => {
+  describe('path.childPath', () => {
+    it('Should return the path of a child value', () => {
+      expect(childPath(undefined, undefined)).to.eql([]);
+      expect(childPath([], 0)).to.eql(['0']);
+      expect(childPath(['0'], 'a')).to.eql(['0', 'a']);
+    });
+  });
+
+  describe('path.resolveStepPath', () => {
+    it('Should build the path of a step from its ancestors, keeping its parent\'s', () => {
+      const root = { path: [] };
+      const a = { key: 'a', parent: root };
+      const zero = { key: 0, parent: a };
+      const b = { key: 'b', parent: zero };
+
+      expect(resolveStepPath(root)).to.eql([]);
+      expect(resolveStepPath(b)).to.eql(['a', '0', 'b']);
+      expect([a.path, zero.path, b.path]).to.eql([undefined, ['a', '0'], undefined]);
+      expect(resolveStepPath({ key: 'c', parent: zero })).to.eql(['a', '0', 'c']);
+    });
+  });
+
+  describe('path.formatPointer', () => {
+    it('Should return an escaped JSON pointer', () => {
+      expect(formatPointer([])).to.equal('');
+      expect(formatPointer(['0', 'b/c~', ''])).to.equal('/0/b~1c~0/');
+    });
+  });
+
+  describe('path.parsePointer', () => {
+    it('Should parse a JSON pointer into a path', () => {
+      expect(parsePointer('')).to.eql([]);
+      expect(parsePointer('/')).to.eql(['']);
+      expect(parsePointer('/0/b~1c~0/~01')).to.eql(['0', 'b/c~', '~1']);
+    });
+
+    it('Should throw on invalid pointers', () => {
+      expect(() => parsePointer('a/b')).to.throw(TypeError);
+      expect(() => parsePointer(undefined)).to.throw(TypeError);
+    });
+  });
+
+  describe('path.toPointer', () => {
+    it('Should return an escaped JSON pointer', () => {
+      expect(toPointer([])).to.equal('#');
+      expect(toPointer(['0', 'b/c~'])).to.equal('#/0/b~1c~0');
+    });
+  });
+
+  describe('path.createMatcher', () => {
+    it('Should match dot separated patterns', () => {
+      const matches = createMatcher(['permissions', 'filters.*.ids']);
+      expect(matches(['permissions'])).to.equal(true);
+      expect(matches(['filters', '0', 'ids'])).to.equal(true);
+      expect(matches(['filters', 'users', 'ids'])).to.equal(true);
+      expect(matches(['filters', 'ids'])).to.equal(false);
+      expect(matches(['user', 'permissions'])).to.equal(false);
+      expect(matches([])).to.equal(false);
+    });
+
+    it('Should match any number of keys with "**"', () => {
+      const matches = createMatcher(['**.password', 'a.**.b.*']);
+      expect(matches(['password'])).to.equal(true);
+      expect(matches(['user', 'password'])).to.equal(true);
+      expect(matches(['users', '0', 'settings', 'password'])).to.equal(true);
+      expect(matches(['password', 'hash'])).to.equal(false);
+      expect(matches(['a', 'b', 'c'])).to.equal(true);
+      expect(matches(['a', 'x', 'y', 'b', 'c'])).to.equal(true);
+      expect(matches(['a', 'b'])).to.equal(false);
+    });
+
+    it('Should match array patterns, for keys that contain dots', () => {
+      const matches = createMatcher([['a.b', '*']]);
+      expect(matches(['a.b', 'c'])).to.equal(true);
+      expect(matches(['a', 'b', 'c'])).to.equal(false);
+    });
+
+    it('Should throw on invalid patterns', () => {
+      expect(() => createMatcher('foo')).to.throw(TypeError);
+      expect(() => createMatcher([1])).to.throw(TypeError);
+    });
+  });
+});
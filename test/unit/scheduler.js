@@ -0,0 +1,167 @@
+/* global AbortController */
+import {
+  hashStreamAsync,
+  md5Async,
+  md5Sync,
+  normalize,
+  normalizeAsync,
+  normalizeSync,
+} from '../../src/index';
+
+import { createAbortError, runInSlices } from '../../src/scheduler';
+
+const large = Array.from({ length: 5000 }, (v, i) => ({
+  id: i,
+  name: `item ${i}`,
+  tags: ['b', 'a'],
+  nested: { z: i, y: [i, { x: null }] },
+}));
+
+/**
+ * Returns the number of milliseconds the (synchronous or promise returning) function takes.
+ * @param {function} fn The function to time.
+ * @returns {Promise<number>} The duration.
+ */
+const time = async (fn) => {
+  const start = Date.now();
+  await fn();
+  return Date.now() - start;
+};
+
+describe('JSONNormalize (scheduling)', () => {
+  describe('scheduler.runInSlices', () => {
+    it('Should run the work until it\'s complete, yielding between slices', (done) => {
+      let slices = 0;
+      let immediates = 0;
+
+      const tick = () => { immediates++; if (slices < 5) setImmediate(tick); };
+      setImmediate(tick);
+
+      runInSlices(() => ++slices === 5, { budget: 0 }, (e) => {
+        expect(slices).to.equal(5);
+        expect(immediates).to.be.at.least(4);
+        done(e);
+      });
+    });
+
+    it('Should pause the work once the budget is spent', (done) => {
+      let calls = 0;
+      const work = (shouldPause) => {
+        calls++;
+        const start = Date.now();
+        while (!shouldPause()) expect(Date.now() - start).to.be.below(1000);
+        return calls === 2;
+      };
+
+      runInSlices(work, { budget: 5 }, (e) => {
+        expect(calls).to.equal(2);
+        done(e);
+      });
+    });
+
+    it('Should pass errors thrown by the work to the callback', (done) => {
+      runInSlices(() => { throw new RangeError('foo'); }, {}, (e) => {
+        expect(e).to.be.an.instanceof(RangeError);
+        done();
+      });
+    });
+  });
+
+  describe('scheduler.createAbortError', () => {
+    it('Should return the signal\'s reason, or an AbortError', () => {
+      const reason = new Error('cancelled');
+      expect(createAbortError({ aborted: true, reason })).to.equal(reason);
+
+      const error = createAbortError({ aborted: true });
+      expect(error.name).to.equal('AbortError');
+      expect(error.code).to.equal('ABORT_ERR');
+    });
+  });
+
+  describe('Asynchronous normalization', () => {
+    it('Should produce the same output as normalizeSync', async () => {
+      expect(await normalizeAsync(large)).to.equal(normalizeSync(large));
+      expect(await normalizeAsync(large, { budget: 1, unordered: true }))
+        .to.equal(normalizeSync(large, { unordered: true }));
+    });
+
+    it('Should yield to timers and I/O while normalizing', async () => {
+      let timers = 0;
+      const interval = setInterval(() => { timers++; }, 1);
+
+      try {
+        await normalizeAsync(large, { budget: 2 });
+      } finally {
+        clearInterval(interval);
+      }
+
+      expect(timers).to.be.above(1);
+    });
+
+    it('Should be cancelled by aborting the signal', async () => {
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 5);
+
+      let error;
+      const options = { budget: 1, signal: controller.signal };
+      try { await normalizeAsync(large, options); } catch (e) { error = e; }
+      expect(error).to.equal(controller.signal.reason);
+      expect(error.name).to.equal('AbortError');
+    });
+
+    it('Should fail right away if the signal is already aborted', (done) => {
+      const controller = new AbortController();
+      const reason = new Error('cancelled');
+      controller.abort(reason);
+
+      normalize({ a: 1 }, { signal: controller.signal }, (e, results) => {
+        expect(e).to.equal(reason);
+        expect(results).to.equal(undefined);
+        done();
+      });
+    });
+
+    it('Should cancel the hash functions too', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      let error;
+      try { await md5Async(large, { signal: controller.signal }); } catch (e) { error = e; }
+      expect(error.name).to.equal('AbortError');
+
+      error = null;
+      try { await hashStreamAsync(large, { signal: controller.signal }); } catch (e) { error = e; }
+      expect(error.name).to.equal('AbortError');
+    });
+
+    it('Should validate the "budget" and "signal" options', async () => {
+      expect(() => normalizeSync({}, { budget: -1 })).to.throw(TypeError);
+      expect(() => normalizeSync({}, { signal: {} })).to.throw(TypeError);
+
+      let error;
+      try { await normalizeAsync({}, { budget: 'fast' }); } catch (e) { error = e; }
+      expect(error).to.be.an.instanceof(TypeError);
+    });
+
+    it('Should have a throughput close to normalizeSync\'s (benchmark)', async function benchmark() {
+      this.timeout(30000);
+
+      // Warm up, then take the best of three runs to reduce noise.
+      normalizeSync(large);
+      await normalizeAsync(large);
+
+      const sync = [];
+      const async = [];
+
+      for (let i = 0; i < 3; i++) {
+        sync.push(await time(() => normalizeSync(large)));
+        async.push(await time(() => normalizeAsync(large)));
+      }
+
+      const best = durations => Math.max(1, Math.min(...durations));
+
+      expect(best(async)).to.be.below((best(sync) * 2) + 50);
+      expect(await md5Async(large)).to.equal(md5Sync(large));
+    });
+  });
+});
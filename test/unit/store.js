@@ -0,0 +1,253 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createContentStore,
+  createDirectoryBackend,
+  createMemoryBackend,
+  createNormalizer,
+  hashTree,
+  normalizeSync,
+  parseJSON,
+} from '../../src/index';
+
+/**
+ * Returns a snapshot document, whose sections are shared with other snapshots.
+ * @param {number} version The snapshot's version.
+ * @returns {object} The document.
+ */
+const snapshot = version => ({
+  version,
+  sections: Array.from({ length: 10 }, (v, i) => ({
+    title: `Section ${i}`,
+    body: i === 9 ? `Revision ${version}` : 'x'.repeat(100),
+    tags: ['a', 'b'],
+  })),
+});
+
+/**
+ * Removes a directory and everything in it.
+ * @param {string} dir The directory.
+ * @returns {undefined}
+ */
+const removeDirectory = (dir) => {
+  fs.readdirSync(dir).forEach((name) => {
+    const file = path.join(dir, name);
+    if (fs.statSync(file).isDirectory()) removeDirectory(file);
+    else fs.unlinkSync(file);
+  });
+
+  fs.rmdirSync(dir);
+};
+
+describe('JSONNormalize (content store)', () => {
+  describe('createContentStore', () => {
+    it('Should put values and get them back normalized', async () => {
+      const store = createContentStore();
+      const value = { b: [1, 'x', null, { d: true }], a: parseJSON('12345678901234567890'), c: {} };
+      const hash = await store.put(value);
+
+      expect(hash).to.equal(hashTree(value).hash);
+      expect(normalizeSync(await store.get(hash))).to.equal(normalizeSync(value));
+      expect((await store.get(hash)).a.text).to.equal('12345678901234567890');
+      expect(await store.has(hash)).to.equal(true);
+    });
+
+    it('Should put deeply nested values without overflowing the stack', async () => {
+      let value = 1;
+      for (let i = 0; i < 20000; i++) value = [value];
+
+      const store = createContentStore();
+      expect(await store.put(value)).to.equal(hashTree(value).hash);
+    });
+
+    it('Should store each unique node once', async () => {
+      const backend = createMemoryBackend();
+      const store = createContentStore(backend);
+
+      await store.put(snapshot(0));
+      const size = backend.size();
+      await store.put(snapshot(0));
+      expect(backend.size()).to.equal(size);
+
+      // The second snapshot only adds its last section's body, the section, the sections array,
+      // its version and its root.
+      await store.put(snapshot(1));
+      expect(backend.size()).to.equal(size + 5);
+
+      // Repeated subtrees are stored once, too.
+      const repeated = createContentStore();
+      await repeated.put(Array.from({ length: 100 }, () => ({ tags: ['a', 'b'] })));
+      expect(repeated.backend.size()).to.equal(5);
+    });
+
+    it('Should store records whose hashes are their nodes\' hashes', async () => {
+      const backend = createMemoryBackend();
+      const hash = await createContentStore(backend).put({ b: [1], a: 'x' });
+
+      backend.keys().forEach((key) => {
+        expect(crypto.createHash('sha256').update(backend.get(key)).digest('hex')).to.equal(key);
+      });
+
+      const tree = hashTree({ a: 'x', b: [1] });
+      expect(backend.get(hash)).to.equal(`{"a":"${tree.children.a.hash}","b":"${tree.children.b.hash}"}`);
+      expect(backend.get(tree.children.a.hash)).to.equal('"x"');
+    });
+
+    it('Should use the normalization options', async () => {
+      const store = createContentStore(undefined, { omit: ['secret'], algorithm: 'md5', unordered: true });
+      const hash = await store.put({ secret: 'x', list: [3, 1, 2] });
+
+      expect(hash).to.have.length(32);
+      expect(await store.get(hash)).to.eql({ list: [1, 2, 3] });
+      expect(await store.put(undefined)).to.equal(undefined);
+      expect(() => createContentStore(undefined, { encoding: 'buffer' })).to.throw(TypeError);
+    });
+
+    it('Should return undefined for unknown roots', async () => {
+      expect(await createContentStore().get('00')).to.equal(undefined);
+    });
+
+    it('Should throw on missing or corrupt nodes', async () => {
+      const backend = createMemoryBackend();
+      const store = createContentStore(backend);
+      const tree = hashTree({ a: 'x', b: 'y' });
+      const hash = await store.put({ a: 'x', b: 'y' });
+
+      backend.set(tree.children.a.hash, '"z"');
+      const corrupt = await store.get(hash).catch(e => e);
+      expect([corrupt.code, corrupt.hash]).to.eql(['ERR_CORRUPT_NODE', tree.children.a.hash]);
+
+      backend.delete(tree.children.a.hash);
+      const missing = await store.get(hash).catch(e => e);
+      expect(missing.message).to.equal(`Missing node "${tree.children.a.hash}"`);
+      expect(missing.code).to.equal('ERR_MISSING_NODE');
+    });
+
+    it('Should throw on invalid backends', () => {
+      expect(() => createContentStore({ get() {}, set() {} }))
+        .to.throw(TypeError, 'The backend must have get, set, has, delete, keys methods');
+    });
+
+    it('Should accept asynchronous backends', async () => {
+      const memory = createMemoryBackend();
+      const backend = {};
+      ['get', 'set', 'has', 'delete', 'keys'].forEach((method) => {
+        backend[method] = (...args) => new Promise((resolve) => {
+          setImmediate(() => resolve(memory[method](...args)));
+        });
+      });
+
+      const store = createContentStore(backend);
+      const hash = await store.put(snapshot(2));
+      const size = memory.size();
+
+      expect(await store.get(hash)).to.eql(snapshot(2));
+      expect(await store.gc([hash])).to.equal(0);
+      expect(await store.gc([])).to.equal(size);
+      expect(memory.size()).to.equal(0);
+    });
+
+    it('Should be available from createNormalizer', async () => {
+      const store = createNormalizer({ omit: ['secret'] }).createContentStore();
+      expect(await store.get(await store.put({ secret: 1, a: 2 }))).to.eql({ a: 2 });
+    });
+  });
+
+  describe('gc', () => {
+    it('Should delete the nodes the roots don\'t refer to', async () => {
+      const backend = createMemoryBackend();
+      const store = createContentStore(backend);
+      const first = await store.put(snapshot(0));
+      const size = backend.size();
+      const second = await store.put(snapshot(1));
+
+      expect(await store.gc([first, second])).to.equal(0);
+      expect(await store.gc([second])).to.equal(5);
+      expect(backend.size()).to.equal(size);
+      expect(await store.get(second)).to.eql(snapshot(1));
+      expect(await store.get(first)).to.equal(undefined);
+
+      expect(await store.gc([])).to.equal(size);
+      expect(backend.size()).to.equal(0);
+    });
+
+    it('Should reject while values are being put, and make puts wait for it', async () => {
+      const memory = createMemoryBackend();
+      const backend = Object.assign({}, memory, {
+        has: hash => new Promise(resolve => setImmediate(() => resolve(memory.has(hash)))),
+      });
+      const store = createContentStore(backend);
+
+      const put = store.put(snapshot(0));
+      const error = await store.gc([]).catch(e => e);
+      expect(error.code).to.equal('ERR_STORE_BUSY');
+      const first = await put;
+
+      const gc = store.gc([]);
+      const second = store.put(snapshot(1));
+      expect((await store.gc([]).catch(e => e)).code).to.equal('ERR_STORE_BUSY');
+      expect(await gc).to.be.above(0);
+      expect(await store.get(await second)).to.eql(snapshot(1));
+      expect(await store.get(first)).to.equal(undefined);
+    });
+
+    it('Should throw without an array of roots', () =>
+      createContentStore().gc('root').then(() => { throw new Error('Expected an error'); }, (e) => {
+        expect(e).to.be.an.instanceof(TypeError);
+      }));
+  });
+
+  describe('createDirectoryBackend', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-normalize-'));
+    const root = path.join(dir, 'store');
+
+    after(() => removeDirectory(dir));
+
+    it('Should keep records in files', async () => {
+      const store = createContentStore(createDirectoryBackend(root));
+      const hash = await store.put(snapshot(0));
+      const file = path.join(root, hash.slice(0, 2), hash.slice(2));
+
+      expect(fs.readFileSync(file, 'utf8')).to.match(/^\{"sections":"[0-9a-f]{64}","version":"[0-9a-f]{64}"\}$/);
+      expect(await store.get(hash)).to.eql(snapshot(0));
+
+      // Another store on the same directory sees the same records.
+      const reopened = createContentStore(createDirectoryBackend(root));
+      expect(await reopened.get(hash)).to.eql(snapshot(0));
+      expect(await reopened.put(snapshot(0))).to.equal(hash);
+    });
+
+    it('Should list, delete and collect records', async () => {
+      const backend = createDirectoryBackend(root);
+      const store = createContentStore(backend);
+      const first = await store.put(snapshot(0));
+      const count = (await backend.keys()).length;
+      const second = await store.put(snapshot(1));
+
+      expect(await backend.keys()).to.have.length(count + 5);
+      expect(await store.gc([second])).to.equal(5);
+      expect(await store.has(first)).to.equal(false);
+      expect(await store.get(second)).to.eql(snapshot(1));
+      expect(await backend.delete(first)).to.equal(false);
+      expect(await backend.get(first)).to.equal(undefined);
+    });
+
+    it('Should work with directories that don\'t exist yet', async () => {
+      const backend = createDirectoryBackend(path.join(dir, 'missing'));
+
+      expect(await backend.keys()).to.eql([]);
+      expect(await backend.has('abc')).to.equal(false);
+      expect(await createContentStore(backend).gc([])).to.equal(0);
+    });
+
+    it('Should reject hashes that aren\'t file names', async () => {
+      const backend = createDirectoryBackend(root);
+
+      expect(() => createDirectoryBackend()).to.throw(TypeError);
+      expect(() => backend.get('../../etc/passwd')).to.throw(TypeError, 'Invalid hash');
+      expect(await createContentStore(backend).get('../x').catch(e => e)).to.be.an.instanceof(TypeError);
+    });
+  });
+});
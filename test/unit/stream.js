@@ -0,0 +1,122 @@
+/* global BigInt */
+import {
+  createNormalizer,
+  hashStream,
+  hashStreamAsync,
+  md5Sync,
+  normalizeStream,
+  normalizeSync,
+  sha256Sync,
+  sha512Sync,
+} from '../../src/index';
+import { Map, Set, readStream } from '../helpers';
+
+const shared = { id: 1 };
+
+const values = [
+  'string',
+  1,
+  null,
+  {},
+  [],
+  { b: 2, a: 1, c: undefined, d: () => {}, e: [undefined, () => {}, 3] },
+  { 'a"b': { z: [{ y: 1, x: '\u2028' }], a: new Date(0) }, A: 'é' },
+  { list: [shared, shared], nested: { shared } },
+  { set: new Set([3, { b: 1, a: 2 }, 1]), map: new Map([['b', 1], ['a', shared]]), n: BigInt(1) },
+];
+
+const options = [
+  undefined,
+  { canonical: 'jcs' },
+  { space: 2 },
+  { typed: true },
+  { typed: true, unordered: true, dedupe: true },
+  { unordered: ['list'], references: 'ref' },
+  { omit: ['**.x'], redact: ['A'] },
+  { replacer: (k, v) => (typeof v === 'number' ? v * 2 : v), space: '\t' },
+];
+
+describe('JSONNormalize (streams)', () => {
+  describe('normalizeStream', () => {
+    options.forEach((option) => {
+      describe(`options: ${JSON.stringify(option)}`, () => {
+        values.forEach((value, i) => {
+          it(`Should stream the same output as normalizeSync (value #${i})`, async () => {
+            let expected;
+            try { expected = normalizeSync(value, option); } catch (e) { return; }
+            expect((await readStream(normalizeStream(value, option))).join('')).to.equal(expected);
+          });
+        });
+      });
+    });
+
+    it('Should generate the output in chunks, as the stream is read', async () => {
+      const value = Array.from({ length: 20000 }, (v, i) => ({ i, s: 'x'.repeat(10) }));
+      const chunks = await readStream(normalizeStream(value));
+
+      expect(chunks.length).to.be.above(1);
+      chunks.forEach(chunk => expect(chunk).to.be.a('string'));
+      expect(chunks.join('')).to.equal(normalizeSync(value));
+    });
+
+    it('Should end the stream without output for undefined values', async () => {
+      expect(await readStream(normalizeStream(undefined))).to.eql([]);
+      expect(await readStream(normalizeStream(() => {}))).to.eql([]);
+    });
+
+    it('Should emit errors', async () => {
+      const circular = { a: { b: {} } };
+      circular.a.b.c = circular;
+
+      const stream = normalizeStream(circular);
+      let error;
+      try { await readStream(stream); } catch (e) { error = e; }
+      expect(error).to.be.an.instanceof(TypeError);
+      expect(error.message).to.contain('"#/a/b/c" refers to its ancestor "#"');
+      expect(stream.destroyed).to.equal(true);
+    });
+
+    it('Should throw on invalid options', () => {
+      expect(() => normalizeStream({}, { canonical: 'foo' })).to.throw(TypeError);
+    });
+
+    it('Should be created with the defaults of createNormalizer', async () => {
+      const normalizer = createNormalizer({ space: 1 });
+      expect((await readStream(normalizer.normalizeStream({ b: 1, a: [] })))
+        .join('')).to.equal('{\n "a": [],\n "b": 1\n}');
+    });
+  });
+
+  describe('hashStream', () => {
+    const value = values[6];
+
+    it('Should return the same digests as the Sync hash functions', async () => {
+      expect(await hashStreamAsync(value)).to.equal(md5Sync(value));
+      expect(await hashStreamAsync(value, { algorithm: 'sha256' })).to.equal(sha256Sync(value));
+      expect(await hashStreamAsync(value, { algorithm: 'sha512', space: 2 }))
+        .to.equal(sha512Sync(value, { space: 2 }));
+    });
+
+    it('Should hash large values in batches', async () => {
+      const large = Array.from({ length: 20000 }, (v, i) => ({ i, s: 'é'.repeat(10) }));
+      expect(await hashStreamAsync(large, { algorithm: 'sha256' })).to.equal(sha256Sync(large));
+    });
+
+    it('Should support callbacks', (done) => {
+      hashStream(value, (e, digest) => {
+        expect(digest).to.equal(md5Sync(value));
+        done(e);
+      });
+    });
+
+    it('Should pass errors to the callback', async () => {
+      let error;
+      try { await hashStreamAsync({ a: BigInt(1) }); } catch (e) { error = e; }
+      expect(error).to.be.an.instanceof(TypeError);
+
+      error = null;
+      try { await hashStreamAsync({}, { algorithm: 'foo' }); } catch (e) { error = e; }
+      expect(error).to.be.an.instanceof(Error);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import {
+  changedPaths,
+  createNormalizer,
+  hashTree,
+  normalizeSync,
+  updateTree,
+} from '../../src/index';
+import { Set, sha256 } from '../helpers';
+
+/**
+ * Returns a deep copy of a JSON value.
+ * @param {any} value The value to copy.
+ * @returns {any} The copy.
+ */
+const clone = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * Returns a tree's nodes' hashes, keyed by path, in a comparable form.
+ * @param {object} node The tree.
+ * @returns {any} The hashes.
+ */
+const toHashes = (node) => {
+  if (!node || !node.children) return node && node.hash;
+  const children = Array.isArray(node.children) ? [] : {};
+  Object.keys(node.children).forEach((key) => { children[key] = toHashes(node.children[key]); });
+  return { hash: node.hash, type: node.type, children };
+};
+
+const document = {
+  id: 'doc',
+  meta: { tags: ['b', 'a'], author: { name: 'Ann', email: 'ann@example.com' } },
+  sections: [
+    { title: 'One', body: 'x'.repeat(50), words: 1 },
+    { title: 'Two', body: 'y'.repeat(50), words: 2 },
+    { title: 'Three', body: 'z'.repeat(50), words: 3 },
+  ],
+};
+
+const edits = [
+  [doc => Object.assign(doc.meta.author, { name: 'Bob' }), ['meta', 'author', 'name']],
+  [doc => Object.assign(doc.meta, { year: 2024 }), ['meta', 'year']],
+  [doc => Object.assign(doc.meta, { author: { name: 'Ann' } }), ['meta', 'author', 'email']],
+  [doc => Object.assign(doc.sections[1], { words: [1, 2] }), ['sections', '1', 'words']],
+  [doc => doc.sections.push({ title: 'Four' }), ['sections', '3']],
+  [doc => doc.sections.pop(), ['sections', '2']],
+  [doc => Object.assign(doc, { meta: 'none' }), ['meta', 'author']],
+  [doc => Object.assign(doc, { sections: {} }), ['sections']],
+  [doc => Object.assign(doc.meta, { tags: ['c', 'a', 'b'] }), ['meta', 'tags', '0']],
+  [doc => Object.assign(doc.sections[0], { extra: { deep: { value: 1 } } }), ['sections', '0', 'extra', 'deep']],
+  [doc => Object.assign(doc, { id: undefined }), '/id'],
+  [doc => Object.assign(doc.meta, { 'a/b': 1 }), '/meta/a~1b'],
+];
+
+describe('JSONNormalize (hashTree)', () => {
+  describe('hashTree', () => {
+    it('Should hash nodes from their children\'s hashes', () => {
+      const tree = hashTree({ b: [1, 'x'], a: null });
+      const leaves = ['1', '"x"', 'null'].map(sha256);
+      const array = sha256(`["${leaves[0]}","${leaves[1]}"]`);
+
+      expect(tree.children.b.children[1]).to.eql({ type: 'literal', hash: leaves[1] });
+      expect(tree.children.b.hash).to.equal(array);
+      expect(tree.children.a.hash).to.equal(leaves[2]);
+      expect(tree.hash).to.equal(sha256(`{"a":"${leaves[2]}","b":"${array}"}`));
+      expect(tree.type).to.equal('object');
+    });
+
+    it('Should return the same root hash regardless of key order', () => {
+      const a = hashTree(document);
+      const b = hashTree(JSON.parse(normalizeSync(document)));
+      const c = hashTree({ ...document, id: 'other' });
+
+      expect(a.hash).to.equal(b.hash);
+      expect(a.hash).to.not.equal(c.hash);
+      expect(a.children.meta.hash).to.equal(c.children.meta.hash);
+    });
+
+    it('Should apply the normalization and hash options', () => {
+      const options = { omit: ['meta.author'], unordered: ['meta.tags'], algorithm: 'sha1', encoding: 'base64' };
+      const tree = hashTree(document, options);
+
+      expect(Object.keys(tree.children.meta.children)).to.eql(['tags']);
+      expect(tree.children.meta.children.tags.children[0].hash).to.equal(crypto.createHash('sha1').update('"a"').digest('base64'));
+      expect(hashTree(document, { key: 'secret' }).hash).to.not.equal(hashTree(document).hash);
+      expect(hashTree(undefined)).to.equal(undefined);
+      expect(hashTree(() => {})).to.equal(undefined);
+      expect(hashTree(1)).to.eql({ type: 'literal', hash: sha256('1') });
+    });
+
+    it('Should throw on invalid options', () => {
+      expect(() => hashTree({}, { encoding: 'buffer' })).to.throw(TypeError, '"buffer" encoding');
+      expect(() => hashTree({}, { algorithm: 'foo' })).to.throw(TypeError);
+    });
+  });
+
+  describe('updateTree', () => {
+    it('Should hash and update deeply nested values without overflowing the stack', () => {
+      const nest = (leaf) => {
+        let value = leaf;
+        for (let i = 0; i < 20000; i++) value = [value];
+        return value;
+      };
+
+      const tree = hashTree(nest(1));
+      const path = new Array(20000).fill('0');
+      const updated = updateTree(tree, nest(2), [path]);
+
+      expect(updated.hash).to.equal(hashTree(nest(2)).hash);
+      expect(changedPaths(tree, updated)).to.eql([path]);
+    });
+
+    const options = [
+      undefined,
+      { canonical: 'jcs' },
+      { unordered: ['meta.tags'] },
+      { typed: true, algorithm: 'md5' },
+      { redact: ['**.email'], omit: ['sections.*.body'] },
+      { replacer: (key, value, path) => (path.length === 3 && key === 'words' ? value * 10 : value) },
+    ];
+
+    options.forEach((option) => {
+      it(`Should match hashTree's result after each edit (options: ${JSON.stringify(option)})`, () => {
+        edits.forEach(([edit, path]) => {
+          const before = clone(document);
+          const after = clone(document);
+          edit(after);
+
+          const tree = hashTree(before, option);
+          const updated = updateTree(tree, after, [path], option);
+          expect(toHashes(updated)).to.eql(toHashes(hashTree(after, option)));
+          expect(toHashes(tree)).to.eql(toHashes(hashTree(before, option)));
+        });
+      });
+    });
+
+    it('Should only re-hash the changed paths', () => {
+      let calls = 0;
+      const replacer = (key, value) => { calls++; return value; };
+      const tree = hashTree(document, replacer);
+      const after = clone(document);
+
+      calls = 0;
+      after.sections[2].words = 4;
+      const updated = updateTree(tree, after, [['sections', '2', 'words']], replacer);
+
+      expect(calls).to.equal(4);
+      expect(updated.children.meta).to.equal(tree.children.meta);
+      expect(updated.children.sections.children[0]).to.equal(tree.children.sections.children[0]);
+      expect(updated.children.sections.children[2].children.title)
+        .to.equal(tree.children.sections.children[2].children.title);
+    });
+
+    it('Should apply several changes', () => {
+      const after = clone(document);
+      after.id = 'changed';
+      after.sections[0].words = 10;
+      after.meta.author = { name: 'Cy' };
+
+      const updated = updateTree(hashTree(document), after, ['/id', '/sections/0/words', ['meta', 'author']]);
+      expect(updated.hash).to.equal(hashTree(after).hash);
+    });
+
+    it('Should re-hash everything for undefined trees and "ref" references', () => {
+      const shared = { a: 1 };
+      const value = { x: shared, y: shared };
+      const tree = hashTree(value, { references: 'ref' });
+
+      expect(updateTree(undefined, value, [['x']]).hash).to.equal(hashTree(value).hash);
+      expect(updateTree(tree, { x: shared }, [['y']], { references: 'ref' }).hash)
+        .to.equal(hashTree({ x: shared }, { references: 'ref' }).hash);
+
+      expect(updateTree(hashTree({ a: 1 }), undefined, [[]])).to.equal(undefined);
+    });
+
+    it('Should re-hash typed values as a whole', () => {
+      const before = { set: new Set([1, 2]) };
+      const after = { set: new Set([1, 2, 3]) };
+      const tree = hashTree(before, { typed: true });
+
+      expect(updateTree(tree, after, [['set', 'value', '2']], { typed: true }).hash)
+        .to.equal(hashTree(after, { typed: true }).hash);
+    });
+
+    it('Should throw on invalid paths', () => {
+      expect(() => updateTree(hashTree({}), {}, '/a')).to.throw(TypeError, 'array of paths');
+      expect(() => updateTree(hashTree({}), {}, ['a'])).to.throw(TypeError);
+    });
+  });
+
+  describe('changedPaths', () => {
+    it('Should return the paths of the smallest subtrees that changed', () => {
+      const after = clone(document);
+      after.meta.author.name = 'Bob';
+      after.sections[1].words = 5;
+      after.sections.push({ title: 'Four' });
+      delete after.id;
+
+      expect(changedPaths(hashTree(document), hashTree(after))).to.eql([
+        ['id'],
+        ['meta', 'author', 'name'],
+        ['sections', '1', 'words'],
+        ['sections', '3'],
+      ]);
+    });
+
+    it('Should handle identical, added, removed and replaced trees', () => {
+      expect(changedPaths(hashTree(document), hashTree(clone(document)))).to.eql([]);
+      expect(changedPaths(undefined, undefined)).to.eql([]);
+      expect(changedPaths(undefined, hashTree(1))).to.eql([[]]);
+      expect(changedPaths(hashTree({ a: 1 }), hashTree([1]))).to.eql([[]]);
+      expect(changedPaths(hashTree({ a: [1] }), hashTree({ a: { 0: 1 } }))).to.eql([['a']]);
+    });
+  });
+
+  describe('createNormalizer', () => {
+    it('Should use the default options for hashTree and updateTree', () => {
+      const normalizer = createNormalizer({ omit: ['id'], algorithm: 'md5' });
+      const tree = normalizer.hashTree(document);
+      const after = { ...document, id: 'changed', extra: 1 };
+
+      expect(tree.hash).to.equal(hashTree({ ...document, id: undefined }, { algorithm: 'md5' }).hash);
+      expect(normalizer.updateTree(tree, after, [['id'], ['extra']]).hash)
+        .to.equal(normalizer.hashTree(after).hash);
+      expect(normalizer.changedPaths(tree, normalizer.hashTree(after))).to.eql([['extra']]);
+    });
+  });
+});
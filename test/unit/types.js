@@ -0,0 +1,251 @@
+/* global BigInt */
+import {
+  createNormalizer,
+  hash,
+  normalizeAsync,
+  normalizeSync,
+  md5Async,
+  md5Sync,
+  registerType,
+} from '../../src/index';
+
+import { getTypeName, toBase64 } from '../../src/types';
+import { Map, Set } from '../helpers';
+
+const typed = { typed: true };
+
+describe('JSONNormalize (toJSON and typed values)', () => {
+  describe('toJSON', () => {
+    it('Should honor toJSON like JSON.stringify does', async () => {
+      const date = new Date(Date.UTC(2017, 0, 1));
+      const value = { date, nested: [{ toJSON: () => ({ b: 2, a: 1 }) }] };
+      const expected = '{"date":"2017-01-01T00:00:00.000Z","nested":[{"a":1,"b":2}]}';
+
+      expect(normalizeSync(value)).to.equal(expected);
+      expect(await normalizeAsync(value)).to.equal(expected);
+    });
+
+    it('Should pass the key to toJSON', () => {
+      const toJSON = key => `key:${key}`;
+      expect(normalizeSync({ foo: { toJSON }, bar: [{ toJSON }] })).to.equal('{"bar":["key:0"],"foo":"key:foo"}');
+      expect(normalizeSync({ toJSON })).to.equal('"key:"');
+    });
+
+    it('Should call toJSON before the replacer', () => {
+      const replacer = (k, v) => (k === 'date' ? typeof v : v);
+      expect(normalizeSync({ date: new Date() }, replacer)).to.equal('{"date":"string"}');
+    });
+
+    it('Should serialize Buffers, Maps and Sets like JSON.stringify does', () => {
+      expect(normalizeSync(Buffer.from([1, 2]))).to.equal('{"data":[1,2],"type":"Buffer"}');
+      expect(normalizeSync(new Map([['a', 1]]))).to.equal('{}');
+      expect(normalizeSync(new Set([1]))).to.equal('{}');
+    });
+
+    it('Should throw on BigInts, like JSON.stringify does', async () => {
+      expect(() => normalizeSync({ a: BigInt(1) })).to.throw(TypeError);
+
+      let error;
+      try { await normalizeAsync({ a: BigInt(1) }); } catch (e) { error = e; }
+      expect(error).to.be.an.instanceof(TypeError);
+    });
+  });
+
+  describe('typed: true', () => {
+    it('Should encode BigInts', () => {
+      expect(normalizeSync({ a: BigInt('9007199254740993') }, typed))
+        .to.equal('{"a":{"$type":"BigInt","value":"9007199254740993"}}');
+    });
+
+    it('Should encode Dates', () => {
+      expect(normalizeSync(new Date(Date.UTC(2017, 0, 1)), typed))
+        .to.equal('{"$type":"Date","value":"2017-01-01T00:00:00.000Z"}');
+
+      expect(normalizeSync(new Date(NaN), typed)).to.equal('{"$type":"Date","value":null}');
+    });
+
+    it('Should encode binary data as base64', () => {
+      expect(normalizeSync(Buffer.from('foo'), typed)).to.equal('{"$type":"Buffer","value":"Zm9v"}');
+      expect(normalizeSync(new Uint8Array([1, 2]), typed)).to.equal('{"$type":"Uint8Array","value":"AQI="}');
+      expect(normalizeSync(new Uint16Array([1, 2]).buffer, typed)).to.equal('{"$type":"ArrayBuffer","value":"AQACAA=="}');
+    });
+
+    it('Should encode Maps, sorted by their normalized entries', async () => {
+      const a = new Map([['b', { y: 2, x: 1 }], [{ id: 1 }, 'object'], ['a', [1]]]);
+      const b = new Map([['a', [1]], [{ id: 1 }, 'object'], ['b', { x: 1, y: 2 }]]);
+      const expected = '{"$type":"Map","value":[["a",[1]],["b",{"x":1,"y":2}],[{"id":1},"object"]]}';
+
+      expect(normalizeSync(a, typed)).to.equal(expected);
+      expect(normalizeSync(b, typed)).to.equal(expected);
+      expect(await normalizeAsync(a, typed)).to.equal(expected);
+      expect(md5Sync(a, typed)).to.equal(await md5Async(b, typed));
+    });
+
+    it('Should encode Sets, sorted by their normalized members', async () => {
+      const a = new Set(['b', 2, { y: 1, x: 0 }, 'a']);
+      const b = new Set([{ x: 0, y: 1 }, 'a', 2, 'b']);
+      const expected = '{"$type":"Set","value":["a","b",2,{"x":0,"y":1}]}';
+
+      expect(normalizeSync(a, typed)).to.equal(expected);
+      expect(await normalizeAsync(b, typed)).to.equal(expected);
+    });
+
+    it('Should still detect circular Maps', () => {
+      const map = new Map();
+      map.set('self', map);
+      expect(() => normalizeSync(map, typed)).to.throw(TypeError, '"#/0/1" refers to its ancestor "#"');
+    });
+
+    it('Should not call toJSON for typed values', () => {
+      const buffer = Buffer.from('foo');
+      expect(normalizeSync({ buffer }, typed)).to.equal('{"buffer":{"$type":"Buffer","value":"Zm9v"}}');
+    });
+  });
+
+  describe('types.getTypeName', () => {
+    it('Should return the type name of supported values', () => {
+      expect(getTypeName(BigInt(1))).to.equal('BigInt');
+      expect(getTypeName(new Float64Array(1))).to.equal('Float64Array');
+      expect(getTypeName(new DataView(new ArrayBuffer(1)))).to.equal('DataView');
+      expect(getTypeName({})).to.equal(undefined);
+      expect(getTypeName('foo')).to.equal(undefined);
+    });
+  });
+
+  describe('types.toBase64', () => {
+    it('Should write multi-byte elements little-endian', () => {
+      expect(toBase64(new Uint32Array([1]))).to.equal('AQAAAA==');
+    });
+
+    it('Should only encode the bytes a view covers', () => {
+      expect(toBase64(new Uint8Array([1, 2, 3]).subarray(1))).to.equal('AgM=');
+    });
+  });
+
+  describe('Type handlers', () => {
+    class Money {
+      constructor(amount, currency) {
+        this.amount = amount;
+        this.currency = currency;
+        this.formatter = () => `${this.currency}${this.amount}`;
+      }
+
+      toJSON() {
+        return this.formatter();
+      }
+    }
+
+    const encodeMoney = money => `${money.amount} ${money.currency}`;
+    const isObjectId = value => typeof value === 'string' && /^[0-9a-f]{24}$/.test(value);
+    const value = { price: new Money(10, 'USD'), id: '5349b4ddd2781d08c09890f3' };
+
+    it('Should encode registered classes before they\'re normalized', async () => {
+      const unregister = registerType(Money, encodeMoney);
+
+      try {
+        expect(normalizeSync(value)).to.equal('{"id":"5349b4ddd2781d08c09890f3","price":"10 USD"}');
+        expect(await normalizeAsync(value)).to.equal('{"id":"5349b4ddd2781d08c09890f3","price":"10 USD"}');
+        expect(await md5Async(value)).to.equal(md5Sync({ price: '10 USD', id: value.id }));
+      } finally {
+        unregister();
+      }
+
+      expect(normalizeSync(value)).to.equal('{"id":"5349b4ddd2781d08c09890f3","price":"USD10"}');
+    });
+
+    it('Should encode values that match a predicate', () => {
+      const unregister = registerType(isObjectId, id => `ObjectId(${id})`);
+
+      try {
+        expect(normalizeSync(value)).to.equal('{"id":"ObjectId(5349b4ddd2781d08c09890f3)","price":"USD10"}');
+      } finally {
+        unregister();
+      }
+    });
+
+    it('Should normalize the encoded values, and pass the key to the encoder', () => {
+      const encode = (money, key) => ({ key, currency: money.currency, amount: money.amount });
+      const types = [[Money, encode]];
+      expect(normalizeSync({ price: new Money(1, 'EUR') }, { types }))
+        .to.equal('{"price":{"amount":1,"currency":"EUR","key":"price"}}');
+    });
+
+    it('Should not encode (or call toJSON on) the output of an encoder again', () => {
+      const types = [[Money, money => new Money(money.amount * 2, money.currency)]];
+      expect(normalizeSync(new Money(1, 'EUR'), { types })).to.equal('{"amount":2,"currency":"EUR"}');
+    });
+
+    it('Should prefer the "types" option over registered types', () => {
+      const unregister = registerType(Money, encodeMoney);
+
+      try {
+        const types = [[Money, () => 'scoped']];
+        expect(normalizeSync(new Money(1, 'EUR'), { types })).to.equal('"scoped"');
+      } finally {
+        unregister();
+      }
+    });
+
+    it('Should match transpiled classes without methods', () => {
+      // Compiled by Babel, like the rest of this file, so it's a plain constructor function.
+      class Uuid {
+        constructor(id) {
+          this.id = id;
+        }
+      }
+
+      const record = { id: new Uuid('abc') };
+      const encode = uuid => `uuid:${uuid.id}`;
+
+      expect(normalizeSync(record, { types: [[Uuid, encode]] })).to.equal('{"id":"uuid:abc"}');
+      expect(normalizeSync(record, { types: [[{ instanceOf: Uuid }, encode]] })).to.equal('{"id":"uuid:abc"}');
+    });
+
+    it('Should accept explicit predicates', () => {
+      const types = [[{ test: v => v instanceof Money }, encodeMoney]];
+      expect(normalizeSync(new Money(1, 'EUR'), { types })).to.equal(normalizeSync(encodeMoney(new Money(1, 'EUR'))));
+    });
+
+    it('Should throw if a type handler is invalid', () => {
+      expect(() => registerType(Money)).to.throw(TypeError);
+      expect(() => registerType({ instanceOf: 'Money' }, encodeMoney)).to.throw(TypeError);
+      expect(() => registerType({}, encodeMoney)).to.throw(TypeError);
+      expect(() => normalizeSync({}, { types: [['Money', encodeMoney]] })).to.throw(TypeError);
+    });
+
+    describe('createNormalizer', () => {
+      const normalizer = createNormalizer({ types: [[Money, encodeMoney]] });
+      const expected = '{"id":"5349b4ddd2781d08c09890f3","price":"10 USD"}';
+
+      it('Should use the default options for every function', async () => {
+        expect(normalizer.normalizeSync(value)).to.equal(expected);
+        expect(normalizer.stringifySync(value)).to.equal(expected);
+        expect(await normalizer.normalizeAsync(value)).to.equal(expected);
+        expect(await normalizer.stringifyAsync(value)).to.equal(expected);
+
+        ['md5', 'sha256', 'sha512'].forEach((algorithm) => {
+          expect(normalizer[`${algorithm}Sync`](value)).to.equal(hash(expected, algorithm));
+        });
+
+        expect(await normalizer.sha256Async(value)).to.equal(hash(expected, 'sha256'));
+      });
+
+      it('Should support callbacks', (done) => {
+        normalizer.normalize(value, (e, results) => {
+          expect(results).to.equal(expected);
+          done(e);
+        });
+      });
+
+      it('Should merge options passed to the instance\'s functions', async () => {
+        const replacer = (k, v) => (k === 'id' ? undefined : v);
+        expect(normalizer.normalizeSync(value, replacer)).to.equal('{"price":"10 USD"}');
+        expect(await normalizer.md5Async(value, { replacer })).to.equal(hash('{"price":"10 USD"}'));
+      });
+
+      it('Should not affect the module\'s functions', () => {
+        expect(normalizeSync(value)).to.equal('{"id":"5349b4ddd2781d08c09890f3","price":"USD10"}');
+      });
+    });
+  });
+});
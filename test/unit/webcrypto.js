@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import { hashObjectSync, normalizeSync } from '../../src/index';
+import { hashObject, hashString } from '../../src/webcrypto';
+import { md5 } from '../../src/md5';
+
+const value = { b: [1, { d: '\u00e9', c: null }], a: 'x', f: () => {} };
+const json = normalizeSync(value);
+
+/**
+ * Hashes the given value with the Web Crypto build of hashObject.
+ * @param {any} input The value to hash.
+ * @param {object=} options The options (see webcrypto.hashObject).
+ * @returns {Promise<string|Uint8Array>} The digest.
+ */
+const hashObjectAsync = (input, options) => new Promise((resolve, reject) => {
+  hashObject(input, options, (e, digest) => (e ? reject(e) : resolve(digest)));
+});
+
+/**
+ * Replaces the global crypto object (which is node's webcrypto, in node 19 and later) while the
+ * given function's promise is pending.
+ * @param {object} replacement The replacement.
+ * @param {function} fn Returns a promise.
+ * @returns {Promise} The function's promise.
+ */
+const withGlobalCrypto = (replacement, fn) => {
+  const descriptor = Object.getOwnPropertyDescriptor(global, 'crypto');
+  Object.defineProperty(global, 'crypto', { value: replacement, configurable: true, writable: true });
+
+  const restore = () => {
+    delete global.crypto;
+    if (descriptor) Object.defineProperty(global, 'crypto', descriptor);
+  };
+
+  return fn().then((result) => { restore(); return result; }, (e) => { restore(); throw e; });
+};
+
+describe('JSONNormalize (Web Crypto)', () => {
+  // Node 18 only exposes the Web Crypto API as crypto.webcrypto.
+  before(() => {
+    if (!global.crypto) global.crypto = crypto.webcrypto;
+  });
+
+  describe('md5', () => {
+    it('Should pass the RFC 1321 test suite', () => {
+      const suite = [
+        ['', 'd41d8cd98f00b204e9800998ecf8427e'],
+        ['a', '0cc175b9c0f1b6a831c399e269772661'],
+        ['abc', '900150983cd24fb0d6963f7d28e17f72'],
+        ['message digest', 'f96b697d7cb7938d525a2f31aaf161d0'],
+        ['abcdefghijklmnopqrstuvwxyz', 'c3fcd3d76192e4007dfb496cca67e13b'],
+        ['ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789', 'd174ab98d277d9f5a5611c2c9f419d9f'],
+        ['1234567890'.repeat(8), '57edf4a22be3c955ac49da2e2107b67a'],
+      ];
+
+      suite.forEach(([input, expected]) => {
+        expect(Buffer.from(md5(Buffer.from(input))).toString('hex')).to.equal(expected);
+      });
+    });
+
+    it('Should match node\'s md5 across block boundaries', () => {
+      for (let length = 0; length < 200; length++) {
+        const bytes = Buffer.alloc(length, length % 251);
+        const expected = crypto.createHash('md5').update(bytes).digest('hex');
+        expect(Buffer.from(md5(bytes)).toString('hex')).to.equal(expected);
+      }
+    });
+  });
+
+  describe('hashString', () => {
+    it('Should hash strings as UTF-8, like node\'s crypto module', async () => {
+      const inputs = ['', 'x', 'caf\u00e9', '\ud83d\ude00', 'lone \ud800 surrogate'];
+      const algorithms = ['md5', 'sha256', 'sha384', 'sha512'];
+
+      for (let i = 0; i < inputs.length; i++) {
+        for (let j = 0; j < algorithms.length; j++) {
+          const expected = crypto.createHash(algorithms[j]).update(inputs[i]).digest('hex');
+          // eslint-disable-next-line no-await-in-loop
+          expect(await hashString(inputs[i], { algorithm: algorithms[j], encoding: 'hex' })).to.equal(expected);
+        }
+      }
+    });
+
+    it('Should reject values that aren\'t strings', () =>
+      hashString(undefined, { algorithm: 'md5', encoding: 'hex' }).then(() => {
+        throw new Error('Expected an error');
+      }, (e) => {
+        expect(e).to.be.an.instanceof(TypeError);
+      }));
+  });
+
+  describe('hashObject', () => {
+    it('Should default to an md5 hex digest', async () => {
+      expect(await hashObjectAsync(value)).to.equal(hashObjectSync(value));
+      expect(await hashObjectAsync(value)).to.equal(crypto.createHash('md5').update(json).digest('hex'));
+    });
+
+    it('Should support sha256, sha384 and sha512, in any case', async () => {
+      const algorithms = ['sha256', 'sha384', 'sha512', 'SHA256', 'Md5'];
+
+      for (let i = 0; i < algorithms.length; i++) {
+        const options = { algorithm: algorithms[i] };
+        // eslint-disable-next-line no-await-in-loop
+        expect(await hashObjectAsync(value, options)).to.equal(hashObjectSync(value, options));
+      }
+    });
+
+    it('Should return HMACs when given a key', async () => {
+      const keys = ['secret', '', 'k'.repeat(200), new Uint8Array([0, 1, 2]), Buffer.from('secret')];
+      const algorithms = ['md5', 'sha256', 'sha512'];
+
+      for (let i = 0; i < keys.length; i++) {
+        for (let j = 0; j < algorithms.length; j++) {
+          const options = { algorithm: algorithms[j], key: keys[i] };
+          // eslint-disable-next-line no-await-in-loop
+          expect(await hashObjectAsync(value, options)).to.equal(hashObjectSync(value, options));
+        }
+      }
+    });
+
+    it('Should support the hex, base64, base64url and buffer encodings', async () => {
+      const encodings = ['hex', 'base64', 'base64url'];
+
+      for (let i = 0; i < encodings.length; i++) {
+        const options = { algorithm: 'sha256', encoding: encodings[i] };
+        // eslint-disable-next-line no-await-in-loop
+        expect(await hashObjectAsync(value, options)).to.equal(hashObjectSync(value, options));
+      }
+
+      const digest = await hashObjectAsync(value, { algorithm: 'sha256', encoding: 'buffer' });
+      expect(digest).to.be.an.instanceof(Uint8Array);
+      expect(Buffer.from(digest).equals(hashObjectSync(value, { algorithm: 'sha256', encoding: 'buffer' })))
+        .to.equal(true);
+    });
+
+    it('Should hash the normalized JSON with its options', async () => {
+      const replacer = (key, v) => (key === 'a' ? undefined : v);
+      const options = { algorithm: 'sha512', replacer, space: 2, budget: 0 };
+
+      expect(await hashObjectAsync(value, options)).to.equal(hashObjectSync(value, options));
+      expect(await hashObjectAsync(value, replacer)).to.equal(hashObjectSync(value, replacer));
+    });
+
+    it('Should pass errors to the callback', async () => {
+      const errors = await Promise.all([
+        { algorithm: 'sha1' },
+        { encoding: 'latin1' },
+        { key: 1 },
+        { maxDepth: 1 },
+      ].map(options => hashObjectAsync({ a: { b: 1 } }, options).catch(e => e)));
+      const undefinedError = await hashObjectAsync(() => {}).catch(e => e);
+
+      expect(errors.map(e => e.message)).to.eql([
+        'Unsupported hash algorithm "sha1"',
+        'Unsupported hash encoding "latin1"',
+        'The "key" option must be a string, Buffer or TypedArray',
+        'The "maxDepth" limit of 1 was exceeded at "#/a"',
+      ]);
+      expect(undefinedError.message).to.equal('Cannot hash a value that normalizes to undefined at "#"');
+    });
+
+    it('Should require crypto.subtle for SHA hashes, but not for md5', () =>
+      withGlobalCrypto(undefined, () => Promise.all([
+        hashObjectAsync(value, { algorithm: 'sha256' }).catch(e => e),
+        hashObjectAsync(value),
+      ])).then(([error, digest]) => {
+        expect(error.message).to.equal('SHA hashes require the Web Crypto API (crypto.subtle)');
+        expect(digest).to.equal(hashObjectSync(value));
+      }));
+  });
+});